@@ -0,0 +1,144 @@
+// common/adminAuth.js — operator API keys and audit log for /admin routes
+//
+// Every /admin call needs an operator key in the X-Admin-Key header. Keys are
+// configured with ADMIN_API_KEYS, a JSON array such as
+//   [{"name": "ci", "key": "…", "role": "read"}, {"name": "ops", "key": "…", "role": "write"}]
+// "read" keys may only call GET routes, "write" keys may call all of them.
+// Without keys every admin call is refused, unless ADMIN_AUTH_DISABLED=1
+// (local development); a warning is logged when the app loads (see
+// .env.example).
+//
+// Each admin call, refused ones included, is appended to the audit log
+// (GET /admin/audit) with actor, action, target client, status and time.
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { logger } = require("./logger");
+
+const ADMIN_ROLES = ["read", "write"];
+
+const DEFAULT_AUDIT_LIMIT = 1000;
+
+const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+let configured;
+function operatorKeys() {
+  if (configured) return configured;
+
+  const raw = process.env.ADMIN_API_KEYS ? JSON.parse(process.env.ADMIN_API_KEYS) : [];
+  if (!Array.isArray(raw)) throw new Error("ADMIN_API_KEYS must be a JSON array");
+  configured = raw.map((entry, i) => {
+    if (!entry?.key || !entry?.name) {
+      throw new Error(`ADMIN_API_KEYS[${i}] needs a name and a key`);
+    }
+    if (!ADMIN_ROLES.includes(entry.role)) {
+      throw new Error(`ADMIN_API_KEYS[${i}].role must be one of ${ADMIN_ROLES.join(", ")}`);
+    }
+    return { name: String(entry.name), role: entry.role, hash: digest(entry.key) };
+  });
+  return configured;
+}
+
+function authDisabled() {
+  return process.env.ADMIN_AUTH_DISABLED === "1";
+}
+
+// Operator owning `key`, or null
+function findOperator(key) {
+  if (!key) return null;
+  const hash = digest(key);
+  return operatorKeys().find((k) => crypto.timingSafeEqual(k.hash, hash)) || null;
+}
+
+function requiredRole(req) {
+  return req.method === "GET" || req.method === "HEAD" ? "read" : "write";
+}
+
+function auditLimit() {
+  const value = Number(process.env.AUDIT_LOG_LIMIT);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_AUDIT_LIMIT;
+}
+
+// Client an admin call is about: /admin/clients/:clientId or the client_id param
+function targetClient(req) {
+  return req.params?.clientId ?? req.body?.client_id ?? req.query?.client_id ?? null;
+}
+
+function audit(req, res, operator, outcome) {
+  res.on("finish", () => {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      actor: operator?.name ?? null,
+      role: operator?.role ?? null,
+      // Admin routes are app-level, so route paths include /admin
+      action: `${req.method} ${req.route?.path ?? req.originalUrl.split("?")[0]}`,
+      targetClient: targetClient(req),
+      status: res.statusCode,
+      outcome: outcome ?? (res.statusCode < 400 ? "ok" : "error"),
+      ip: req.ip,
+    };
+    getStore()
+      .auditLog.append(entry, auditLimit())
+      .catch((e) => logger.error("audit log failed", { error: e.message }));
+  });
+}
+
+// Startup check, so a deployment that locks everyone out says so right away
+function checkOperatorKeys() {
+  if (authDisabled()) return;
+  try {
+    if (operatorKeys().length === 0) {
+      logger.warn(
+        "ADMIN_API_KEYS not set; every /admin call is refused with 401 " +
+          "until operator keys are configured (see .env.example)"
+      );
+    }
+  } catch (e) {
+    logger.error("ADMIN_API_KEYS is invalid; every /admin call will fail", { error: e.message });
+  }
+}
+
+/**
+ * Middleware for the /admin mount: checks X-Admin-Key and the role the
+ * method needs, sets req.operator = { name, role } and audits the call.
+ */
+function requireOperator() {
+  checkOperatorKeys();
+  return (req, res, next) => {
+    if (authDisabled()) {
+      req.operator = { name: "anonymous", role: "write" };
+      audit(req, res, req.operator);
+      return next();
+    }
+
+    const operator = findOperator(req.get("x-admin-key"));
+    if (!operator) {
+      audit(req, res, null, "denied");
+      return res.status(401).json({
+        error: "operator authentication required",
+        details:
+          operatorKeys().length === 0
+            ? "no operator keys are configured; set ADMIN_API_KEYS on the server"
+            : "send an operator API key in the X-Admin-Key header",
+      });
+    }
+
+    const role = requiredRole(req);
+    if (role === "write" && operator.role !== "write") {
+      audit(req, res, operator, "denied");
+      return res.status(403).json({
+        error: "forbidden",
+        details: `${req.method} needs a write key; ${operator.name} is ${operator.role}`,
+      });
+    }
+
+    req.operator = { name: operator.name, role: operator.role };
+    audit(req, res, operator);
+    return next();
+  };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  requireOperator,
+};
@@ -0,0 +1,256 @@
+// common/attendance.js — attendance reports for getAttendance
+//
+// A session's attendees come from the list an admin seeded through
+// /admin/attendance or, without one, from a generator seeded by the session's
+// id and schedule: the same session always yields the same attendees. The
+// generated learners always include a full attendee, a partial one, a rejoin
+// and a no-show, so connectors see the edge cases on every session.
+// Joins recorded by the /join/:token page are added on top.
+const crypto = require("crypto");
+
+const ROLES = ["instructor", "learner"];
+const DEFAULT_LENGTH_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Learner patterns; the first four learners get one each, the rest random
+const PATTERNS = ["full", "partial", "rejoin", "noShow", "late"];
+
+// Deterministic PRNG (mulberry32) seeded from a string
+function prng(seed) {
+  let state = crypto.createHash("sha256").update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The session as last sent: the latest UpdateSession payload (a PUT carries
+// the full session), else the CreateSession one
+function currentRequest(session) {
+  const latest = [...(session.history || [])]
+    .reverse()
+    .find((h) => h.request?.StartDateTime);
+  return latest?.request || session.request || {};
+}
+
+/**
+ * Scheduled start/end of a session in ms: StartDateTime/EndDateTime from the
+ * CreateSession payload (or latest update), else createdAt + 1 hour.
+ */
+function scheduleOf(session) {
+  const request = currentRequest(session);
+  const start = Date.parse(request.StartDateTime) || Date.parse(session.createdAt);
+  const end = Date.parse(request.EndDateTime);
+  return { start, end: Number.isFinite(end) && end > start ? end : start + DEFAULT_LENGTH_MS };
+}
+
+// Instructors of the latest CreateSession/UpdateSession payload, else the
+// client's active instructors
+function instructorEmails(session, instructors) {
+  const fromSession = (currentRequest(session).Instructors || [])
+    .map((i) => i?.Email)
+    .filter(Boolean);
+  if (fromSession.length > 0) return [...new Set(fromSession)];
+  const registered = (instructors || [])
+    .filter((i) => i.status !== "inactive" && i.email)
+    .map((i) => i.email);
+  return registered.length > 0 ? [...new Set(registered)] : ["instructor@example.com"];
+}
+
+// Join/leave segments for one learner pattern, as offsets into the session
+function learnerSegments(pattern, length, random) {
+  const at = (fraction) => Math.round((fraction * length) / MINUTE_MS) * MINUTE_MS;
+  switch (pattern) {
+    case "full":
+      return [[at(random() * 0.03), length]];
+    case "partial": {
+      const from = at(0.05 + random() * 0.15);
+      return [[from, from + at(0.3 + random() * 0.3)]];
+    }
+    case "rejoin": {
+      const leave = at(0.3 + random() * 0.2);
+      return [
+        [at(random() * 0.05), leave],
+        [leave + at(0.05 + random() * 0.1), length - at(random() * 0.05)],
+      ];
+    }
+    case "late":
+      return [[at(0.25 + random() * 0.3), length]];
+    default:
+      return [];
+  }
+}
+
+function generateAttendees(session, instructors) {
+  const { start, end } = scheduleOf(session);
+  const length = end - start;
+  const random = prng(`${session.sessionId}|${start}|${end}`);
+  const iso = (offset) => new Date(start + offset).toISOString();
+  const tag = crypto.createHash("sha256").update(session.sessionId).digest("hex").slice(0, 6);
+
+  const attendees = instructorEmails(session, instructors).map((email) => ({
+    email,
+    role: "instructor",
+    joins: [{ joinedAt: iso(0), leftAt: iso(length) }],
+  }));
+
+  const learners = 4 + Math.floor(random() * 5);
+  for (let n = 1; n <= learners; n++) {
+    const pattern = n <= 4 ? PATTERNS[n - 1] : PATTERNS[Math.floor(random() * PATTERNS.length)];
+    attendees.push({
+      email: `learner${n}.${tag}@example.com`,
+      role: "learner",
+      joins: learnerSegments(pattern, length, random).map(([from, to]) => ({
+        joinedAt: iso(from),
+        leftAt: iso(to),
+      })),
+    });
+  }
+  return attendees;
+}
+
+/**
+ * Add derived fields to an attendee as seen at `now`: joins that have not
+ * started are dropped, a join still running has leftAt null. Joins without a
+ * leftAt (join page visits) last until the scheduled end.
+ */
+function summarize(attendee, { start, end }, now) {
+  const joins = (attendee.joins || [])
+    .filter((j) => Date.parse(j.joinedAt) <= now)
+    .map((j) => {
+      const joined = Date.parse(j.joinedAt);
+      const left = j.leftAt ? Date.parse(j.leftAt) : Math.max(end, joined);
+      return {
+        joinedAt: j.joinedAt,
+        leftAt: left <= now ? new Date(left).toISOString() : null,
+      };
+    });
+
+  // Overlapping joins (e.g. a join page visit while already in) count once
+  let durationMs = 0;
+  let covered = -Infinity;
+  for (const j of joins) {
+    const from = Math.max(Date.parse(j.joinedAt), covered);
+    const to = j.leftAt ? Date.parse(j.leftAt) : now;
+    if (to > from) durationMs += to - from;
+    covered = Math.max(covered, to);
+  }
+  const percentage = Math.min(100, (durationMs / (end - start)) * 100);
+
+  return {
+    email: attendee.email,
+    role: attendee.role,
+    joins,
+    firstJoinedAt: joins[0]?.joinedAt ?? null,
+    lastLeftAt: joins.length > 0 ? joins[joins.length - 1].leftAt : null,
+    durationSeconds: Math.round(durationMs / 1000),
+    attendancePercentage: Math.round(percentage * 10) / 10,
+  };
+}
+
+/**
+ * Attendance report for a session at `now` (ms): seeded attendees when an
+ * admin provided them, generated ones otherwise. `instructors` are the
+ * client's registered instructors (used when the session names none).
+ */
+function buildAttendance(session, { instructors, now = Date.now() } = {}) {
+  const schedule = scheduleOf(session);
+  return roster(session, instructors).map((a) => summarize(a, schedule, now));
+}
+
+// Seeded or generated attendees plus recorded join events (emails compared case-insensitively)
+function roster(session, instructors) {
+  const attendees = structuredClone(
+    session.seededAttendees || generateAttendees(session, instructors)
+  );
+  const byEmail = new Map(attendees.map((a) => [a.email.toLowerCase(), a]));
+
+  for (const event of session.joinEvents || []) {
+    const key = event.email.toLowerCase();
+    if (!byEmail.has(key)) {
+      const attendee = { email: event.email, role: event.role, joins: [] };
+      attendees.push(attendee);
+      byEmail.set(key, attendee);
+    }
+    const attendee = byEmail.get(key);
+    attendee.joins = [...attendee.joins, { joinedAt: event.joinedAt, leftAt: null }].sort(
+      (x, y) => x.joinedAt.localeCompare(y.joinedAt)
+    );
+  }
+  return attendees;
+}
+
+/**
+ * Role of `email` in the session: "instructor" or "learner" when it is on
+ * the roster or a registered instructor of the client, null when unknown.
+ */
+function participantRole(session, instructors, email) {
+  const key = email.toLowerCase();
+  const registered = (instructors || []).some(
+    (i) => i.status !== "inactive" && i.email?.toLowerCase() === key
+  );
+  if (registered) return "instructor";
+  const attendee = roster(session, instructors).find((a) => a.email.toLowerCase() === key);
+  return attendee ? attendee.role : null;
+}
+
+// Latest join or leave of an attendee, for the `since` filter
+function lastActivity(attendee) {
+  const times = attendee.joins.flatMap((j) => [j.joinedAt, j.leftAt]).filter(Boolean);
+  return times.sort().pop() ?? null;
+}
+
+function isIsoTime(value) {
+  return typeof value === "string" && Number.isFinite(Date.parse(value));
+}
+
+/**
+ * Validate attendees posted to /admin/attendance:
+ * [{ email, role (instructor|learner), joins: [{ joinedAt, leftAt? }] }]
+ * Returns { attendees } or { error }.
+ */
+function parseSeededAttendees(input) {
+  if (!Array.isArray(input)) return { error: "attendees must be an array" };
+
+  const attendees = [];
+  for (const [i, a] of input.entries()) {
+    if (!a || typeof a.email !== "string" || !a.email.includes("@")) {
+      return { error: `attendees[${i}].email must be an email address` };
+    }
+    const role = a.role ?? "learner";
+    if (!ROLES.includes(role)) {
+      return { error: `attendees[${i}].role must be instructor or learner` };
+    }
+    const joins = a.joins ?? [];
+    if (!Array.isArray(joins)) return { error: `attendees[${i}].joins must be an array` };
+    for (const [k, j] of joins.entries()) {
+      const leftAt = j?.leftAt ?? null;
+      if (!isIsoTime(j?.joinedAt) || (leftAt !== null && !isIsoTime(leftAt))) {
+        return { error: `attendees[${i}].joins[${k}] needs ISO joinedAt/leftAt times` };
+      }
+      if (leftAt !== null && Date.parse(leftAt) < Date.parse(j.joinedAt)) {
+        return { error: `attendees[${i}].joins[${k}].leftAt is before joinedAt` };
+      }
+    }
+    attendees.push({
+      email: a.email,
+      role,
+      joins: joins
+        .map((j) => ({
+          joinedAt: new Date(j.joinedAt).toISOString(),
+          leftAt: j.leftAt ? new Date(j.leftAt).toISOString() : null,
+        }))
+        .sort((x, y) => x.joinedAt.localeCompare(y.joinedAt)),
+    });
+  }
+  return { attendees };
+}
+
+module.exports = {
+  buildAttendance,
+  participantRole,
+  lastActivity,
+  parseSeededAttendees,
+};
@@ -0,0 +1,165 @@
+// common/clientAuth.js — OAuth client authentication helpers (RFC 6749 §2.3, RFC 7523)
+const crypto = require("crypto");
+const jwt = require("./jwt");
+
+const CLIENT_ASSERTION_TYPE =
+  "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+// "none" registers a public client (RFC 7591 §2): client_id only, no secret.
+// Public clients must use PKCE and may not use client_credentials.
+const AUTH_METHODS = ["client_secret_basic", "client_secret_post", "private_key_jwt", "none"];
+// Clients registered before auth methods existed keep working with secrets
+const DEFAULT_AUTH_METHODS = ["client_secret_basic", "client_secret_post"];
+
+function param(req, name) {
+  return req.body?.[name] ?? req.query?.[name] ?? null;
+}
+
+function formDecode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse "Authorization: Basic base64(id:secret)".
+ * Per RFC 6749 §2.3.1 id and secret are form-urlencoded before encoding.
+ * Returns { id, secret } or null when the header is absent/malformed.
+ */
+function parseBasicAuth(header) {
+  if (!header || !/^Basic\s+/i.test(header)) return null;
+  const decoded = Buffer.from(header.replace(/^Basic\s+/i, ""), "base64").toString("utf8");
+  const sep = decoded.indexOf(":");
+  if (sep < 0) return null;
+  const id = formDecode(decoded.slice(0, sep));
+  const secret = formDecode(decoded.slice(sep + 1));
+  if (!id || secret === null) return null;
+  return { id, secret };
+}
+
+/**
+ * Work out which client authentication method the request uses.
+ * Returns { method, clientId, clientSecret?, assertion? } or { error } when
+ * the credentials are malformed or more than one method was used. A bare
+ * client_id is method "none" (public clients).
+ * Returns null when no client credentials were sent at all.
+ */
+function extractClientCredentials(req) {
+  const header = req.headers["authorization"];
+  const basic = parseBasicAuth(header);
+  const postId = param(req, "client_id");
+  const postSecret = param(req, "client_secret");
+  const assertionType = param(req, "client_assertion_type");
+  const assertion = param(req, "client_assertion");
+
+  const used = [
+    header && /^Basic\s+/i.test(header) ? "client_secret_basic" : null,
+    postSecret ? "client_secret_post" : null,
+    assertion || assertionType ? "private_key_jwt" : null,
+  ].filter(Boolean);
+
+  if (used.length === 0) return postId ? { method: "none", clientId: postId } : null;
+  if (used.length > 1) {
+    return { error: "multiple client authentication methods used" };
+  }
+
+  switch (used[0]) {
+    case "client_secret_basic":
+      if (!basic) return { error: "malformed Basic authorization header" };
+      if (postId && postId !== basic.id) {
+        return { error: "client_id does not match the Authorization header" };
+      }
+      return { method: "client_secret_basic", clientId: basic.id, clientSecret: basic.secret };
+    case "client_secret_post":
+      if (!postId) return { error: "client_id is required" };
+      return { method: "client_secret_post", clientId: postId, clientSecret: postSecret };
+    default: {
+      if (assertionType !== CLIENT_ASSERTION_TYPE || !assertion) {
+        return { error: `client_assertion_type must be ${CLIENT_ASSERTION_TYPE}` };
+      }
+      const decoded = jwt.decode(assertion);
+      const clientId = decoded?.payload?.sub;
+      if (!clientId || decoded.payload.iss !== clientId) {
+        return { error: "client_assertion iss and sub must be the client_id" };
+      }
+      if (postId && postId !== clientId) {
+        return { error: "client_id does not match the client_assertion" };
+      }
+      return { method: "private_key_jwt", clientId, assertion, decoded };
+    }
+  }
+}
+
+function allowedMethods(client) {
+  return Array.isArray(client?.tokenEndpointAuthMethods) &&
+    client.tokenEndpointAuthMethods.length > 0
+    ? client.tokenEndpointAuthMethods
+    : DEFAULT_AUTH_METHODS;
+}
+
+// Public clients are registered with "none" as their only method
+function isPublicClient(client) {
+  const methods = allowedMethods(client);
+  return methods.length === 1 && methods[0] === "none";
+}
+
+// Registered verification keys: jwks.keys[] and/or a single publicKeyPem
+function registeredKeys(client) {
+  const list = [];
+  for (const jwk of client?.jwks?.keys || []) {
+    list.push({ kid: jwk.kid || null, key: jwk });
+  }
+  if (client?.publicKeyPem) list.push({ kid: null, key: client.publicKeyPem });
+  return list;
+}
+
+/**
+ * Verify a private_key_jwt client assertion (RFC 7523 §3) against the
+ * client's registered public key(s).
+ * audiences: acceptable aud values (token endpoint URL, issuer).
+ * Returns null when valid, otherwise a short reason string.
+ */
+function verifyClientAssertion(client, { assertion, decoded }, { audiences, now }) {
+  const { header, payload } = decoded;
+  if (!jwt.ALGORITHMS[header.alg]) return "unsupported client_assertion alg";
+
+  const candidates = registeredKeys(client).filter(
+    (k) => !header.kid || !k.kid || k.kid === header.kid
+  );
+  if (candidates.length === 0) return "no public key registered for client";
+  const valid = candidates.some((k) =>
+    jwt.verifySignature(assertion, { alg: header.alg, publicKey: k.key })
+  );
+  if (!valid) return "client_assertion signature is invalid";
+
+  if (!Number.isFinite(payload.exp) || now >= payload.exp * 1000) {
+    return "client_assertion expired";
+  }
+  const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!aud.some((a) => audiences.includes(a))) {
+    return "client_assertion aud does not match the token endpoint";
+  }
+  if (!payload.jti) return "client_assertion jti is required";
+  return null;
+}
+
+// Throws when the PEM / JWKS cannot be parsed as public keys
+function assertUsablePublicKeys({ publicKeyPem, jwks }) {
+  if (publicKeyPem) crypto.createPublicKey(publicKeyPem);
+  for (const jwk of jwks?.keys || []) {
+    crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+}
+
+module.exports = {
+  CLIENT_ASSERTION_TYPE,
+  AUTH_METHODS,
+  DEFAULT_AUTH_METHODS,
+  parseBasicAuth,
+  extractClientCredentials,
+  allowedMethods,
+  isPublicClient,
+  verifyClientAssertion,
+  assertUsablePublicKeys,
+};
@@ -0,0 +1,83 @@
+// common/clients.js — client provisioning rules and OAuth capabilities shared by the
+// OAuth, discovery and admin controllers
+//
+// Client docs may carry (all optional, set through /admin/clients):
+//   name            display name
+//   enabled         false blocks token issuance and every API call
+//   allowedGrants   grant types the client may use (all of GRANT_TYPES when unset)
+//   previousSecrets [{ secret, rotatedAt, expiresAt }] — secrets replaced by a
+//                   rotation that keep working until expiresAt (overlap window)
+const crypto = require("crypto");
+const { describeClock } = require("./clock");
+
+const GRANT_TYPES = ["client_credentials", "authorization_code", "refresh_token"];
+const RESPONSE_TYPES = ["code"];
+const PKCE_METHODS = ["S256", "plain"];
+
+const DEFAULT_SECRET_OVERLAP_SECONDS = 3600;
+
+function newClientId() {
+  return `client_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function newClientSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// Docs inserted before provisioning existed have no enabled flag
+function isEnabled(client) {
+  return client?.enabled !== false;
+}
+
+function allowsGrant(client, grantType) {
+  const grants = client?.allowedGrants;
+  return !Array.isArray(grants) || grants.length === 0 || grants.includes(grantType);
+}
+
+// Previous secrets still inside their overlap window at `now` (ms)
+function activePreviousSecrets(client, now = Date.now()) {
+  return (client?.previousSecrets || []).filter((p) => Date.parse(p.expiresAt) > now);
+}
+
+/**
+ * Client doc for clientId + secret: the current secret, or a previous one
+ * within its overlap window. Returns null when neither matches.
+ */
+async function findClientBySecret(store, clientId, secret, now = Date.now()) {
+  const doc = await store.clients.findByCredentials(clientId, secret);
+  if (doc) return doc;
+  return store.clients.findByPreviousSecret(clientId, secret, new Date(now).toISOString());
+}
+
+/**
+ * Admin view of a client: no secrets or tokens, only when previous secrets
+ * stop working.
+ */
+function clientSummary(doc, now = Date.now()) {
+  return {
+    clientId: doc.clientId,
+    name: doc.name ?? null,
+    enabled: isEnabled(doc),
+    allowedGrants: doc.allowedGrants?.length ? doc.allowedGrants : GRANT_TYPES,
+    allowedScopes: doc.allowedScopes ?? [],
+    createdAt: doc.createdAt ?? null,
+    updatedAt: doc.updatedAt ?? null,
+    secretRotatedAt: doc.secretRotatedAt ?? null,
+    previousSecretsExpireAt: activePreviousSecrets(doc, now).map((p) => p.expiresAt),
+    clock: describeClock(doc),
+  };
+}
+
+module.exports = {
+  GRANT_TYPES,
+  RESPONSE_TYPES,
+  PKCE_METHODS,
+  DEFAULT_SECRET_OVERLAP_SECONDS,
+  newClientId,
+  newClientSecret,
+  isEnabled,
+  allowsGrant,
+  activePreviousSecrets,
+  findClientBySecret,
+  clientSummary,
+};
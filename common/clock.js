@@ -0,0 +1,74 @@
+// common/clock.js — per-client virtual clock
+//
+// Admins can move a client's clock through /admin/clock to test token expiry,
+// clock skew and long-running sessions without sleeping. It drives what the
+// client sees: token issuance and expiry (access/refresh tokens, authorization
+// codes, client assertion checks), session and instructor timestamps and
+// generated ids, VILT response envelopes, and attendance (join times,
+// generated reports). Rate limits, join URL lifetimes and admin bookkeeping
+// stay on real time.
+//
+// Stored on the client doc as clock: { frozenAt, offsetMs }
+//   frozenAt  ISO time the clock is stopped at (null while it runs)
+//   offsetMs  added to real time while the clock runs
+// Clients without a clock use real time.
+
+/**
+ * Current time (ms) on the client's clock; real time without a client
+ * (load testing) or clock.
+ */
+function clientNow(client) {
+  const clock = client?.clock;
+  if (!clock) return Date.now();
+  if (clock.frozenAt) return Date.parse(clock.frozenAt);
+  return Date.now() + (clock.offsetMs || 0);
+}
+
+function clientNowIso(client) {
+  return new Date(clientNow(client)).toISOString();
+}
+
+/**
+ * Admin view of a client's clock: mode (real, offset or frozen), the time it
+ * shows now and its settings.
+ */
+function describeClock(client) {
+  const clock = client?.clock;
+  const mode = !clock ? "real" : clock.frozenAt ? "frozen" : clock.offsetMs ? "offset" : "real";
+  return {
+    mode,
+    now: clientNowIso(client),
+    frozenAt: clock?.frozenAt ?? null,
+    offsetSeconds: clock?.frozenAt ? null : (clock?.offsetMs || 0) / 1000,
+  };
+}
+
+// Clock stopped at `ms`
+function frozenClock(ms) {
+  return { frozenAt: new Date(ms).toISOString(), offsetMs: 0 };
+}
+
+// Clock running `offsetMs` ahead of (or behind, when negative) real time
+function runningClock(offsetMs) {
+  return { frozenAt: null, offsetMs };
+}
+
+/**
+ * The clock `seconds` later than the client's current one: a frozen clock
+ * stays frozen at the later time, a running one gets a larger offset.
+ * Negative seconds move it back.
+ */
+function advancedClock(client, seconds) {
+  const ms = seconds * 1000;
+  if (client?.clock?.frozenAt) return frozenClock(clientNow(client) + ms);
+  return runningClock((client?.clock?.offsetMs || 0) + ms);
+}
+
+module.exports = {
+  clientNow,
+  clientNowIso,
+  describeClock,
+  frozenClock,
+  runningClock,
+  advancedClock,
+};
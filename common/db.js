@@ -1,5 +1,6 @@
 // common/db.js
 const { MongoClient } = require("mongodb");
+const { monitorMongo } = require("./prometheus");
 
 let cachedDb;
 
@@ -10,7 +11,13 @@ async function getDb() {
   const dbName = process.env.MONGODB_DB || "mock_oauth";
   if (!uri) throw new Error("MONGODB_URI not set");
 
-  const client = new MongoClient(uri, { serverSelectionTimeoutMS: 5000, maxPoolSize: 3 });
+  const client = new MongoClient(uri, {
+    serverSelectionTimeoutMS: 5000,
+    maxPoolSize: 3,
+    // Command timings for /metrics (common/prometheus.js)
+    monitorCommands: true,
+  });
+  monitorMongo(client);
   await client.connect();
   cachedDb = client.db(dbName);
   return cachedDb;
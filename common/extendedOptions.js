@@ -0,0 +1,172 @@
+// common/extendedOptions.js — extended-options trees returned by getExtendedOptions
+//
+// Admins can set a tree per client and override it per session through
+// /admin/extended-options; DEFAULT_EXTENDED_OPTIONS is used otherwise.
+// Node types: Label, CheckBox, TextBox, DropDown. A DropDown's choices are
+// its ChildExtendedOptions (each choice's Value, or its Name when Value is null).
+//
+// Strict-mode clients submit values in CreateSession/UpdateSession bodies as
+// ExtendedOptions: [{ Id, Value }] (CheckBox: { Id, IsChecked }), which
+// validateOptionValues checks against the tree.
+
+const EXTENDED_OPTION_TYPES = ["Label", "CheckBox", "TextBox", "DropDown"];
+
+function option(fields) {
+  return {
+    Type: fields.Type,
+    Id: fields.Id,
+    ParentId: fields.ParentId ?? null,
+    Name: fields.Name,
+    Description: fields.Description ?? null,
+    Placeholder: fields.Placeholder ?? null,
+    Value: fields.Value ?? null,
+    IsNameVisible: fields.IsNameVisible ?? true,
+    IsMultiline: fields.IsMultiline ?? false,
+    IsChecked: fields.IsChecked ?? false,
+    ChildExtendedOptions: fields.ChildExtendedOptions ?? [],
+  };
+}
+
+const DEFAULT_EXTENDED_OPTIONS = [
+  option({
+    Type: "Label",
+    Id: "1",
+    Name: "Session Extended Options",
+    ChildExtendedOptions: [
+      option({
+        Type: "CheckBox",
+        Id: "2",
+        ParentId: "1",
+        Name: "Allow Attendee To Enable Camera",
+        IsChecked: true,
+      }),
+      option({
+        Type: "CheckBox",
+        Id: "3",
+        ParentId: "1",
+        Name: "Allow Attendee To Enable Mic",
+        IsChecked: true,
+      }),
+      option({
+        Type: "CheckBox",
+        Id: "4",
+        ParentId: "1",
+        Name: "Record Automatically",
+        IsChecked: false,
+      }),
+    ],
+  }),
+];
+
+/**
+ * Validate a tree posted to /admin/extended-options and fill in defaults
+ * (ParentId is set from the nesting). Returns { tree } or { error }.
+ */
+function parseOptionTree(input) {
+  if (!Array.isArray(input)) return { error: "extendedOptions must be an array" };
+
+  const ids = new Set();
+  const walk = (nodes, parentId, path) => {
+    const out = [];
+    for (const [i, node] of nodes.entries()) {
+      const at = `${path}[${i}]`;
+      if (!node || typeof node !== "object") return { error: `${at} must be an object` };
+      if (!EXTENDED_OPTION_TYPES.includes(node.Type)) {
+        return { error: `${at}.Type must be one of ${EXTENDED_OPTION_TYPES.join(", ")}` };
+      }
+      const id = node.Id === undefined || node.Id === null ? "" : String(node.Id);
+      if (!id) return { error: `${at}.Id is required` };
+      if (ids.has(id)) return { error: `${at}.Id "${id}" is used twice` };
+      ids.add(id);
+      if (typeof node.Name !== "string") return { error: `${at}.Name must be a string` };
+
+      const children = node.ChildExtendedOptions ?? [];
+      if (!Array.isArray(children)) {
+        return { error: `${at}.ChildExtendedOptions must be an array` };
+      }
+      if (node.Type === "DropDown" && children.length === 0) {
+        return { error: `${at} is a DropDown without choices in ChildExtendedOptions` };
+      }
+      const nested = walk(children, id, `${at}.ChildExtendedOptions`);
+      if (nested.error) return nested;
+
+      out.push(option({ ...node, Id: id, ParentId: parentId, ChildExtendedOptions: nested.tree }));
+    }
+    return { tree: out };
+  };
+  return walk(input, null, "extendedOptions");
+}
+
+/**
+ * Tree that applies to a session: its own override, the client's tree or the
+ * default. Returns { tree, source: "session" | "client" | "default" }.
+ */
+function effectiveTree(client, session) {
+  if (session?.extendedOptions) return { tree: session.extendedOptions, source: "session" };
+  if (client?.extendedOptions) return { tree: client.extendedOptions, source: "client" };
+  return { tree: DEFAULT_EXTENDED_OPTIONS, source: "default" };
+}
+
+function indexTree(tree, byId = new Map()) {
+  for (const node of tree) {
+    byId.set(String(node.Id), node);
+    indexTree(node.ChildExtendedOptions || [], byId);
+  }
+  return byId;
+}
+
+/**
+ * Check submitted ExtendedOptions values against `tree`.
+ * Returns problems as { path, message } (same shape as common/schemas.js).
+ */
+function validateOptionValues(tree, submitted) {
+  if (!Array.isArray(submitted)) return [];
+
+  const byId = indexTree(tree);
+  const problems = [];
+  submitted.forEach((entry, i) => {
+    const path = `ExtendedOptions[${i}]`;
+    const node = byId.get(String(entry?.Id));
+    if (!node) {
+      problems.push({ path: `${path}.Id`, message: "is not an extended option of this session" });
+      return;
+    }
+
+    switch (node.Type) {
+      case "Label":
+        problems.push({ path: `${path}.Id`, message: "is a Label and takes no value" });
+        break;
+      case "CheckBox":
+        if (typeof entry.IsChecked !== "boolean") {
+          problems.push({ path: `${path}.IsChecked`, message: "must be boolean" });
+        }
+        break;
+      case "TextBox":
+        if (typeof entry.Value !== "string") {
+          problems.push({ path: `${path}.Value`, message: "must be string" });
+        } else if (!node.IsMultiline && /[\r\n]/.test(entry.Value)) {
+          problems.push({ path: `${path}.Value`, message: "must be a single line" });
+        }
+        break;
+      case "DropDown": {
+        const choices = node.ChildExtendedOptions.map((c) => c.Value ?? c.Name);
+        if (!choices.includes(entry.Value)) {
+          problems.push({
+            path: `${path}.Value`,
+            message: `must be one of ${choices.join(", ")}`,
+          });
+        }
+        break;
+      }
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  EXTENDED_OPTION_TYPES,
+  DEFAULT_EXTENDED_OPTIONS,
+  parseOptionTree,
+  effectiveTree,
+  validateOptionValues,
+};
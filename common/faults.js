@@ -0,0 +1,156 @@
+// common/faults.js — per-client fault injection
+//
+// Rules are attached to a client through /admin/faults and checked after the
+// caller has been authenticated (validateBearerToken for the VILT API, the
+// /oauth/token, /oauth/introspect and /oauth/revoke handlers), or for
+// /oauth/authorize once the client and redirect_uri are validated. They apply
+// on every route prefix.
+//
+// Rule fields:
+//   endpoint    handler name (createSession, launchSession, token, introspect,
+//               revoke, authorize, ...) or "*"
+//   action      error (default) | latency | drop | malformed
+//   status      HTTP status for error/malformed (default 500 / 200)
+//   code        err() code for error responses (default 50099)
+//   message     err() message for error responses (default injected_fault)
+//   latencyMs   delay before the action; the whole fault for action latency
+//   percentage  chance (0-100) that a matching call fails (default 100)
+//   nth         only the Nth matching call fails (counted per rule)
+const crypto = require("crypto");
+const { ENDPOINT_SCOPES } = require("./scopes");
+const { logger } = require("./logger");
+
+const FAULT_ACTIONS = ["error", "latency", "drop", "malformed"];
+const OAUTH_ENDPOINTS = ["token", "introspect", "revoke", "authorize"];
+const FAULT_ENDPOINTS = [...Object.keys(ENDPOINT_SCOPES), ...OAUTH_ENDPOINTS, "*"];
+const MAX_LATENCY_MS = 60000;
+
+const DEFAULT_CODE = 50099;
+const DEFAULT_MESSAGE = "injected_fault";
+
+// Body cut off mid-object, for exercising the connector's JSON error handling
+const MALFORMED_BODY = '{"status":"success","correlationId":';
+
+function isInt(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate a rule as posted to /admin/faults.
+ * Returns { rule } (with id, hits and createdAt) or { error }.
+ */
+function buildRule(input) {
+  const endpoint = input.endpoint;
+  if (!FAULT_ENDPOINTS.includes(endpoint)) {
+    return { error: `endpoint must be one of ${FAULT_ENDPOINTS.join(", ")}` };
+  }
+
+  const action = input.action ?? "error";
+  if (!FAULT_ACTIONS.includes(action)) {
+    return { error: `action must be one of ${FAULT_ACTIONS.join(", ")}` };
+  }
+
+  const status = Number(input.status ?? (action === "malformed" ? 200 : 500));
+  if (!isInt(status, 200, 599)) {
+    return { error: "status must be an HTTP status between 200 and 599" };
+  }
+
+  const code = Number(input.code ?? DEFAULT_CODE);
+  if (!Number.isInteger(code)) {
+    return { error: "code must be an integer" };
+  }
+
+  const latencyMs = Number(input.latencyMs ?? 0);
+  if (!isInt(latencyMs, 0, MAX_LATENCY_MS)) {
+    return { error: `latencyMs must be between 0 and ${MAX_LATENCY_MS}` };
+  }
+  if (action === "latency" && latencyMs === 0) {
+    return { error: "latencyMs is required for action latency" };
+  }
+
+  const percentage = Number(input.percentage ?? 100);
+  if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+    return { error: "percentage must be between 0 and 100" };
+  }
+
+  let nth = null;
+  if (input.nth !== undefined && input.nth !== null) {
+    nth = Number(input.nth);
+    if (!Number.isInteger(nth) || nth < 1) {
+      return { error: "nth must be an integer >= 1" };
+    }
+  }
+
+  return {
+    rule: {
+      id: `fault_${crypto.randomBytes(6).toString("hex")}`,
+      endpoint,
+      action,
+      status,
+      code,
+      message: String(input.message ?? DEFAULT_MESSAGE),
+      latencyMs,
+      percentage,
+      nth,
+      hits: 0,
+      createdAt: new Date().toISOString(),
+    },
+  };
+}
+
+// renderError for the OAuth endpoints: an RFC 6749 §5.2 style error body
+function oauthErrorBody(code, message) {
+  return { error: message, error_description: `${message} (code ${code})` };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Apply the first of the client's fault rules that fires for `endpoint`.
+ * renderError(code, message) builds the error body in the caller's format.
+ * Returns true when the fault took over the response (error, drop or
+ * malformed); false when the request should continue, possibly delayed.
+ */
+async function applyFault(req, res, { store, client, endpoint, renderError }) {
+  const rules = (client.faultRules || []).filter(
+    (r) => r.endpoint === endpoint || r.endpoint === "*"
+  );
+
+  for (const rule of rules) {
+    const hits = await store.faults.recordHit(client, rule.id);
+    if (rule.nth && hits !== rule.nth) continue;
+    if (Math.random() * 100 >= rule.percentage) continue;
+
+    logger.info("fault injected", {
+      rule: rule.id,
+      action: rule.action,
+      endpoint,
+      client: client.clientId,
+    });
+    if (rule.latencyMs > 0) await sleep(rule.latencyMs);
+
+    switch (rule.action) {
+      case "latency":
+        return false;
+      case "drop":
+        req.socket.destroy();
+        return true;
+      case "malformed":
+        res.status(rule.status).type("application/json").send(MALFORMED_BODY);
+        return true;
+      default:
+        res.status(rule.status).json(renderError(rule.code, rule.message));
+        return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  FAULT_ACTIONS,
+  OAUTH_ENDPOINTS,
+  FAULT_ENDPOINTS,
+  buildRule,
+  oauthErrorBody,
+  applyFault,
+};
@@ -0,0 +1,46 @@
+// common/http.js — request parameter, HTML and URL helpers shared by the controllers
+
+// tiny helper to read params from body or query
+function param(req, name, def = null) {
+  return req.body?.[name] ?? req.query?.[name] ?? def;
+}
+
+// Accepts an array or a comma/space separated string
+function listParam(req, name) {
+  const value = param(req, name);
+  if (value === null) return null;
+  const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return items.map((v) => String(v).trim()).filter(Boolean);
+}
+
+// "true"/"false"/"1"/"0" (or a JSON boolean) -> boolean, anything else -> undefined
+function boolParam(req, name) {
+  const value = param(req, name);
+  if (value === true || value === "true" || value === "1" || value === 1) return true;
+  if (value === false || value === "false" || value === "0" || value === 0) return false;
+  return undefined;
+}
+
+// Consent (authorizeController) and join (joinController) pages
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Where endpoints are reachable: PUBLIC_BASE_URL (pins the host behind
+// proxies) or this request's host
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+module.exports = {
+  param,
+  listParam,
+  boolParam,
+  escapeHtml,
+  publicBaseUrl,
+};
@@ -0,0 +1,86 @@
+// common/joinTokens.js — HMAC-signed tokens behind launchSession join URLs
+//
+// token = base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+// payload = { cid (client id), sid (session id), email, exp (epoch seconds), jti }
+// The HMAC key is JOIN_URL_SECRET. It is required when more than one instance
+// serves the mock (the MongoDB store or VERCEL=1), since a join URL must verify
+// on whichever instance receives it. A single process with the memory store
+// falls back to a random per-process key: its sessions live in that process
+// alone, and so do its join URLs.
+const crypto = require("crypto");
+const { backendName } = require("./store");
+const { logger } = require("./logger");
+
+const DEFAULT_JOIN_URL_TTL_SECONDS = 900;
+
+let processSecret;
+function secret() {
+  if (process.env.JOIN_URL_SECRET) return process.env.JOIN_URL_SECRET;
+  if (backendName() === "mongo" || process.env.VERCEL === "1") {
+    throw new Error("JOIN_URL_SECRET must be set with the MongoDB store or on Vercel");
+  }
+  if (!processSecret) {
+    logger.warn("JOIN_URL_SECRET not set; join URLs only work on this instance");
+    processSecret = crypto.randomBytes(32);
+  }
+  return processSecret;
+}
+
+function mac(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+function joinUrlTtl(client) {
+  const ttl = client?.joinUrlTtlSeconds;
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_JOIN_URL_TTL_SECONDS;
+}
+
+/**
+ * Issue a join token for `email` in session `sessionId` of `client`.
+ * Returns { token, expiresAt }.
+ */
+function signJoinToken(client, sessionId, email, now = Date.now()) {
+  const exp = Math.floor(now / 1000) + joinUrlTtl(client);
+  const payload = Buffer.from(
+    JSON.stringify({
+      cid: client.clientId,
+      sid: sessionId,
+      email,
+      exp,
+      jti: crypto.randomUUID(),
+    })
+  ).toString("base64url");
+  return { token: `${payload}.${mac(payload)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Check signature and expiry.
+ * Returns { payload } or { error: "invalid_token" | "expired_token" }.
+ */
+function verifyJoinToken(token, now = Date.now()) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) return { error: "invalid_token" };
+
+  const expected = Buffer.from(mac(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: "invalid_token" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { error: "invalid_token" };
+  }
+  if (!Number.isFinite(claims.exp) || now >= claims.exp * 1000) {
+    return { error: "expired_token" };
+  }
+  return { payload: claims };
+}
+
+module.exports = {
+  DEFAULT_JOIN_URL_TTL_SECONDS,
+  signJoinToken,
+  verifyJoinToken,
+};
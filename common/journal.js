@@ -0,0 +1,150 @@
+// common/journal.js — per-client request journal
+//
+// requestJournal() records every call once its response is done. Handlers
+// attribute a call to a client with attribute(res, {...}); calls that never
+// get attributed (unknown credentials, load testing) are not journaled.
+// Each client keeps its last JOURNAL_LIMIT entries (default 200).
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { logger } = require("./logger");
+
+const DEFAULT_LIMIT = 200;
+const MAX_BODY_CHARS = 8192;
+const REDACTED = "[redacted]";
+
+const SECRET_HEADERS = ["authorization", "proxy-authorization", "cookie", "x-api-key"];
+const SECRET_FIELDS = [
+  "client_secret",
+  "client_assertion",
+  "clientSecret",
+  "code_verifier",
+  "password",
+  "token",
+  "access_token",
+  "refresh_token",
+];
+
+function journalLimit() {
+  const limit = Number(process.env.JOURNAL_LIMIT);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_LIMIT;
+}
+
+/**
+ * Mark the call as belonging to a client: { store, client, endpoint }, or
+ * { clientId, endpoint } while the caller is not authenticated yet.
+ */
+function attribute(res, fields) {
+  res.locals.journal = { ...res.locals.journal, ...fields };
+}
+
+// Keep the auth scheme so Basic vs Bearer stays visible
+function redactHeaders(headers) {
+  const out = { ...headers };
+  for (const name of SECRET_HEADERS) {
+    if (out[name] === undefined) continue;
+    const scheme = String(out[name]).match(/^(Basic|Bearer)\s/i);
+    out[name] = scheme ? `${scheme[1]} ${REDACTED}` : REDACTED;
+  }
+  return out;
+}
+
+function redactBody(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body ?? null;
+  const out = { ...body };
+  for (const field of SECRET_FIELDS) {
+    if (out[field] !== undefined) out[field] = REDACTED;
+  }
+  return out;
+}
+
+// Parse JSON response bodies; cap anything large so entries stay small
+function captureBody(chunk) {
+  if (chunk === undefined || chunk === null) return null;
+  const text = Buffer.isBuffer(chunk) ? chunk.toString("utf8") : String(chunk);
+  if (text.length > MAX_BODY_CHARS) return `${text.slice(0, MAX_BODY_CHARS)}…(truncated)`;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function resolveClient(store, journal) {
+  if (journal.client) return journal.client;
+  if (!journal.clientId) return null;
+  return store.clients.findById(journal.clientId);
+}
+
+function requestJournal() {
+  return (req, res, next) => {
+    const started = Date.now();
+    let responseBody = null;
+
+    const send = res.send;
+    res.send = function (chunk) {
+      if (typeof chunk === "string" || Buffer.isBuffer(chunk)) {
+        responseBody = captureBody(chunk);
+      }
+      return send.call(this, chunk);
+    };
+
+    res.on("close", () => {
+      const journal = res.locals.journal;
+      if (!journal) return;
+
+      const store = journal.store || getStore();
+      const entry = {
+        id: crypto.randomUUID(),
+        at: new Date(started).toISOString(),
+        method: req.method,
+        route: req.route?.path ?? null,
+        // Route prefix the API call came in under (common/routePrefixes.js)
+        prefix: req.apiPrefix?.path ?? null,
+        path: req.originalUrl,
+        endpoint: journal.endpoint || null,
+        headers: redactHeaders(req.headers),
+        body: redactBody(req.body),
+        // Dropped connections (fault injection, client abort) never finish
+        status: res.writableFinished ? res.statusCode : null,
+        aborted: !res.writableFinished,
+        responseBody: redactBody(responseBody),
+        latencyMs: Date.now() - started,
+        // Fixed per request by requestContext (common/logger.js)
+        correlationId: req.correlationId ?? null,
+      };
+
+      resolveClient(store, journal)
+        .then((client) => client && store.journal.append(client, entry, journalLimit()))
+        .catch((e) => logger.error("request journal failed", { error: e.message }));
+    });
+
+    next();
+  };
+}
+
+// status may be exact ("429") or a class ("4xx")
+function statusMatches(status, filter) {
+  if (/^[1-5]xx$/i.test(filter)) return String(status ?? "").startsWith(filter[0]);
+  return String(status) === String(filter);
+}
+
+/**
+ * Filter journal entries by { endpoint, status, from, to, correlationId }
+ * (all optional; from/to are ISO timestamps, inclusive).
+ */
+function filterEntries(entries, { endpoint, status, from, to, correlationId }) {
+  return entries.filter(
+    (e) =>
+      (!endpoint || e.endpoint === endpoint) &&
+      (!status || statusMatches(e.status, status)) &&
+      (!from || e.at >= from) &&
+      (!to || e.at <= to) &&
+      (!correlationId || e.correlationId === correlationId)
+  );
+}
+
+module.exports = {
+  attribute,
+  requestJournal,
+  filterEntries,
+};
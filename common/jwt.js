@@ -0,0 +1,71 @@
+// common/jwt.js — minimal JWS compact serialization (RS256 / ES256) on node:crypto
+const crypto = require("crypto");
+
+const ALGORITHMS = {
+  RS256: { hash: "sha256", dsaEncoding: undefined },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+};
+
+function b64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function looksLikeJwt(token) {
+  return typeof token === "string" && token.split(".").length === 3;
+}
+
+// Decode without verifying; returns { header, payload } or null
+function decode(token) {
+  if (!looksLikeJwt(token)) return null;
+  try {
+    const [h, p] = token.split(".");
+    return {
+      header: JSON.parse(Buffer.from(h, "base64url").toString("utf8")),
+      payload: JSON.parse(Buffer.from(p, "base64url").toString("utf8")),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sign payload with { kid, alg, privateKey } (privateKey: KeyObject or PEM).
+ */
+function sign(payload, { kid, alg, privateKey }) {
+  const spec = ALGORITHMS[alg];
+  if (!spec) throw new Error(`unsupported alg ${alg}`);
+
+  const signingInput = `${b64urlJson({ alg, typ: "JWT", kid })}.${b64urlJson(payload)}`;
+  const signature = crypto.sign(spec.hash, Buffer.from(signingInput), {
+    key: privateKey,
+    dsaEncoding: spec.dsaEncoding,
+  });
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Verify signature with publicKey (KeyObject, PEM or JWK object) and alg.
+ * Returns true/false; claim checks are left to the caller.
+ */
+function verifySignature(token, { alg, publicKey }) {
+  const spec = ALGORITHMS[alg];
+  if (!spec || !looksLikeJwt(token)) return false;
+
+  const key =
+    publicKey && typeof publicKey === "object" && publicKey.kty
+      ? crypto.createPublicKey({ key: publicKey, format: "jwk" })
+      : publicKey;
+  const [h, p, sig] = token.split(".");
+  try {
+    return crypto.verify(
+      spec.hash,
+      Buffer.from(`${h}.${p}`),
+      { key, dsaEncoding: spec.dsaEncoding },
+      Buffer.from(sig, "base64url")
+    );
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { ALGORITHMS, looksLikeJwt, decode, sign, verifySignature };
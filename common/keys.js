@@ -0,0 +1,159 @@
+// common/keys.js — JWT signing keys (server-wide), published at /.well-known/jwks.json
+const crypto = require("crypto");
+const { getStore } = require("./store");
+
+const DEFAULT_GRACE_SECONDS = 3600;
+const CACHE_TTL_MS = 60 * 1000;
+
+// Verification keys are cached so protected calls can validate JWTs locally
+let cache = { keys: null, loadedAt: 0 };
+// Signing keys per alg: { kid, alg, privateKey, loadedAt }
+const signingCache = new Map();
+
+function generateKeyPair(alg) {
+  if (alg === "RS256") {
+    return crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  }
+  if (alg === "ES256") {
+    return crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  }
+  throw new Error(`unsupported alg ${alg}`);
+}
+
+// RFC 7638 JWK thumbprint, used as kid
+function thumbprint(jwk) {
+  const members =
+    jwk.kty === "RSA"
+      ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+      : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(members))
+    .digest("base64url");
+}
+
+function newKeyDoc(alg, now) {
+  const { publicKey, privateKey } = generateKeyPair(alg);
+  const publicJwk = publicKey.export({ format: "jwk" });
+  const kid = thumbprint(publicJwk);
+  return {
+    kid,
+    alg,
+    status: "active",
+    createdAt: new Date(now).toISOString(),
+    publicJwk: { ...publicJwk, kid, alg, use: "sig" },
+    privateKeyPem: privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+}
+
+// Active keys, and retired keys whose notAfter is still ahead of `nowIso`
+function stillPublished(key, nowIso) {
+  return key.status !== "retired" || (Boolean(key.notAfter) && key.notAfter > nowIso);
+}
+
+// Active keys plus retired keys still inside their grace period. A cached
+// retired key drops out as soon as its notAfter passes, not on the next reload
+async function loadVerificationKeys(force = false) {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  if (!force && cache.keys && now - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.keys.filter((k) => stillPublished(k, nowIso));
+  }
+
+  const keys = await getStore().keys.listPublished(nowIso);
+
+  cache = { keys, loadedAt: now };
+  return keys;
+}
+
+/**
+ * Current signing key for alg; created on first use.
+ * Returns { kid, alg, privateKey }.
+ */
+async function getSigningKey(alg) {
+  const cached = signingCache.get(alg);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached;
+
+  const store = getStore();
+  let doc = await store.keys.findActive(alg);
+  if (!doc) {
+    doc = await store.keys.createActiveIfMissing(newKeyDoc(alg, Date.now()));
+    cache = { keys: null, loadedAt: 0 };
+  }
+
+  const key = {
+    kid: doc.kid,
+    alg: doc.alg,
+    privateKey: crypto.createPrivateKey(doc.privateKeyPem),
+    loadedAt: Date.now(),
+  };
+  signingCache.set(alg, key);
+  return key;
+}
+
+// Verification key for a token header; reloads once on an unknown kid
+async function findVerificationKey(kid) {
+  let keys = await loadVerificationKeys();
+  let key = keys.find((k) => k.kid === kid);
+  if (!key) {
+    keys = await loadVerificationKeys(true);
+    key = keys.find((k) => k.kid === kid);
+  }
+  return key ? { kid: key.kid, alg: key.alg, publicKey: key.publicJwk } : null;
+}
+
+async function getJwks() {
+  const keys = await loadVerificationKeys();
+  return { keys: keys.map((k) => k.publicJwk) };
+}
+
+/**
+ * Retire the active key for alg (kept published for graceSeconds) and
+ * create a new active one. Returns { kid, retired: [{ kid, notAfter }] }.
+ */
+async function rotateSigningKey(alg, graceSeconds = DEFAULT_GRACE_SECONDS) {
+  const store = getStore();
+  const now = Date.now();
+  const notAfter = new Date(now + graceSeconds * 1000).toISOString();
+
+  const retired = await store.keys.retireActive(
+    alg,
+    new Date(now).toISOString(),
+    notAfter
+  );
+
+  const doc = newKeyDoc(alg, now);
+  await store.keys.insert(doc);
+  cache = { keys: null, loadedAt: 0 };
+  signingCache.delete(alg);
+
+  return {
+    kid: doc.kid,
+    alg,
+    retired: retired.map((kid) => ({ kid, notAfter })),
+  };
+}
+
+// Admin listing (never includes private keys)
+async function listKeys() {
+  const now = new Date().toISOString();
+  const keys = await getStore().keys.list();
+  return keys.map((k) => ({
+    kid: k.kid,
+    alg: k.alg,
+    status: k.status,
+    createdAt: k.createdAt,
+    retiredAt: k.retiredAt || null,
+    notAfter: k.notAfter || null,
+    published: stillPublished(k, now),
+  }));
+}
+
+module.exports = {
+  DEFAULT_GRACE_SECONDS,
+  getSigningKey,
+  findVerificationKey,
+  getJwks,
+  rotateSigningKey,
+  listKeys,
+};
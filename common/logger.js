@@ -0,0 +1,168 @@
+// common/logger.js — request context and structured JSON logs
+//
+// requestContext() runs each request inside an AsyncLocalStorage context that
+// fixes its correlation ID: the caller's correlationid header when it sends a
+// usable one, else a new UUID. The ID is echoed in the CorrelationId response
+// header, used in response envelopes and the request journal, and added to
+// every log line written while the request is handled.
+//
+// Log lines are single JSON objects ({ level, time, msg, correlationId, … }).
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error or
+// silent; default info). Fields named like secrets (SECRET_KEYS plus the
+// comma-separated LOG_REDACT_KEYS) and Basic/Bearer credentials inside strings
+// are replaced with "[redacted]".
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = "info";
+
+const CORRELATION_HEADER = "correlationid";
+// Printable ASCII only, so a header cannot forge log lines
+const CORRELATION_ID_RE = /^[\x21-\x7e]{1,200}$/;
+
+const REDACTED = "[redacted]";
+const SECRET_KEYS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "x-admin-key",
+  "client_secret",
+  "clientSecret",
+  "client_assertion",
+  "code_verifier",
+  "password",
+  "secret",
+  "token",
+  "access_token",
+  "refresh_token",
+  "currentToken",
+  "currentRefreshToken",
+  "privateKeyPem",
+];
+const CREDENTIAL_RE = /\b(Basic|Bearer)\s+[^\s"',]+/gi;
+
+const storage = new AsyncLocalStorage();
+
+function currentLevel() {
+  const name = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[name] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+let redactKeys;
+function secretKeys() {
+  if (!redactKeys) {
+    const extra = (process.env.LOG_REDACT_KEYS || "").split(",").map((k) => k.trim());
+    redactKeys = new Set(
+      [...SECRET_KEYS, ...extra].filter(Boolean).map((k) => k.toLowerCase())
+    );
+  }
+  return redactKeys;
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === "string") return value.replace(CREDENTIAL_RE, `$1 ${REDACTED}`);
+  if (value instanceof Error) {
+    return { name: value.name, message: redact(value.message), stack: redact(value.stack) };
+  }
+  if (!value || typeof value !== "object") return value;
+  if (depth > 8) return "[nested]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, field] of Object.entries(value)) {
+    out[key] = secretKeys().has(key.toLowerCase()) ? REDACTED : redact(field, depth + 1);
+  }
+  return out;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < currentLevel()) return;
+  const context = storage.getStore();
+  const line = JSON.stringify({
+    level,
+    time: new Date().toISOString(),
+    msg,
+    ...(context ? { correlationId: context.correlationId } : {}),
+    ...redact(fields),
+  });
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+/**
+ * Correlation ID of the request being handled; a fresh UUID outside of one
+ * (startup, timers started before any request).
+ */
+function correlationId() {
+  return storage.getStore()?.correlationId ?? crypto.randomUUID();
+}
+
+// err() envelopes carry a numeric code, OAuth errors an error string
+function errorCodeOf(body, status) {
+  if (status < 400 || !body || typeof body !== "object") return null;
+  if (body.error?.code !== undefined) return String(body.error.code);
+  // Admin errors are sentences; only OAuth-style tokens make useful codes
+  if (typeof body.error === "string" && /^[a-z_]+$/.test(body.error)) return body.error;
+  return null;
+}
+
+// Health checks and scrapes would drown everything else at info
+const QUIET_ROUTES = ["/health", "/metrics"];
+
+/**
+ * First middleware of the app: sets req.correlationId and the response
+ * header, records the error code of JSON error responses in
+ * res.locals.errorCode, and writes one access log line per request.
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    const inbound = req.get(CORRELATION_HEADER);
+    const id = inbound && CORRELATION_ID_RE.test(inbound) ? inbound : crypto.randomUUID();
+    req.correlationId = id;
+    res.set("CorrelationId", id);
+
+    const json = res.json;
+    res.json = function (body) {
+      res.locals.errorCode = errorCodeOf(body, res.statusCode);
+      return json.call(this, body);
+    };
+
+    res.on("close", () => {
+      const journal = res.locals.journal;
+      const route = req.route?.path ?? null;
+      const fields = {
+        correlationId: id,
+        method: req.method,
+        // No query string (admin GETs carry client secrets there) and no join tokens
+        path: req.originalUrl.split("?")[0].replace(/^\/join\/.+/, `/join/${REDACTED}`),
+        route,
+        prefix: req.apiPrefix?.path ?? null,
+        client: journal?.client?.clientId ?? journal?.clientId ?? null,
+        // Dropped connections (fault injection, client abort) never finish
+        status: res.writableFinished ? res.statusCode : null,
+        aborted: !res.writableFinished,
+        errorCode: res.locals.errorCode ?? null,
+        latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+      };
+      const level = QUIET_ROUTES.includes(route) ? "debug" : "info";
+      write(level, "request", fields);
+    });
+
+    storage.run({ correlationId: id }, next);
+  };
+}
+
+module.exports = {
+  logger,
+  correlationId,
+  requestContext,
+};
@@ -0,0 +1,672 @@
+// common/openapi.js — OpenAPI 3 document for the mock (GET /openapi.json) and
+// the debug-mode response conformance check
+//
+// Request bodies reuse the strict-mode schemas (common/schemas.js); response
+// schemas follow what the controllers send. The VILT and OAuth paths are
+// relative to each route prefix (one server per prefix); admin, health, JWKS
+// and join paths are served at the root only.
+//
+// With OPENAPI_VALIDATE_RESPONSES=1 every JSON response is checked against
+// its operation's schema for that status, and violations are logged.
+const { SCHEMAS, checkSchema } = require("./schemas");
+const { GRANT_TYPES, RESPONSE_TYPES, PKCE_METHODS } = require("./clients");
+const { EXTENDED_OPTION_TYPES } = require("./extendedOptions");
+const { listPrefixes } = require("./routePrefixes");
+const { logger } = require("./logger");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const string = { type: "string" };
+const dateTime = { type: "string", format: "date-time" };
+const nullableDateTime = { ...dateTime, nullable: true };
+const anyObject = { type: "object" };
+
+// dateOrder is our own keyword; OpenAPI only allows it as an x- extension
+function requestSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(requestSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    out[key === "dateOrder" ? "x-date-order" : key] = requestSchema(value);
+  }
+  return out;
+}
+
+// { status, correlationId, timestamp } plus `data` when the endpoint returns some
+function envelope(data) {
+  return {
+    type: "object",
+    required: ["status", "correlationId", "timestamp", ...(data ? ["data"] : [])],
+    properties: {
+      status: string,
+      correlationId: string,
+      timestamp: dateTime,
+      ...(data ? { data } : {}),
+    },
+  };
+}
+
+function page(listName, items) {
+  return {
+    type: "object",
+    required: [listName],
+    properties: {
+      [listName]: { type: "array", items },
+      page: { type: "integer", minimum: 1 },
+      pageSize: { type: "integer", minimum: 1 },
+      total: { type: "integer", minimum: 0 },
+    },
+  };
+}
+
+const COMPONENT_SCHEMAS = {
+  ...Object.fromEntries(
+    Object.entries(SCHEMAS).map(([name, schema]) => [name, requestSchema(schema)])
+  ),
+
+  Envelope: envelope(),
+  ErrorEnvelope: {
+    type: "object",
+    required: ["status", "correlationId", "timestamp", "error"],
+    properties: {
+      status: { type: "string", enum: ["error"] },
+      correlationId: string,
+      timestamp: dateTime,
+      error: {
+        type: "object",
+        required: ["code", "message"],
+        properties: {
+          code: { type: "integer" },
+          message: string,
+          // Field problems for invalid_request_body, { from, to } for 40902, …
+          details: {},
+        },
+      },
+    },
+  },
+
+  SessionHistoryEntry: {
+    type: "object",
+    required: ["status", "at"],
+    properties: {
+      status: { type: "string", enum: ["active", "updated", "canceled"] },
+      at: dateTime,
+      request: anyObject,
+    },
+  },
+  Session: {
+    type: "object",
+    required: ["sessionId", "status"],
+    properties: {
+      sessionId: string,
+      status: { type: "string", enum: ["active", "updated", "canceled"] },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      request: anyObject,
+      history: { type: "array", items: ref("SessionHistoryEntry") },
+    },
+  },
+  Attendee: {
+    type: "object",
+    required: ["email"],
+    properties: {
+      email: string,
+      role: string,
+      joins: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["joinedAt"],
+          properties: { joinedAt: dateTime, leftAt: nullableDateTime },
+        },
+      },
+      firstJoinedAt: nullableDateTime,
+      lastLeftAt: nullableDateTime,
+      durationSeconds: { type: "integer", minimum: 0 },
+      attendancePercentage: { type: "number", minimum: 0 },
+    },
+  },
+  ExtendedOption: {
+    type: "object",
+    required: ["Type", "Id", "Name"],
+    properties: {
+      Type: { type: "string", enum: EXTENDED_OPTION_TYPES },
+      Id: string,
+      ParentId: { type: "string", nullable: true },
+      Name: string,
+      Description: { type: "string", nullable: true },
+      Placeholder: { type: "string", nullable: true },
+      Value: { type: "string", nullable: true },
+      IsNameVisible: { type: "boolean" },
+      IsMultiline: { type: "boolean" },
+      IsChecked: { type: "boolean" },
+      ChildExtendedOptions: { type: "array", items: ref("ExtendedOption") },
+    },
+  },
+
+  TokenRequest: {
+    type: "object",
+    required: ["grant_type"],
+    properties: {
+      grant_type: { type: "string", enum: GRANT_TYPES },
+      client_id: string,
+      client_secret: string,
+      client_assertion_type: string,
+      client_assertion: string,
+      scope: string,
+      code: string,
+      redirect_uri: string,
+      code_verifier: string,
+      refresh_token: string,
+    },
+  },
+  TokenResponse: {
+    type: "object",
+    required: ["access_token", "token_type", "expires_in"],
+    properties: {
+      access_token: string,
+      token_type: string,
+      expires_in: { type: "integer", minimum: 0 },
+      refresh_token: string,
+      scope: string,
+    },
+  },
+  TokenRequestByValue: {
+    type: "object",
+    required: ["token"],
+    properties: {
+      token: string,
+      token_type_hint: { type: "string", enum: ["access_token", "refresh_token"] },
+      client_id: string,
+      client_secret: string,
+    },
+  },
+  Introspection: {
+    type: "object",
+    required: ["active"],
+    properties: {
+      active: { type: "boolean" },
+      scope: string,
+      client_id: string,
+      token_type: string,
+      exp: { type: "integer" },
+      iat: { type: "integer" },
+      sub: string,
+      iss: string,
+      aud: {},
+      jti: string,
+    },
+  },
+  OAuthError: {
+    type: "object",
+    required: ["error"],
+    properties: { error: string, error_description: string },
+  },
+  AuthorizationServerMetadata: {
+    type: "object",
+    required: ["issuer", "token_endpoint", "grant_types_supported"],
+    properties: {
+      issuer: { type: "string", format: "uri" },
+      authorization_endpoint: { type: "string", format: "uri" },
+      token_endpoint: { type: "string", format: "uri" },
+      introspection_endpoint: { type: "string", format: "uri" },
+      revocation_endpoint: { type: "string", format: "uri" },
+      jwks_uri: { type: "string", format: "uri" },
+      response_types_supported: { type: "array", items: { type: "string", enum: RESPONSE_TYPES } },
+      grant_types_supported: { type: "array", items: { type: "string", enum: GRANT_TYPES } },
+      token_endpoint_auth_methods_supported: { type: "array", items: string },
+      scopes_supported: { type: "array", items: string },
+      code_challenge_methods_supported: {
+        type: "array",
+        items: { type: "string", enum: PKCE_METHODS },
+      },
+    },
+  },
+  Jwks: {
+    type: "object",
+    required: ["keys"],
+    properties: { keys: { type: "array", items: anyObject } },
+  },
+
+  AdminError: {
+    type: "object",
+    required: ["error"],
+    properties: { error: string, details: {} },
+  },
+};
+
+const sessionIdParam = {
+  name: "SessionId",
+  in: "path",
+  required: true,
+  schema: string,
+};
+
+const pageParams = [
+  { name: "page", in: "query", schema: { type: "integer", minimum: 1, default: 1 } },
+  {
+    name: "pageSize",
+    in: "query",
+    schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+  },
+];
+
+// Error responses of the VILT endpoints all use the error envelope
+const viltErrors = { default: json("Error envelope", ref("ErrorEnvelope")) };
+
+function vilt(summary, { body, parameters, data, description } = {}) {
+  return {
+    tags: ["VILT"],
+    summary,
+    ...(description ? { description } : {}),
+    security: [{ bearerAuth: [] }, { basicAuth: [] }],
+    ...(parameters ? { parameters } : {}),
+    ...(body
+      ? { requestBody: { required: true, ...json(`${body} payload`, ref(body)) } }
+      : {}),
+    responses: {
+      200: json("Success envelope", data ? envelope(data) : ref("Envelope")),
+      ...viltErrors,
+    },
+  };
+}
+
+const form = (schema) => ({
+  required: true,
+  content: {
+    "application/x-www-form-urlencoded": { schema },
+    "application/json": { schema },
+  },
+});
+
+const oauthErrors = { default: json("OAuth error", ref("OAuthError")) };
+
+// Unknown clients and redirect URIs cannot be redirected back to
+const authorizeErrors = {
+  default: { description: "Error page", content: { "text/html": { schema: string } } },
+};
+
+const API_PATHS = {
+  "/oauth/token": {
+    post: {
+      tags: ["OAuth"],
+      summary: "Issue an access token",
+      description:
+        "Client authentication: client_secret_post, client_secret_basic or private_key_jwt.",
+      requestBody: form(ref("TokenRequest")),
+      responses: { 200: json("Token", ref("TokenResponse")), ...oauthErrors },
+    },
+  },
+  "/oauth/introspect": {
+    post: {
+      tags: ["OAuth"],
+      summary: "Introspect a token (RFC 7662)",
+      requestBody: form(ref("TokenRequestByValue")),
+      responses: { 200: json("Token state", ref("Introspection")), ...oauthErrors },
+    },
+  },
+  "/oauth/revoke": {
+    post: {
+      tags: ["OAuth"],
+      summary: "Revoke a token (RFC 7009)",
+      requestBody: form(ref("TokenRequestByValue")),
+      responses: { 200: { description: "Revoked, or the token was unknown" }, ...oauthErrors },
+    },
+  },
+  "/oauth/authorize": {
+    get: {
+      tags: ["OAuth"],
+      summary: "Authorization code consent page",
+      parameters: [
+        "response_type",
+        "client_id",
+        "redirect_uri",
+        "scope",
+        "state",
+        "code_challenge",
+        "code_challenge_method",
+      ].map((name) => ({ name, in: "query", schema: string })),
+      responses: {
+        200: { description: "Consent page", content: { "text/html": { schema: string } } },
+        302: { description: "Redirect back to the client with an error" },
+        ...authorizeErrors,
+      },
+    },
+    post: {
+      tags: ["OAuth"],
+      summary: "Submit the consent decision",
+      responses: {
+        302: { description: "Redirect back to the client with code or error" },
+        ...authorizeErrors,
+      },
+    },
+  },
+  "/.well-known/oauth-authorization-server": {
+    get: {
+      tags: ["Discovery"],
+      summary: "Authorization server metadata (RFC 8414)",
+      responses: { 200: json("Metadata", ref("AuthorizationServerMetadata")), ...oauthErrors },
+    },
+  },
+  "/.well-known/openid-configuration": {
+    get: {
+      tags: ["Discovery"],
+      summary: "OpenID provider configuration",
+      responses: { 200: json("Metadata", ref("AuthorizationServerMetadata")), ...oauthErrors },
+    },
+  },
+
+  "/session": {
+    post: vilt("Create a session", { body: "CreateSession" }),
+    get: vilt("List sessions, oldest first", {
+      parameters: [
+        {
+          name: "status",
+          in: "query",
+          schema: { type: "string", enum: ["active", "updated", "canceled"] },
+        },
+        ...pageParams,
+      ],
+      data: page("sessions", ref("Session")),
+    }),
+  },
+  "/session/{SessionId}": {
+    get: vilt("Read a session with its history", {
+      parameters: [sessionIdParam],
+      data: { type: "object", required: ["session"], properties: { session: ref("Session") } },
+    }),
+    put: vilt("Update a session", { parameters: [sessionIdParam], body: "UpdateSession" }),
+    delete: vilt("Cancel a session", { parameters: [sessionIdParam] }),
+  },
+  "/session/{SessionId}/attendees": {
+    get: vilt("Session attendance", {
+      parameters: [
+        sessionIdParam,
+        { name: "since", in: "query", schema: dateTime },
+        ...pageParams,
+      ],
+      data: page("attendees", ref("Attendee")),
+    }),
+  },
+  "/session/{SessionId}/extendedoptions": {
+    get: vilt("Extended options tree for the session", {
+      parameters: [sessionIdParam, { name: "debug", in: "header", schema: { type: "boolean" } }],
+      data: {
+        type: "object",
+        required: ["extendedOptions"],
+        properties: { extendedOptions: { type: "array", items: ref("ExtendedOption") } },
+      },
+    }),
+  },
+  "/session/{SessionId}/user/{base64EncodedEmail}/url": {
+    get: vilt("Signed join URL for a user", {
+      parameters: [
+        sessionIdParam,
+        { name: "base64EncodedEmail", in: "path", required: true, schema: string },
+      ],
+      data: {
+        type: "object",
+        required: ["joinUrl"],
+        properties: { joinUrl: { type: "string", format: "uri" }, expiresAt: dateTime },
+      },
+    }),
+  },
+  "/instructor": {
+    post: vilt("Add an instructor", { body: "AddInstructor" }),
+    put: vilt("Update an instructor", { body: "UpdateInstructor" }),
+  },
+};
+
+// Admin routes: [method, path, summary]. Parameters come from the body or the
+// query string; most take client_id + client_secret to select the client.
+const ADMIN_ROUTES = [
+  ["get", "/admin/audit", "Operator audit log"],
+  ["post", "/admin/reset", "Reset a client's tokens, usage and sessions"],
+  ["get", "/admin/metrics", "Client usage counters"],
+  ["post", "/admin/config", "Update client settings"],
+  ["get", "/admin/tokens", "Issued tokens"],
+  ["get", "/admin/requests", "Request journal"],
+  ["post", "/admin/attendance", "Seed attendance for a session"],
+  ["delete", "/admin/attendance", "Clear seeded attendance"],
+  ["get", "/admin/extended-options", "Effective extended options tree"],
+  ["post", "/admin/extended-options", "Set the client or session extended options tree"],
+  ["delete", "/admin/extended-options", "Clear an extended options tree"],
+  ["get", "/admin/webhooks", "Registered webhooks"],
+  ["post", "/admin/webhooks", "Register a webhook"],
+  ["delete", "/admin/webhooks", "Remove webhooks"],
+  ["post", "/admin/webhooks/simulate", "Emit a webhook event"],
+  ["get", "/admin/webhooks/deliveries", "Webhook delivery log"],
+  ["post", "/admin/webhooks/deliveries/retry", "Make due webhook delivery attempts"],
+  ["get", "/admin/faults", "Fault injection rules"],
+  ["post", "/admin/faults", "Add a fault injection rule"],
+  ["delete", "/admin/faults", "Remove fault injection rules"],
+  ["get", "/admin/prefixes", "Route prefixes"],
+  ["post", "/admin/prefixes", "Register a route prefix"],
+  ["delete", "/admin/prefixes", "Remove a route prefix"],
+  ["get", "/admin/clients", "List clients"],
+  ["post", "/admin/clients", "Create a client"],
+  ["get", "/admin/clients/{clientId}", "Read a client"],
+  ["put", "/admin/clients/{clientId}", "Update a client"],
+  ["delete", "/admin/clients/{clientId}", "Delete a client"],
+  ["post", "/admin/clients/{clientId}/rotate-secret", "Rotate a client's secret"],
+  ["get", "/admin/keys", "Signing keys"],
+  ["post", "/admin/keys/rotate", "Rotate the signing key"],
+  ["get", "/admin/clock", "A client's virtual clock"],
+  ["post", "/admin/clock", "Freeze, resume or offset a client's clock"],
+  ["post", "/admin/clock/advance", "Move a client's clock forward or back"],
+  ["delete", "/admin/clock", "Put a client back on real time"],
+];
+
+function adminOperation(method, path, summary) {
+  const parameters = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: string,
+  }));
+  return {
+    tags: ["Admin"],
+    summary,
+    security: [{ adminKey: [] }],
+    ...(parameters.length ? { parameters } : {}),
+    ...(method === "get" || method === "delete"
+      ? {}
+      : { requestBody: { content: { "application/json": { schema: anyObject } } } }),
+    responses: {
+      "2XX": json("Result", anyObject),
+      default: json("Admin error", ref("AdminError")),
+    },
+  };
+}
+
+// Paths served at the root only (no route prefix)
+function rootPaths() {
+  const paths = {
+    "/health": {
+      get: {
+        tags: ["Meta"],
+        summary: "Liveness",
+        responses: { 200: json("OK", { type: "object", properties: { ok: { type: "boolean" } } }) },
+      },
+    },
+    "/openapi.json": {
+      get: {
+        tags: ["Meta"],
+        summary: "This document",
+        responses: { 200: json("OpenAPI document", anyObject) },
+      },
+    },
+    "/metrics": {
+      get: {
+        tags: ["Meta"],
+        summary: "Prometheus metrics",
+        security: [{}, { metricsToken: [] }],
+        responses: {
+          200: {
+            description: "Text exposition format",
+            content: { "text/plain": { schema: string } },
+          },
+          401: { description: "METRICS_TOKEN is set and the bearer token does not match" },
+        },
+      },
+    },
+    "/.well-known/jwks.json": {
+      get: {
+        tags: ["Discovery"],
+        summary: "Token signing keys",
+        responses: { 200: json("JWKS", ref("Jwks")), ...oauthErrors },
+      },
+    },
+    "/join/{token}": {
+      get: {
+        tags: ["Meta"],
+        summary: "Mock meeting page behind join URLs",
+        parameters: [{ name: "token", in: "path", required: true, schema: string }],
+        responses: {
+          default: { description: "Meeting page", content: { "text/html": { schema: string } } },
+        },
+      },
+    },
+  };
+  for (const [method, path, summary] of ADMIN_ROUTES) {
+    paths[path] = { ...paths[path], [method]: adminOperation(method, path, summary) };
+  }
+  return paths;
+}
+
+const ROOT_PATHS = rootPaths();
+const OPERATIONS = { ...API_PATHS, ...ROOT_PATHS };
+
+/**
+ * The OpenAPI document for `origin` (scheme + host): one server per route
+ * prefix for the OAuth and VILT paths, the bare origin for the rest.
+ */
+async function buildSpec(origin) {
+  const prefixes = await listPrefixes();
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Mock OAuth and VILT API",
+      version: "1.0.0",
+      description:
+        "Mock of the VILT session API and its OAuth server. Prefixes tied to a " +
+        "client only accept that client.",
+    },
+    servers: prefixes.map((p) => ({
+      url: `${origin}${p.path}`,
+      ...(p.clientId ? { description: `only for client ${p.clientId}` } : {}),
+    })),
+    tags: ["OAuth", "Discovery", "VILT", "Admin", "Meta"].map((name) => ({ name })),
+    paths: {
+      ...API_PATHS,
+      // Root-only paths override the per-prefix servers
+      ...Object.fromEntries(
+        Object.entries(ROOT_PATHS).map(([path, item]) => [
+          path,
+          { servers: [{ url: origin }], ...item },
+        ])
+      ),
+    },
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        basicAuth: {
+          type: "http",
+          scheme: "basic",
+          description: "client_id:client_secret, for clients with basicAuthEnabled",
+        },
+        adminKey: { type: "apiKey", in: "header", name: "X-Admin-Key" },
+        metricsToken: { type: "http", scheme: "bearer", description: "METRICS_TOKEN" },
+      },
+    },
+  };
+}
+
+// Path templates as regexes, most specific (longest) first
+const OPERATION_PATHS = Object.keys(OPERATIONS)
+  .sort((a, b) => b.length - a.length)
+  .map((template) => ({
+    template,
+    re: new RegExp(`^${template.replace(/\{\w+\}/g, "[^/]+").replace(/\./g, "\\.")}$`),
+  }));
+
+function resolveRef(ref) {
+  return COMPONENT_SCHEMAS[ref.split("/").pop()];
+}
+
+// Path of the request relative to its route prefix
+function operationPath(req) {
+  const path = req.originalUrl.split("?")[0];
+  const prefix = req.apiPrefix?.path ?? "";
+  return path.slice(prefix.length) || "/";
+}
+
+/**
+ * Problems with `body` as the response to `req` with `status`, or null when
+ * the spec has no operation for the request (e.g. unknown routes).
+ */
+function responseProblems(req, status, body) {
+  const path = operationPath(req);
+  const match = OPERATION_PATHS.find((p) => p.re.test(path));
+  const operation = match && OPERATIONS[match.template][req.method.toLowerCase()];
+  if (!operation) return null;
+
+  const responses = operation.responses;
+  const response =
+    responses[status] ?? responses[`${String(status)[0]}XX`] ?? responses.default;
+  if (!response) {
+    const problem = { path: "(status)", message: `${status} is not documented` };
+    return { template: match.template, problems: [problem] };
+  }
+  const schema = response.content?.["application/json"]?.schema;
+  if (!schema) {
+    const problem = { path: "(body)", message: "no JSON body is documented" };
+    return { template: match.template, problems: [problem] };
+  }
+  return { template: match.template, problems: checkSchema(schema, body, resolveRef) };
+}
+
+function validationEnabled() {
+  return process.env.OPENAPI_VALIDATE_RESPONSES === "1";
+}
+
+/**
+ * Debug middleware (OPENAPI_VALIDATE_RESPONSES=1): checks every res.json()
+ * body against the spec and logs the violations. Responses are sent as is.
+ */
+function responseConformance() {
+  return (req, res, next) => {
+    if (!validationEnabled()) return next();
+
+    const send = res.json;
+    res.json = function (body) {
+      try {
+        const result = responseProblems(req, res.statusCode, body);
+        if (result?.problems.length) {
+          logger.warn("OpenAPI violation", {
+            method: req.method,
+            path: result.template,
+            status: res.statusCode,
+            problems: result.problems,
+          });
+        }
+      } catch (e) {
+        logger.error("OpenAPI response check failed", { error: e.message });
+      }
+      return send.call(this, body);
+    };
+    return next();
+  };
+}
+
+module.exports = {
+  buildSpec,
+  responseProblems,
+  responseConformance,
+};
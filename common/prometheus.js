@@ -0,0 +1,210 @@
+// common/prometheus.js — Prometheus metrics served at GET /metrics
+//
+// Counters and histograms live in process memory, so each instance (each
+// serverless instance on Vercel) reports its own numbers since it started.
+//   http_requests_total / http_request_duration_seconds
+//       every request, by route, prefix, client, status and error_code
+//   oauth_tokens_issued_total / _rotated_total / _reused_total
+//       access tokens minted for a client without a current token, minted to
+//       replace one, or handed back because the current one was still valid
+//   oauth_refresh_token_reuse_detected_total
+//       used refresh tokens presented again (their family gets revoked)
+//   mongodb_operation_duration_seconds
+//       every Mongo command, by collection, operation and outcome
+
+// Seconds; the upper buckets cover injected latency (common/faults.js)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelText(names, values) {
+  if (names.length === 0) return "";
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(",")}}`;
+}
+
+// Label values in labelNames order; missing labels are ""
+function seriesKey(labelNames, labels) {
+  const values = labelNames.map((name) => String(labels[name] ?? ""));
+  return { key: JSON.stringify(values), values };
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const { key, values } = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { values, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { values, value } of series.values()) {
+        lines.push(`${name}${labelText(labelNames, values)} ${value}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  const metric = {
+    observe(labels = {}, seconds) {
+      const { key, values } = seriesKey(labelNames, labels);
+      const entry = series.get(key) || {
+        values,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((le, i) => {
+        if (seconds <= le) entry.counts[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      const names = [...labelNames, "le"];
+      for (const { values, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${labelText(names, [...values, le])} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${labelText(names, [...values, "+Inf"])} ${count}`);
+        lines.push(`${name}_sum${labelText(labelNames, values)} ${sum}`);
+        lines.push(`${name}_count${labelText(labelNames, values)} ${count}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+const HTTP_LABELS = ["method", "route", "prefix", "client", "status", "error_code"];
+
+const httpRequests = counter("http_requests_total", "HTTP requests handled", HTTP_LABELS);
+const httpDuration = histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency in seconds",
+  HTTP_LABELS
+);
+
+const tokensIssued = counter(
+  "oauth_tokens_issued_total",
+  "Access tokens issued to clients without a current token",
+  ["client", "grant_type"]
+);
+const tokensRotated = counter(
+  "oauth_tokens_rotated_total",
+  "Access tokens issued to replace the client's current token",
+  ["client", "grant_type"]
+);
+const tokensReused = counter(
+  "oauth_tokens_reused_total",
+  "Token requests answered with the still valid current token",
+  ["client", "grant_type"]
+);
+const refreshTokenReuse = counter(
+  "oauth_refresh_token_reuse_detected_total",
+  "Used refresh tokens presented again",
+  ["client"]
+);
+
+const mongoDuration = histogram(
+  "mongodb_operation_duration_seconds",
+  "MongoDB command latency in seconds",
+  ["collection", "operation", "outcome"]
+);
+
+/**
+ * Count a newly minted access token for `client`: "issued" when the client had
+ * no current token, "rotated" when it replaces one.
+ */
+function recordTokenIssued(client, grantType) {
+  const metric = client?.currentToken ? tokensRotated : tokensIssued;
+  metric.inc({ client: client?.clientId, grant_type: grantType });
+}
+
+function recordTokenReused(client, grantType) {
+  tokensReused.inc({ client: client?.clientId, grant_type: grantType });
+}
+
+function recordRefreshTokenReuse(client) {
+  refreshTokenReuse.inc({ client: client?.clientId });
+}
+
+/**
+ * Time Mongo commands through the driver's command monitoring; `mongoClient`
+ * must be created with monitorCommands: true.
+ */
+function monitorMongo(mongoClient) {
+  // requestId -> collection; commandStarted is the only event that has the command
+  const pending = new Map();
+  mongoClient.on("commandStarted", (e) => {
+    const target = e.command?.[e.commandName];
+    pending.set(e.requestId, typeof target === "string" ? target : "");
+  });
+  const done = (outcome) => (e) => {
+    const collection = pending.get(e.requestId) ?? "";
+    pending.delete(e.requestId);
+    mongoDuration.observe(
+      { collection, operation: e.commandName, outcome },
+      e.duration / 1000
+    );
+  };
+  mongoClient.on("commandSucceeded", done("ok"));
+  mongoClient.on("commandFailed", done("error"));
+}
+
+/**
+ * Middleware recording http_requests_total and http_request_duration_seconds
+ * once the response is done. The client comes from the request journal's
+ * attribution (common/journal.js), so unauthenticated calls have none; the
+ * error code from requestContext (common/logger.js).
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+
+    res.on("close", () => {
+      const journal = res.locals.journal;
+      const labels = {
+        method: req.method,
+        route: req.route?.path ?? "unmatched",
+        // "/" is the root prefix; non-API routes have none
+        prefix: req.apiPrefix ? req.apiPrefix.path || "/" : "",
+        client: journal?.client?.clientId ?? journal?.clientId ?? "",
+        // Dropped connections (fault injection, client abort) never finish
+        status: res.writableFinished ? res.statusCode : "aborted",
+        error_code: res.locals.errorCode ?? "",
+      };
+      httpRequests.inc(labels);
+      httpDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+
+    next();
+  };
+}
+
+// Text exposition format 0.0.4
+function render() {
+  return `${registry.flatMap((metric) => metric.render()).join("\n")}\n`;
+}
+
+module.exports = {
+  httpMetrics,
+  monitorMongo,
+  recordTokenIssued,
+  recordTokenReused,
+  recordRefreshTokenReuse,
+  render,
+};
@@ -0,0 +1,148 @@
+// common/rateLimit.js — per-client, per-endpoint rate limits
+//
+// Configured through /admin/config as `rateLimits`, keyed by handler name
+// (createSession, ..., token, introspect, revoke, authorize) or `default` for
+// endpoints without their own entry:
+//   { "token": { "limit": 5, "windowSeconds": 60, "strategy": "fixed-window" },
+//     "default": { "limit": 10, "windowSeconds": 1, "strategy": "token-bucket" } }
+//
+// fixed-window  at most `limit` calls per aligned window of windowSeconds
+// token-bucket  bucket of `limit` tokens refilled at limit / windowSeconds per second
+//
+// Bucket state lives in the store so every instance sees the same counters.
+const { ENDPOINT_SCOPES } = require("./scopes");
+const { OAUTH_ENDPOINTS } = require("./faults");
+
+const RATE_LIMIT_STRATEGIES = ["fixed-window", "token-bucket"];
+const RATE_LIMIT_ENDPOINTS = [...Object.keys(ENDPOINT_SCOPES), ...OAUTH_ENDPOINTS, "default"];
+
+// Concurrent updates of the same bucket are retried this often before giving up
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Validate the rateLimits setting (object or JSON string).
+ * Returns { limits } or { error }; an empty object turns rate limiting off.
+ */
+function parseRateLimits(value) {
+  let input = value;
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return { error: "rateLimits must be a JSON object" };
+    }
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "rateLimits must be an object keyed by endpoint" };
+  }
+
+  const limits = {};
+  for (const [endpoint, rule] of Object.entries(input)) {
+    if (!RATE_LIMIT_ENDPOINTS.includes(endpoint)) {
+      return {
+        error: `rateLimits keys must be any of ${RATE_LIMIT_ENDPOINTS.join(", ")}`,
+      };
+    }
+    const limit = Number(rule?.limit);
+    const windowSeconds = Number(rule?.windowSeconds);
+    const strategy = rule?.strategy ?? "fixed-window";
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: `rateLimits.${endpoint}.limit must be an integer >= 1` };
+    }
+    if (!Number.isFinite(windowSeconds) || windowSeconds <= 0) {
+      return { error: `rateLimits.${endpoint}.windowSeconds must be > 0` };
+    }
+    if (!RATE_LIMIT_STRATEGIES.includes(strategy)) {
+      return {
+        error: `rateLimits.${endpoint}.strategy must be ${RATE_LIMIT_STRATEGIES.join(" or ")}`,
+      };
+    }
+    limits[endpoint] = { limit, windowSeconds, strategy };
+  }
+  return { limits };
+}
+
+function ruleFor(client, endpoint) {
+  const limits = client.rateLimits || {};
+  return limits[endpoint] || limits.default || null;
+}
+
+/**
+ * Take one call out of `state` (null for a fresh bucket).
+ * Returns { allowed, retryAfter (seconds, when not allowed), next }.
+ */
+function take(state, rule, nowMs) {
+  const windowMs = rule.windowSeconds * 1000;
+  const current = state && state.strategy === rule.strategy ? state : null;
+  const rev = (state?.rev || 0) + 1;
+
+  if (rule.strategy === "token-bucket") {
+    const elapsed = current ? Math.max(0, nowMs - current.updatedAt) : 0;
+    const tokens = current
+      ? Math.min(rule.limit, current.tokens + (elapsed * rule.limit) / windowMs)
+      : rule.limit;
+    if (tokens >= 1) {
+      return {
+        allowed: true,
+        next: { strategy: rule.strategy, tokens: tokens - 1, updatedAt: nowMs, rev },
+      };
+    }
+    const waitMs = ((1 - tokens) * windowMs) / rule.limit;
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) };
+  }
+
+  const windowStart = Math.floor(nowMs / windowMs) * windowMs;
+  const count = current && current.windowStart === windowStart ? current.count : 0;
+  if (count < rule.limit) {
+    return {
+      allowed: true,
+      next: { strategy: rule.strategy, windowStart, count: count + 1, rev },
+    };
+  }
+  const waitMs = windowStart + windowMs - nowMs;
+  return { allowed: false, retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) };
+}
+
+/**
+ * Count a call against the client's limit for `endpoint`.
+ * Returns { allowed: true } or { allowed: false, retryAfter }.
+ */
+async function consume(store, client, endpoint, nowMs = Date.now()) {
+  const rule = ruleFor(client, endpoint);
+  if (!rule) return { allowed: true };
+
+  let result = { allowed: true };
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const state = await store.rateLimits.getState(client, endpoint);
+    result = take(state, rule, nowMs);
+    if (!result.allowed) return result;
+    if (await store.rateLimits.setState(client, endpoint, state, result.next)) {
+      return result;
+    }
+  }
+  // Lost every race: let the call through rather than failing it
+  return result;
+}
+
+/**
+ * Enforce the client's rate limit for `endpoint`.
+ * On throttle: 429 + Retry-After with renderError(42901, "rate_limited"),
+ * throttled.<endpoint> counted for /admin/metrics, and true is returned.
+ */
+async function throttle(req, res, { store, client, endpoint, renderError }) {
+  const result = await consume(store, client, endpoint);
+  if (result.allowed) return false;
+
+  await store.usage.increment(client, { [`throttled.${endpoint.toLowerCase()}`]: 1 });
+  res.set("Retry-After", String(result.retryAfter));
+  res.status(429).json(renderError(42901, "rate_limited"));
+  return true;
+}
+
+module.exports = {
+  RATE_LIMIT_STRATEGIES,
+  RATE_LIMIT_ENDPOINTS,
+  parseRateLimits,
+  consume,
+  throttle,
+};
@@ -0,0 +1,139 @@
+// common/routePrefixes.js — base paths the OAuth and VILT API is served under
+//
+// The API router (index.js) is mounted under every prefix: the configured ones
+// plus those registered through /admin/prefixes. API_PREFIXES overrides the
+// defaults with a JSON array of paths or { path, clientId } objects, e.g.
+//   API_PREFIXES=["", "/api", {"path": "/acme/v2", "clientId": "acme"}]
+// A prefix with a clientId only accepts that client (token endpoints and API
+// calls alike), mimicking a provider that gives each tenant its own base URL.
+const { getStore } = require("./store");
+
+const DEFAULT_PREFIXES = ["", "/api", "/folder1/folder2/api", "/folder1/folder2/folder3/api"];
+
+// First path segments owned by app-level routes, which are matched first
+const RESERVED_SEGMENTS = ["admin", "join", "health", "metrics", "openapi.json", ".well-known"];
+
+// Registered prefixes are re-read from the store at most this often (ms)
+const DEFAULT_CACHE_MS = 5000;
+
+/**
+ * Normalize a prefix path: leading slash, no trailing slash, "/" -> "".
+ * Returns { path } or { error }.
+ */
+function normalizePrefix(input) {
+  if (typeof input !== "string") return { error: "path must be a string" };
+  const path = input.trim().replace(/\/+$/, "");
+  if (path === "") return { path };
+  if (!path.startsWith("/")) return { error: "path must start with /" };
+
+  const segments = path.slice(1).split("/");
+  if (!segments.every((s) => /^[A-Za-z0-9._~-]+$/.test(s))) {
+    return { error: "path segments may only contain letters, digits and . _ ~ -" };
+  }
+  if (RESERVED_SEGMENTS.includes(segments[0])) {
+    return { error: `path must not start with /${segments[0]}` };
+  }
+  return { path };
+}
+
+let configured;
+function configuredPrefixes() {
+  if (configured) return configured;
+
+  const raw = process.env.API_PREFIXES ? JSON.parse(process.env.API_PREFIXES) : DEFAULT_PREFIXES;
+  if (!Array.isArray(raw)) throw new Error("API_PREFIXES must be a JSON array");
+  configured = raw.map((entry) => {
+    const spec = typeof entry === "string" ? { path: entry } : entry || {};
+    const { path, error } = normalizePrefix(spec.path);
+    if (error) throw new Error(`API_PREFIXES: ${JSON.stringify(spec.path)} ${error}`);
+    return { path, clientId: spec.clientId ?? null, source: "config" };
+  });
+  return configured;
+}
+
+let cached = null;
+let cachedAt = 0;
+
+function cacheMs() {
+  const value = Number(process.env.PREFIX_CACHE_MS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_CACHE_MS;
+}
+
+/**
+ * All prefixes, longest path first: configured ones, then registered ones
+ * (a registered path never duplicates a configured one).
+ */
+async function listPrefixes({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cachedAt < cacheMs()) return cached;
+
+  const registered = (await getStore().routePrefixes.list()).map((p) => ({
+    path: p.path,
+    clientId: p.clientId ?? null,
+    source: "admin",
+    createdAt: p.createdAt,
+  }));
+  cached = [...configuredPrefixes(), ...registered].sort((a, b) => b.path.length - a.path.length);
+  cachedAt = Date.now();
+  return cached;
+}
+
+// Drop the cache after /admin/prefixes changes (other instances catch up within PREFIX_CACHE_MS)
+function invalidatePrefixes() {
+  cached = null;
+}
+
+// True when the request's prefix is open to clientId
+function prefixAllows(req, clientId) {
+  const owner = req.apiPrefix?.clientId;
+  return !owner || owner === clientId;
+}
+
+/**
+ * Middleware serving `router` under every prefix. Like app.use(path, router)
+ * it strips the prefix from req.url and sets req.baseUrl; req.apiPrefix is
+ * the matched { path, clientId }. Prefixes are tried longest first and a
+ * request no route matched falls through to the next one.
+ */
+function prefixRouter(router) {
+  return async (req, res, next) => {
+    let prefixes;
+    try {
+      prefixes = await listPrefixes();
+    } catch (e) {
+      return next(e);
+    }
+    const candidates = prefixes.filter(
+      (p) => p.path === "" || req.path === p.path || req.path.startsWith(`${p.path}/`)
+    );
+
+    const dispatch = (i) => {
+      if (i >= candidates.length) return next();
+
+      const prefix = candidates[i];
+      const { url, baseUrl } = req;
+      const rest = url.slice(prefix.path.length);
+      req.url = rest.startsWith("/") ? rest : `/${rest}`;
+      req.baseUrl = baseUrl + prefix.path;
+      req.apiPrefix = { path: prefix.path, clientId: prefix.clientId };
+
+      router(req, res, (e) => {
+        req.url = url;
+        req.baseUrl = baseUrl;
+        delete req.apiPrefix;
+        if (e && e !== "router") return next(e);
+        dispatch(i + 1);
+      });
+    };
+    dispatch(0);
+  };
+}
+
+module.exports = {
+  DEFAULT_PREFIXES,
+  normalizePrefix,
+  configuredPrefixes,
+  listPrefixes,
+  invalidatePrefixes,
+  prefixAllows,
+  prefixRouter,
+};
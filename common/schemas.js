@@ -0,0 +1,178 @@
+// common/schemas.js — request body schemas for strict mode
+//
+// Clients with strictValidation (see /admin/config) get their VILT request
+// bodies checked against these schemas; everyone else stays lenient.
+// Schemas use a small JSON Schema subset: type, required, properties, items,
+// format (email, date-time), minLength, minimum. dateOrder lists date-time
+// fields that must not go backwards ([earlier, later]). checkSchema also
+// understands enum, nullable, additionalProperties and $ref, for the OpenAPI
+// response schemas in common/openapi.js.
+
+const nonEmptyString = { type: "string", minLength: 1 };
+const email = { type: "string", format: "email" };
+const dateTime = { type: "string", format: "date-time" };
+
+const Instructor = {
+  type: "object",
+  required: ["Email", "FirstName", "LastName"],
+  properties: {
+    Email: email,
+    FirstName: nonEmptyString,
+    LastName: nonEmptyString,
+  },
+};
+
+// Fields shared by CreateSession and UpdateSession (a PUT carries the full session)
+const sessionProperties = {
+  LoId: nonEmptyString,
+  Title: nonEmptyString,
+  Description: { type: "string" },
+  StartDateTime: dateTime,
+  EndDateTime: dateTime,
+  TimeZone: nonEmptyString,
+  Capacity: { type: "integer", minimum: 0 },
+  Instructors: { type: "array", items: Instructor },
+  ExtendedOptions: { type: "array", items: { type: "object" } },
+};
+
+const SCHEMAS = {
+  CreateSession: {
+    type: "object",
+    // SessionId stays optional: one is generated when it is missing
+    required: ["LoId", "Title", "StartDateTime", "EndDateTime", "Instructors"],
+    properties: { SessionId: nonEmptyString, ...sessionProperties },
+    dateOrder: [["StartDateTime", "EndDateTime"]],
+  },
+  UpdateSession: {
+    type: "object",
+    required: ["LoId", "Title", "StartDateTime", "EndDateTime", "Instructors"],
+    properties: sessionProperties,
+    dateOrder: [["StartDateTime", "EndDateTime"]],
+  },
+  AddInstructor: Instructor,
+  UpdateInstructor: {
+    type: "object",
+    required: ["OldEmail", "NewEmail", "FirstName", "LastName", "IsActive"],
+    properties: {
+      OldEmail: email,
+      NewEmail: email,
+      FirstName: nonEmptyString,
+      LastName: nonEmptyString,
+      IsActive: { type: "boolean" },
+    },
+  },
+};
+
+// ISO 8601 date-time with an explicit offset, e.g. 2026-03-01T09:00:00Z
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  email: (v) => EMAIL_RE.test(v),
+  "date-time": (v) => DATE_TIME_RE.test(v) && Number.isFinite(Date.parse(v)),
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function check(schema, value, path, problems, resolve) {
+  if (schema.$ref) {
+    check(resolve(schema.$ref), value, path, problems, resolve);
+    return;
+  }
+  if (value === null && schema.nullable) return;
+
+  const actual = typeOf(value);
+  const typeOk =
+    schema.type === actual || (schema.type === "number" && actual === "integer");
+  if (schema.type && !typeOk) {
+    problems.push({ path: path || "(body)", message: `must be ${schema.type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path: path || "(body)", message: `must be one of ${schema.enum.join(", ")}` });
+  }
+  // Formats without a checker (e.g. uri) are documentation only
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    const expected = schema.format === "email" ? "an email address" : "an ISO 8601 date-time";
+    problems.push({ path, message: `must be ${expected}` });
+  }
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    problems.push({ path, message: "must not be empty" });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, i) =>
+      check(schema.items, item, childPath(path, i), problems, resolve)
+    );
+  }
+
+  if (schema.type === "object") {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        problems.push({ path: childPath(path, field), message: "is required" });
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] === undefined || value[field] === null) continue;
+      check(fieldSchema, value[field], childPath(path, field), problems, resolve);
+    }
+    if (typeof schema.additionalProperties === "object") {
+      for (const [field, fieldValue] of Object.entries(value)) {
+        if (schema.properties?.[field]) continue;
+        check(schema.additionalProperties, fieldValue, childPath(path, field), problems, resolve);
+      }
+    }
+    for (const [earlier, later] of schema.dateOrder || []) {
+      // Malformed dates were reported above already
+      if (!FORMATS["date-time"](value[earlier]) || !FORMATS["date-time"](value[later])) {
+        continue;
+      }
+      if (Date.parse(value[later]) < Date.parse(value[earlier])) {
+        problems.push({ path: childPath(path, later), message: `must not be before ${earlier}` });
+      }
+    }
+  }
+}
+
+/**
+ * Check `body` against SCHEMAS[name].
+ * Returns a list of { path, message }; empty when the body is valid.
+ */
+function validate(name, body) {
+  return checkSchema(SCHEMAS[name], body);
+}
+
+/**
+ * Check `value` against any schema of the subset; `resolve` maps a $ref
+ * string to its schema. Returns a list of { path, message }.
+ */
+function checkSchema(schema, value, resolve = () => ({})) {
+  const problems = [];
+  check(schema, value, "", problems, resolve);
+  return problems;
+}
+
+function isStrict(client) {
+  return client?.strictValidation === true;
+}
+
+module.exports = {
+  SCHEMAS,
+  validate,
+  checkSchema,
+  isStrict,
+};
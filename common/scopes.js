@@ -0,0 +1,56 @@
+// common/scopes.js — scopes required by each protected VILT endpoint
+//
+// Enforcement is opt-in per client: it applies once a client registers
+// allowedScopes through /admin/config. Clients without allowedScopes keep the
+// old behaviour (any requested scope is granted, no endpoint checks).
+//
+// Basic auth (clients with basicAuthEnabled) carries no token, so the client
+// is treated as holding every scope it registered: the same endpoint checks
+// apply, with allowedScopes as the granted scope. A scope-restricted client
+// can therefore only reach endpoints covered by its allowedScopes, with or
+// without a token.
+
+const ENDPOINT_SCOPES = {
+  createSession: ["session:create"],
+  updateSession: ["session:update"],
+  cancelSession: ["session:cancel"],
+  addInstructor: ["instructor:create"],
+  updateInstructor: ["instructor:update"],
+  getAttendance: ["attendance:read"],
+  launchSession: ["session:launch"],
+  getExtendedOptions: ["session:read"],
+  getSession: ["session:read"],
+  listSessions: ["session:read"],
+};
+
+const SUPPORTED_SCOPES = [...new Set(Object.values(ENDPOINT_SCOPES).flat())];
+
+// Space separated scope string (or array) -> unique list
+function scopeList(scope) {
+  const items = Array.isArray(scope) ? scope : String(scope || "").split(/\s+/);
+  return [...new Set(items.filter(Boolean))];
+}
+
+// RFC 6749 §3.3 scope-token characters
+function isScopeToken(value) {
+  return /^[\x21\x23-\x5B\x5D-\x7E]+$/.test(value);
+}
+
+function enforcesScopes(client) {
+  return Array.isArray(client?.allowedScopes) && client.allowedScopes.length > 0;
+}
+
+// Scopes of `endpoint` missing from `granted`; [] when nothing is missing
+function missingScopes(endpoint, granted) {
+  const have = scopeList(granted);
+  return (ENDPOINT_SCOPES[endpoint] || []).filter((s) => !have.includes(s));
+}
+
+module.exports = {
+  ENDPOINT_SCOPES,
+  SUPPORTED_SCOPES,
+  scopeList,
+  isScopeToken,
+  enforcesScopes,
+  missingScopes,
+};
@@ -0,0 +1,54 @@
+// common/store/index.js — storage backend selection
+//
+// Every controller goes through getStore() instead of talking to MongoDB.
+// STORAGE_BACKEND=mongo|memory picks the backend; by default Mongo is used
+// when MONGODB_URI is set and the in-memory store otherwise (local dev, CI).
+// test/store.test.js runs both backends against the interface; the Mongo run
+// needs TEST_MONGODB_URI (a disposable server) and is skipped without it.
+//
+// Interface (all methods async; `client` is a client doc, identified by its
+// clientId + clientSecret). Only clients.create inserts client docs; every
+// other per-client write is a no-op for unknown clients:
+//   clients     findById, findByCredentials, findByAccessToken,
+//               findByPreviousSecret, list, create, updateSettings,
+//               updateById, rotateSecret, remove, reset, recordAssertionJti
+//   tokens      saveAccessToken, revokeAccessToken, saveRefreshToken,
+//               markRefreshTokenUsed, revokeFamily, saveAuthCode, consumeAuthCode
+//   sessions    find, list, create, update, addJoinEvent
+//   instructors add, update
+//   usage       increment
+//   faults      add, remove, clear, recordHit
+//   rateLimits  getState, setState (compare-and-set)
+//   journal     append, list, clear
+//   auditLog    append, list (global, not per client)
+//   webhooks    add, remove, clear
+//   webhookDeliveries  save, list
+//   routePrefixes      list, add, remove (global, not per client)
+//   keys        findActive, createActiveIfMissing, listPublished, list,
+//               retireActive, insert
+const { createMongoStore } = require("./mongoStore");
+const { createMemoryStore } = require("./memoryStore");
+
+let cachedStore;
+
+function backendName() {
+  const configured = (process.env.STORAGE_BACKEND || "").toLowerCase();
+  if (configured) return configured;
+  return process.env.MONGODB_URI ? "mongo" : "memory";
+}
+
+function getStore() {
+  if (cachedStore) return cachedStore;
+
+  const name = backendName();
+  if (name === "mongo") {
+    cachedStore = createMongoStore();
+  } else if (name === "memory") {
+    cachedStore = createMemoryStore();
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected mongo or memory)`);
+  }
+  return cachedStore;
+}
+
+module.exports = { getStore, backendName };
@@ -0,0 +1,518 @@
+// common/store/memoryStore.js — in-process implementation of the storage interface
+//
+// Same behaviour as the Mongo store, kept in plain objects. Data lives for the
+// lifetime of the process; seed clients with MOCK_CLIENTS (JSON array of
+// client docs, e.g. [{"clientId":"testvilt","clientSecret":"testsecret"}]).
+
+// Reads hand out copies, like documents coming back from the driver
+const copy = (value) => (value === null || value === undefined ? null : structuredClone(value));
+
+function incPath(doc, path, amount) {
+  const parts = path.split(".");
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (typeof target[part] !== "object" || target[part] === null) target[part] = {};
+    target = target[part];
+  }
+  const last = parts[parts.length - 1];
+  target[last] = (Number(target[last]) || 0) + amount;
+}
+
+// Fields of the admin client summaries (see the Mongo store's projection)
+const CLIENT_SUMMARY_FIELDS = [
+  "clientId",
+  "name",
+  "enabled",
+  "allowedGrants",
+  "allowedScopes",
+  "createdAt",
+  "updatedAt",
+  "secretRotatedAt",
+];
+
+function pick(doc, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (doc[field] !== undefined) out[field] = doc[field];
+  }
+  return out;
+}
+
+function seedClients() {
+  if (!process.env.MOCK_CLIENTS) return [];
+  const seeded = JSON.parse(process.env.MOCK_CLIENTS);
+  if (!Array.isArray(seeded)) throw new Error("MOCK_CLIENTS must be a JSON array");
+  return seeded.map((doc) => structuredClone(doc));
+}
+
+function createMemoryStore() {
+  const clientDocs = seedClients();
+  const keyDocs = [];
+  const prefixDocs = [];
+  let auditEntries = [];
+  // Request journals and webhook delivery logs per client, keyed by clientId + clientSecret
+  const journals = new Map();
+  const deliveryLogs = new Map();
+  const ownerKey = (client) => `${client.clientId}\u0000${client.clientSecret}`;
+
+  const find = (clientId, clientSecret) =>
+    clientDocs.find((d) => d.clientId === clientId && d.clientSecret === clientSecret);
+  const findDoc = (client) => find(client.clientId, client.clientSecret);
+
+  const clients = {
+    async findById(clientId) {
+      return copy(clientDocs.find((d) => d.clientId === clientId));
+    },
+
+    async findByCredentials(clientId, clientSecret) {
+      return copy(find(clientId, clientSecret));
+    },
+
+    async findByAccessToken(token) {
+      if (!token) return null;
+      const doc =
+        clientDocs.find((d) => d.currentToken === token) ||
+        clientDocs.find((d) => (d.issuedTokens || []).some((t) => t.token === token));
+      return copy(doc);
+    },
+
+    async findByPreviousSecret(clientId, secret, nowIso) {
+      return copy(
+        clientDocs.find(
+          (d) =>
+            d.clientId === clientId &&
+            (d.previousSecrets || []).some((p) => p.secret === secret && p.expiresAt > nowIso)
+        )
+      );
+    },
+
+    async list() {
+      return [...clientDocs]
+        .sort((a, b) => a.clientId.localeCompare(b.clientId))
+        .map((d) => ({
+          ...copy(pick(d, CLIENT_SUMMARY_FIELDS)),
+          ...(d.previousSecrets && {
+            previousSecrets: d.previousSecrets.map((p) => ({ expiresAt: p.expiresAt })),
+          }),
+        }));
+    },
+
+    async create(doc) {
+      if (clientDocs.some((d) => d.clientId === doc.clientId)) return false;
+      clientDocs.push(structuredClone(doc));
+      return true;
+    },
+
+    async updateSettings(client, settings) {
+      const doc = findDoc(client);
+      if (!doc) return false;
+      Object.assign(doc, structuredClone(settings));
+      return true;
+    },
+
+    async updateById(clientId, fields) {
+      const doc = clientDocs.find((d) => d.clientId === clientId);
+      if (!doc) return null;
+      Object.assign(doc, structuredClone(fields));
+      return copy(doc);
+    },
+
+    async rotateSecret(client, clientSecret, { rotatedAt, previousSecrets }) {
+      const doc = findDoc(client);
+      if (!doc) return false;
+
+      const before = ownerKey(doc);
+      Object.assign(doc, {
+        clientSecret,
+        secretRotatedAt: rotatedAt,
+        previousSecrets: structuredClone(previousSecrets),
+      });
+      for (const logs of [journals, deliveryLogs]) {
+        if (logs.has(before)) logs.set(ownerKey(doc), logs.get(before));
+        logs.delete(before);
+      }
+      return true;
+    },
+
+    async remove(clientId) {
+      const removed = clientDocs.filter((d) => d.clientId === clientId);
+      for (const doc of removed) {
+        clientDocs.splice(clientDocs.indexOf(doc), 1);
+        journals.delete(ownerKey(doc));
+        deliveryLogs.delete(ownerKey(doc));
+      }
+      return removed.length > 0;
+    },
+
+    async reset(client) {
+      const doc = findDoc(client);
+      if (!doc) return false;
+      for (const field of [
+        "tokenHits",
+        "tokenRotations",
+        "tokenExpiresAt",
+        "perEndpointUsage",
+        "currentToken",
+        "issuedTokens",
+        "authCodes",
+        "refreshTokens",
+        "currentRefreshToken",
+        "sessions",
+        "instructors",
+        "lastSessionId",
+        "throttled",
+        "rateLimitState",
+      ]) {
+        delete doc[field];
+      }
+      return true;
+    },
+
+    async recordAssertionJti(client, jti) {
+      const doc = findDoc(client);
+      if (!doc || (doc.usedAssertionJtis || []).includes(jti)) return false;
+      doc.usedAssertionJtis = [...(doc.usedAssertionJtis || []), jti].slice(-200);
+      return true;
+    },
+  };
+
+  const tokens = {
+    async saveAccessToken(client, entry) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      // Only the same grant for the same subject is superseded
+      doc.issuedTokens = (doc.issuedTokens || []).map((t) =>
+        (t.grantType || "client_credentials") === entry.grantType &&
+        (t.sub || doc.clientId) === entry.sub
+          ? { ...t, active: false }
+          : t
+      );
+      doc.issuedTokens.push(structuredClone(entry));
+      doc.currentToken = entry.token;
+      doc.tokenExpiresAt = entry.expiresAt;
+      doc.tokenType = "Bearer";
+      doc.scope = entry.scope;
+      incPath(doc, "tokenRotations", 1);
+    },
+
+    async revokeAccessToken(client, token, revokedAt) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      const entry = (doc.issuedTokens || []).find((t) => t.token === token);
+      if (entry) {
+        entry.active = false;
+        entry.revokedAt = revokedAt;
+      }
+      if (doc.currentToken === token) {
+        delete doc.currentToken;
+        delete doc.tokenExpiresAt;
+      }
+    },
+
+    async saveRefreshToken(client, entry) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      doc.refreshTokens = [...(doc.refreshTokens || []), structuredClone(entry)];
+      doc.currentRefreshToken = entry.token;
+    },
+
+    async markRefreshTokenUsed(client, token, usedAt) {
+      const entry = (findDoc(client)?.refreshTokens || []).find(
+        (t) => t.token === token && t.used === false
+      );
+      if (!entry) return false;
+      entry.used = true;
+      entry.usedAt = usedAt;
+      return true;
+    },
+
+    async revokeFamily(client, familyId, reason, revokedAt) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      for (const t of doc.refreshTokens || []) {
+        if (t.familyId !== familyId) continue;
+        t.revoked = true;
+        t.revokedAt = revokedAt;
+        t.revokedReason = reason;
+      }
+      for (const t of doc.issuedTokens || []) {
+        if (t.familyId !== familyId) continue;
+        t.active = false;
+        t.revokedAt = revokedAt;
+      }
+
+      const inFamily = (list, token) =>
+        (list || []).some((t) => t.token === token && t.familyId === familyId);
+      if (doc.currentToken && inFamily(doc.issuedTokens, doc.currentToken)) {
+        delete doc.currentToken;
+        delete doc.tokenExpiresAt;
+      }
+      if (doc.currentRefreshToken && inFamily(doc.refreshTokens, doc.currentRefreshToken)) {
+        delete doc.currentRefreshToken;
+      }
+    },
+
+    async saveAuthCode(client, entry, nowIso) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      doc.authCodes = (doc.authCodes || []).filter((c) => !(c.expiresAt < nowIso));
+      doc.authCodes.push(structuredClone(entry));
+    },
+
+    // Burn a code, remembering the token family issued from it; false when already used
+    async consumeAuthCode(client, code, usedAt, familyId) {
+      const entry = (findDoc(client)?.authCodes || []).find(
+        (c) => c.code === code && c.used === false
+      );
+      if (!entry) return false;
+      entry.used = true;
+      entry.usedAt = usedAt;
+      entry.familyId = familyId;
+      return true;
+    },
+  };
+
+  const findSession = (client, sessionId) =>
+    (findDoc(client)?.sessions || []).find((s) => s.sessionId === sessionId);
+
+  const sessions = {
+    async find(client, sessionId) {
+      return copy(findSession(client, sessionId));
+    },
+
+    async list(client) {
+      return copy(findDoc(client)?.sessions || []);
+    },
+
+    async create(client, session) {
+      const doc = findDoc(client);
+      if (!doc || findSession(client, session.sessionId)) return false;
+      doc.lastSessionId = session.sessionId;
+      doc.sessions = [...(doc.sessions || []), structuredClone(session)];
+      return true;
+    },
+
+    async addJoinEvent(client, sessionId, event) {
+      const session = findSession(client, sessionId);
+      if (!session || (session.joinEvents || []).some((e) => e.jti === event.jti)) return false;
+      session.joinEvents = [...(session.joinEvents || []), structuredClone(event)];
+      return true;
+    },
+
+    async update(client, sessionId, fields, { expectStatus, history } = {}) {
+      const session = findSession(client, sessionId);
+      if (!session || (expectStatus && session.status !== expectStatus)) return false;
+      Object.assign(session, structuredClone(fields));
+      if (history) session.history = [...(session.history || []), structuredClone(history)];
+      return true;
+    },
+  };
+
+  const instructors = {
+    async add(client, instructor) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      doc.instructors = [...(doc.instructors || []), structuredClone(instructor)];
+    },
+
+    async update(client, email, fields) {
+      const instructor = (findDoc(client)?.instructors || []).find(
+        (i) => i.email === email
+      );
+      if (!instructor) return false;
+      Object.assign(instructor, structuredClone(fields));
+      return true;
+    },
+  };
+
+  const usage = {
+    async increment(client, counters) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      for (const [path, amount] of Object.entries(counters)) {
+        incPath(doc, path, amount);
+      }
+    },
+  };
+
+  const faults = {
+    async add(client, rule) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      doc.faultRules = [...(doc.faultRules || []), structuredClone(rule)];
+    },
+
+    async remove(client, ruleId) {
+      const doc = findDoc(client);
+      const before = (doc?.faultRules || []).length;
+      if (!doc || before === 0) return false;
+      doc.faultRules = doc.faultRules.filter((r) => r.id !== ruleId);
+      return doc.faultRules.length < before;
+    },
+
+    async clear(client) {
+      const doc = findDoc(client);
+      if (doc) delete doc.faultRules;
+    },
+
+    async recordHit(client, ruleId) {
+      const rule = (findDoc(client)?.faultRules || []).find((r) => r.id === ruleId);
+      if (!rule) return 0;
+      rule.hits = (rule.hits || 0) + 1;
+      return rule.hits;
+    },
+  };
+
+  const rateLimits = {
+    async getState(client, endpoint) {
+      return copy(findDoc(client)?.rateLimitState?.[endpoint]);
+    },
+
+    async setState(client, endpoint, previous, next) {
+      const doc = findDoc(client);
+      if (!doc) return false;
+      const stored = doc.rateLimitState?.[endpoint];
+      if (previous ? stored?.rev !== previous.rev : stored) return false;
+      doc.rateLimitState = { ...doc.rateLimitState, [endpoint]: structuredClone(next) };
+      return true;
+    },
+  };
+
+  const journal = {
+    async append(client, entry, limit) {
+      const entries = journals.get(ownerKey(client)) || [];
+      entries.push(structuredClone(entry));
+      journals.set(ownerKey(client), entries.slice(-limit));
+    },
+
+    async list(client) {
+      return copy(journals.get(ownerKey(client)) || []);
+    },
+
+    async clear(client) {
+      journals.delete(ownerKey(client));
+    },
+  };
+
+  const auditLog = {
+    async append(entry, limit) {
+      auditEntries = [...auditEntries, structuredClone(entry)].slice(-limit);
+    },
+
+    async list() {
+      return copy(auditEntries);
+    },
+  };
+
+  const webhooks = {
+    async add(client, webhook) {
+      const doc = findDoc(client);
+      if (!doc) return;
+      doc.webhooks = [...(doc.webhooks || []), structuredClone(webhook)];
+    },
+
+    async remove(client, webhookId) {
+      const doc = findDoc(client);
+      const before = (doc?.webhooks || []).length;
+      if (!doc || before === 0) return false;
+      doc.webhooks = doc.webhooks.filter((w) => w.id !== webhookId);
+      return doc.webhooks.length < before;
+    },
+
+    async clear(client) {
+      const doc = findDoc(client);
+      if (doc) delete doc.webhooks;
+    },
+  };
+
+  const webhookDeliveries = {
+    async save(client, delivery, limit) {
+      const entries = deliveryLogs.get(ownerKey(client)) || [];
+      const index = entries.findIndex((d) => d.id === delivery.id);
+      if (index >= 0) entries[index] = structuredClone(delivery);
+      else entries.push(structuredClone(delivery));
+      deliveryLogs.set(ownerKey(client), entries.slice(-limit));
+    },
+
+    async list(client) {
+      return copy(deliveryLogs.get(ownerKey(client)) || []);
+    },
+  };
+
+  const routePrefixes = {
+    async list() {
+      return prefixDocs.map(copy);
+    },
+
+    async add(prefix) {
+      if (prefixDocs.some((p) => p.path === prefix.path)) return false;
+      prefixDocs.push(structuredClone(prefix));
+      return true;
+    },
+
+    async remove(path) {
+      const index = prefixDocs.findIndex((p) => p.path === path);
+      if (index === -1) return false;
+      prefixDocs.splice(index, 1);
+      return true;
+    },
+  };
+
+  const keys = {
+    async findActive(alg) {
+      return copy(keyDocs.find((k) => k.alg === alg && k.status === "active"));
+    },
+
+    async createActiveIfMissing(keyDoc) {
+      let doc = keyDocs.find((k) => k.alg === keyDoc.alg && k.status === "active");
+      if (!doc) {
+        doc = structuredClone(keyDoc);
+        keyDocs.push(doc);
+      }
+      return copy(doc);
+    },
+
+    async listPublished(nowIso) {
+      return keyDocs
+        .filter(
+          (k) => k.status === "active" || (k.status === "retired" && k.notAfter > nowIso)
+        )
+        .map(({ privateKeyPem, ...rest }) => copy(rest));
+    },
+
+    async list() {
+      return [...keyDocs]
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(({ privateKeyPem, publicJwk, ...rest }) => copy(rest));
+    },
+
+    async retireActive(alg, retiredAt, notAfter) {
+      const retiring = keyDocs.filter((k) => k.alg === alg && k.status === "active");
+      for (const k of retiring) Object.assign(k, { status: "retired", retiredAt, notAfter });
+      return retiring.map((k) => k.kid);
+    },
+
+    async insert(keyDoc) {
+      keyDocs.push(structuredClone(keyDoc));
+    },
+  };
+
+  return {
+    name: "memory",
+    clients,
+    tokens,
+    sessions,
+    instructors,
+    usage,
+    faults,
+    rateLimits,
+    journal,
+    auditLog,
+    webhooks,
+    webhookDeliveries,
+    routePrefixes,
+    keys,
+  };
+}
+
+module.exports = { createMemoryStore };
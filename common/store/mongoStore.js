@@ -0,0 +1,729 @@
+// common/store/mongoStore.js — MongoDB implementation of the storage interface
+const { getDb } = require("../db");
+
+async function clientsColl() {
+  const db = await getDb();
+  return db.collection("clients");
+}
+
+async function journalColl() {
+  const db = await getDb();
+  return db.collection("requestJournal");
+}
+
+async function deliveriesColl() {
+  const db = await getDb();
+  return db.collection("webhookDeliveries");
+}
+
+async function prefixesColl() {
+  const db = await getDb();
+  return db.collection("routePrefixes");
+}
+
+async function auditColl() {
+  const db = await getDb();
+  return db.collection("auditLog");
+}
+
+async function keysColl() {
+  const db = await getDb();
+  return db.collection("signingKeys");
+}
+
+// Client docs are identified by their clientId + clientSecret pair
+function byCredentials(client) {
+  return { clientId: client.clientId, clientSecret: client.clientSecret };
+}
+
+const CLIENT_SUMMARY_PROJECTION = {
+  _id: 0,
+  clientId: 1,
+  name: 1,
+  enabled: 1,
+  allowedGrants: 1,
+  allowedScopes: 1,
+  createdAt: 1,
+  updatedAt: 1,
+  secretRotatedAt: 1,
+  "previousSecrets.expiresAt": 1,
+};
+
+function createMongoStore() {
+  const clients = {
+    async findById(clientId) {
+      const coll = await clientsColl();
+      return coll.findOne({ clientId });
+    },
+
+    async findByCredentials(clientId, clientSecret) {
+      const coll = await clientsColl();
+      return coll.findOne({ clientId, clientSecret });
+    },
+
+    async findByAccessToken(token) {
+      if (!token) return null;
+      const coll = await clientsColl();
+      const doc = await coll.findOne({ currentToken: token });
+      if (doc) return doc;
+      // fallback: if someone sends an old token, we still find the doc to report invalid/expired accurately
+      return coll.findOne({ "issuedTokens.token": token });
+    },
+
+    // A secret replaced by a rotation, while still inside its overlap window
+    async findByPreviousSecret(clientId, secret, nowIso) {
+      const coll = await clientsColl();
+      return coll.findOne({
+        clientId,
+        previousSecrets: { $elemMatch: { secret, expiresAt: { $gt: nowIso } } },
+      });
+    },
+
+    // Admin summaries of every client (no secrets or tokens)
+    async list() {
+      const coll = await clientsColl();
+      return coll
+        .find({}, { projection: CLIENT_SUMMARY_PROJECTION })
+        .sort({ clientId: 1 })
+        .toArray();
+    },
+
+    // Insert a new client doc; false when the clientId is taken
+    async create(doc) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(
+        { clientId: doc.clientId },
+        { $setOnInsert: doc },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
+    },
+
+    // $set settings on an existing client doc; returns true when matched
+    async updateSettings(client, settings) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(byCredentials(client), { $set: settings });
+      return result.matchedCount > 0;
+    },
+
+    // $set fields on the client with clientId; returns the updated doc or null
+    async updateById(clientId, fields) {
+      const coll = await clientsColl();
+      return coll.findOneAndUpdate(
+        { clientId },
+        { $set: fields },
+        { returnDocument: "after" }
+      );
+    },
+
+    // Replace the secret; request journal and delivery log move along
+    async rotateSecret(client, clientSecret, { rotatedAt, previousSecrets }) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(byCredentials(client), {
+        $set: { clientSecret, secretRotatedAt: rotatedAt, previousSecrets },
+      });
+      if (result.matchedCount === 0) return false;
+
+      const moved = { $set: { clientSecret } };
+      await (await journalColl()).updateMany(byCredentials(client), moved);
+      await (await deliveriesColl()).updateMany(byCredentials(client), moved);
+      return true;
+    },
+
+    // Delete the client with its request journal and delivery log
+    async remove(clientId) {
+      const coll = await clientsColl();
+      const result = await coll.deleteMany({ clientId });
+      await (await journalColl()).deleteMany({ clientId });
+      await (await deliveriesColl()).deleteMany({ clientId });
+      return result.deletedCount > 0;
+    },
+
+    // Keep only clientId/clientSecret and settings; returns true when matched
+    async reset(client) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(
+        byCredentials(client),
+        {
+          $unset: {
+            tokenHits: "",
+            tokenRotations: "",
+            tokenExpiresAt: "",
+            perEndpointUsage: "",
+            currentToken: "",
+            issuedTokens: "",
+            authCodes: "",
+            refreshTokens: "",
+            currentRefreshToken: "",
+            sessions: "",
+            instructors: "",
+            lastSessionId: "",
+            throttled: "",
+            rateLimitState: "",
+          },
+        }
+      );
+      return result.matchedCount > 0;
+    },
+
+    // Remember a client_assertion jti; false when it was already used
+    async recordAssertionJti(client, jti) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(
+        { ...byCredentials(client), usedAssertionJtis: { $ne: jti } },
+        { $push: { usedAssertionJtis: { $each: [jti], $slice: -200 } } }
+      );
+      return result.matchedCount > 0;
+    },
+  };
+
+  const tokens = {
+    // Deactivate earlier access tokens of the same grant and subject, then
+    // make entry the current one
+    async saveAccessToken(client, entry) {
+      const coll = await clientsColl();
+      const filter = byCredentials(client);
+      const sameGrantAndSub = {
+        $and: [
+          {
+            $eq: [{ $ifNull: ["$$t.grantType", "client_credentials"] }, entry.grantType],
+          },
+          { $eq: [{ $ifNull: ["$$t.sub", "$clientId"] }, entry.sub] },
+        ],
+      };
+
+      // 1) Deactivate the tokens the new one supersedes
+      await coll.updateOne(filter, [
+        {
+          $set: {
+            issuedTokens: {
+              $cond: [
+                { $isArray: "$issuedTokens" },
+                {
+                  $map: {
+                    input: "$issuedTokens",
+                    as: "t",
+                    in: {
+                      $cond: [
+                        sameGrantAndSub,
+                        { $mergeObjects: ["$$t", { active: false }] },
+                        "$$t",
+                      ],
+                    },
+                  },
+                },
+                [],
+              ],
+            },
+          },
+        },
+      ]);
+      // 2) Set the new active token
+      await coll.updateOne(
+        filter,
+        {
+          $set: {
+            currentToken: entry.token,
+            tokenExpiresAt: entry.expiresAt,
+            tokenType: "Bearer",
+            scope: entry.scope,
+          },
+          $inc: { tokenRotations: 1 },
+          $push: { issuedTokens: entry },
+        }
+      );
+    },
+
+    async revokeAccessToken(client, token, revokedAt) {
+      const coll = await clientsColl();
+      const filter = byCredentials(client);
+      await coll.updateOne(
+        { ...filter, "issuedTokens.token": token },
+        {
+          $set: {
+            "issuedTokens.$.active": false,
+            "issuedTokens.$.revokedAt": revokedAt,
+          },
+        }
+      );
+      await coll.updateOne(
+        { ...filter, currentToken: token },
+        { $unset: { currentToken: "", tokenExpiresAt: "" } }
+      );
+    },
+
+    // Push entry and make it the current refresh token
+    async saveRefreshToken(client, entry) {
+      const coll = await clientsColl();
+      await coll.updateOne(byCredentials(client), {
+        $set: { currentRefreshToken: entry.token },
+        $push: { refreshTokens: entry },
+      });
+    },
+
+    // Flag a refresh token as used; false when it was already used (race)
+    async markRefreshTokenUsed(client, token, usedAt) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(
+        {
+          ...byCredentials(client),
+          refreshTokens: { $elemMatch: { token, used: false } },
+        },
+        { $set: { "refreshTokens.$.used": true, "refreshTokens.$.usedAt": usedAt } }
+      );
+      return result.matchedCount > 0;
+    },
+
+    // Revoke all refresh + access tokens of a family and drop them as current
+    async revokeFamily(client, familyId, reason, revokedAt) {
+      const coll = await clientsColl();
+      const filter = byCredentials(client);
+      const current = await coll.findOne(filter, {
+        projection: {
+          currentToken: 1,
+          issuedTokens: 1,
+          currentRefreshToken: 1,
+          refreshTokens: 1,
+        },
+      });
+      if (!current) return;
+
+      // One update per array: $[] paths fail on a doc that lacks the array, and
+      // a family may have access tokens but no refresh tokens (or the reverse)
+      await coll.updateOne(
+        { ...filter, refreshTokens: { $type: "array" } },
+        {
+          $set: {
+            "refreshTokens.$[r].revoked": true,
+            "refreshTokens.$[r].revokedAt": revokedAt,
+            "refreshTokens.$[r].revokedReason": reason,
+          },
+        },
+        { arrayFilters: [{ "r.familyId": familyId }] }
+      );
+      await coll.updateOne(
+        { ...filter, issuedTokens: { $type: "array" } },
+        {
+          $set: {
+            "issuedTokens.$[t].active": false,
+            "issuedTokens.$[t].revokedAt": revokedAt,
+          },
+        },
+        { arrayFilters: [{ "t.familyId": familyId }] }
+      );
+
+      // Drop the current access/refresh token if they belong to the revoked family
+      const unset = {};
+      const inFamily = (list, token) =>
+        (list || []).some((t) => t.token === token && t.familyId === familyId);
+      if (current.currentToken && inFamily(current.issuedTokens, current.currentToken)) {
+        unset.currentToken = "";
+        unset.tokenExpiresAt = "";
+      }
+      if (
+        current.currentRefreshToken &&
+        inFamily(current.refreshTokens, current.currentRefreshToken)
+      ) {
+        unset.currentRefreshToken = "";
+      }
+      if (Object.keys(unset).length > 0) {
+        await coll.updateOne(filter, { $unset: unset });
+      }
+    },
+
+    // Drop expired codes, then store the new one-time code
+    async saveAuthCode(client, entry, nowIso) {
+      const coll = await clientsColl();
+      const filter = byCredentials(client);
+      await coll.updateOne(filter, {
+        $pull: { authCodes: { expiresAt: { $lt: nowIso } } },
+      });
+      await coll.updateOne(filter, { $push: { authCodes: entry } });
+    },
+
+    // Burn a code atomically, remembering the token family issued from it;
+    // false when it was already used
+    async consumeAuthCode(client, code, usedAt, familyId) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(
+        { ...byCredentials(client), authCodes: { $elemMatch: { code, used: false } } },
+        {
+          $set: {
+            "authCodes.$.used": true,
+            "authCodes.$.usedAt": usedAt,
+            "authCodes.$.familyId": familyId,
+          },
+        }
+      );
+      return result.matchedCount > 0;
+    },
+  };
+
+  const sessions = {
+    async find(client, sessionId) {
+      const coll = await clientsColl();
+      const doc = await coll.findOne(
+        { ...byCredentials(client), "sessions.sessionId": sessionId },
+        { projection: { "sessions.$": 1 } }
+      );
+      return doc?.sessions?.[0] ?? null;
+    },
+
+    // All sessions of the client, oldest first
+    async list(client) {
+      const coll = await clientsColl();
+      const doc = await coll.findOne(byCredentials(client), {
+        projection: { sessions: 1 },
+      });
+      return doc?.sessions || [];
+    },
+
+    // Push the session unless its sessionId is taken; returns false for duplicates
+    async create(client, session) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(
+        { ...byCredentials(client), "sessions.sessionId": { $ne: session.sessionId } },
+        {
+          $set: { lastSessionId: session.sessionId },
+          $push: { sessions: session },
+        }
+      );
+      return result.matchedCount > 0;
+    },
+
+    // Record a /join/:token visit once per token (jti); returns true when it
+    // was added, false for an unknown session or a join already recorded
+    async addJoinEvent(client, sessionId, event) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(
+        {
+          ...byCredentials(client),
+          sessions: { $elemMatch: { sessionId, "joinEvents.jti": { $ne: event.jti } } },
+        },
+        { $push: { "sessions.$.joinEvents": event } }
+      );
+      return result.matchedCount > 0;
+    },
+
+    // $set fields on the session and append `history`; when expectStatus is
+    // given the session must still be in that status. Returns true when matched
+    async update(client, sessionId, fields, { expectStatus, history } = {}) {
+      const coll = await clientsColl();
+      const set = {};
+      for (const [key, value] of Object.entries(fields)) {
+        set[`sessions.$.${key}`] = value;
+      }
+      const match = expectStatus ? { sessionId, status: expectStatus } : { sessionId };
+      const result = await coll.updateOne(
+        { ...byCredentials(client), sessions: { $elemMatch: match } },
+        {
+          $set: set,
+          ...(history ? { $push: { "sessions.$.history": history } } : {}),
+        }
+      );
+      return result.matchedCount > 0;
+    },
+  };
+
+  const instructors = {
+    async add(client, instructor) {
+      const coll = await clientsColl();
+      await coll.updateOne(byCredentials(client), { $push: { instructors: instructor } });
+    },
+
+    // $set fields on the instructor with `email`; returns true when matched
+    async update(client, email, fields) {
+      const coll = await clientsColl();
+      const set = {};
+      for (const [key, value] of Object.entries(fields)) {
+        set[`instructors.$.${key}`] = value;
+      }
+      const result = await coll.updateOne(
+        { ...byCredentials(client), "instructors.email": email },
+        { $set: set }
+      );
+      return result.matchedCount > 0;
+    },
+  };
+
+  const usage = {
+    // counters: { "perEndpointUsage.token": 1, tokenHits: 1, ... }
+    async increment(client, counters) {
+      const coll = await clientsColl();
+      await coll.updateOne(byCredentials(client), { $inc: counters });
+    },
+  };
+
+  const faults = {
+    async add(client, rule) {
+      const coll = await clientsColl();
+      await coll.updateOne(byCredentials(client), { $push: { faultRules: rule } });
+    },
+
+    // Remove one rule by id; false when there was no such rule
+    async remove(client, ruleId) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(byCredentials(client), {
+        $pull: { faultRules: { id: ruleId } },
+      });
+      return result.modifiedCount > 0;
+    },
+
+    async clear(client) {
+      const coll = await clientsColl();
+      await coll.updateOne(byCredentials(client), { $unset: { faultRules: "" } });
+    },
+
+    // Count a matching call against the rule; returns the new hit count
+    async recordHit(client, ruleId) {
+      const coll = await clientsColl();
+      const doc = await coll.findOneAndUpdate(
+        { ...byCredentials(client), "faultRules.id": ruleId },
+        { $inc: { "faultRules.$.hits": 1 } },
+        { returnDocument: "after", projection: { faultRules: 1 } }
+      );
+      return doc?.faultRules?.find((r) => r.id === ruleId)?.hits ?? 0;
+    },
+  };
+
+  const rateLimits = {
+    async getState(client, endpoint) {
+      const coll = await clientsColl();
+      const doc = await coll.findOne(byCredentials(client), {
+        projection: { [`rateLimitState.${endpoint}`]: 1 },
+      });
+      return doc?.rateLimitState?.[endpoint] ?? null;
+    },
+
+    // Compare-and-set on the bucket's rev; false when another call got there first
+    async setState(client, endpoint, previous, next) {
+      const coll = await clientsColl();
+      const path = `rateLimitState.${endpoint}`;
+      const result = await coll.updateOne(
+        {
+          ...byCredentials(client),
+          ...(previous ? { [`${path}.rev`]: previous.rev } : { [path]: { $exists: false } }),
+        },
+        { $set: { [path]: next } }
+      );
+      return result.matchedCount > 0;
+    },
+  };
+
+  // Journal entries live in their own collection so client docs stay small
+  const journal = {
+    // Insert entry, then drop everything older than the newest `limit` entries
+    async append(client, entry, limit) {
+      const coll = await journalColl();
+      const owner = byCredentials(client);
+      await coll.insertOne({ ...owner, ...entry });
+      const [oldest] = await coll
+        .find(owner, { projection: { _id: 1 } })
+        .sort({ _id: -1 })
+        .skip(limit)
+        .limit(1)
+        .toArray();
+      if (oldest) {
+        await coll.deleteMany({ ...owner, _id: { $lte: oldest._id } });
+      }
+    },
+
+    // Oldest first
+    async list(client) {
+      const coll = await journalColl();
+      return coll
+        .find(byCredentials(client), {
+          projection: { _id: 0, clientId: 0, clientSecret: 0 },
+        })
+        .sort({ _id: 1 })
+        .toArray();
+    },
+
+    async clear(client) {
+      const coll = await journalColl();
+      await coll.deleteMany(byCredentials(client));
+    },
+  };
+
+  // Global: admin calls of all operators
+  const auditLog = {
+    // Insert entry, then drop everything older than the newest `limit` entries
+    async append(entry, limit) {
+      const coll = await auditColl();
+      await coll.insertOne({ ...entry });
+      const [oldest] = await coll
+        .find({}, { projection: { _id: 1 } })
+        .sort({ _id: -1 })
+        .skip(limit)
+        .limit(1)
+        .toArray();
+      if (oldest) {
+        await coll.deleteMany({ _id: { $lte: oldest._id } });
+      }
+    },
+
+    // Oldest first
+    async list() {
+      const coll = await auditColl();
+      return coll.find({}, { projection: { _id: 0 } }).sort({ _id: 1 }).toArray();
+    },
+  };
+
+  const webhooks = {
+    async add(client, webhook) {
+      const coll = await clientsColl();
+      await coll.updateOne(byCredentials(client), { $push: { webhooks: webhook } });
+    },
+
+    // Remove one webhook by id; false when there was no such webhook
+    async remove(client, webhookId) {
+      const coll = await clientsColl();
+      const result = await coll.updateOne(byCredentials(client), {
+        $pull: { webhooks: { id: webhookId } },
+      });
+      return result.modifiedCount > 0;
+    },
+
+    async clear(client) {
+      const coll = await clientsColl();
+      await coll.updateOne(byCredentials(client), { $unset: { webhooks: "" } });
+    },
+  };
+
+  const webhookDeliveries = {
+    // Insert or replace the delivery (by id), keeping the newest `limit` per client
+    async save(client, delivery, limit) {
+      const coll = await deliveriesColl();
+      const owner = byCredentials(client);
+      await coll.replaceOne(
+        { ...owner, id: delivery.id },
+        { ...owner, ...delivery },
+        { upsert: true }
+      );
+      const [oldest] = await coll
+        .find(owner, { projection: { _id: 1 } })
+        .sort({ _id: -1 })
+        .skip(limit)
+        .limit(1)
+        .toArray();
+      if (oldest) {
+        await coll.deleteMany({ ...owner, _id: { $lte: oldest._id } });
+      }
+    },
+
+    // Oldest first
+    async list(client) {
+      const coll = await deliveriesColl();
+      return coll
+        .find(byCredentials(client), {
+          projection: { _id: 0, clientId: 0, clientSecret: 0 },
+        })
+        .sort({ _id: 1 })
+        .toArray();
+    },
+  };
+
+  // Global, not per client: API base paths registered through /admin/prefixes
+  const routePrefixes = {
+    async list() {
+      const coll = await prefixesColl();
+      return coll.find({}, { projection: { _id: 0 } }).sort({ createdAt: 1 }).toArray();
+    },
+
+    // Insert unless the path is registered already; false for duplicates
+    async add(prefix) {
+      const coll = await prefixesColl();
+      const result = await coll.updateOne(
+        { path: prefix.path },
+        { $setOnInsert: prefix },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
+    },
+
+    async remove(path) {
+      const coll = await prefixesColl();
+      const result = await coll.deleteOne({ path });
+      return result.deletedCount > 0;
+    },
+  };
+
+  const keys = {
+    async findActive(alg) {
+      const coll = await keysColl();
+      return coll.findOne({ alg, status: "active" });
+    },
+
+    // Insert keyDoc unless an active key for its alg exists; returns the active key
+    async createActiveIfMissing(keyDoc) {
+      const coll = await keysColl();
+      // Upsert keeps concurrent first-use requests from creating two active keys
+      return coll.findOneAndUpdate(
+        { alg: keyDoc.alg, status: "active" },
+        { $setOnInsert: keyDoc },
+        { upsert: true, returnDocument: "after" }
+      );
+    },
+
+    // Active keys plus retired keys with notAfter > nowIso (no private keys)
+    async listPublished(nowIso) {
+      const coll = await keysColl();
+      return coll
+        .find(
+          {
+            $or: [
+              { status: "active" },
+              { status: "retired", notAfter: { $gt: nowIso } },
+            ],
+          },
+          { projection: { privateKeyPem: 0 } }
+        )
+        .toArray();
+    },
+
+    async list() {
+      const coll = await keysColl();
+      return coll
+        .find({}, { projection: { privateKeyPem: 0, publicJwk: 0 } })
+        .sort({ createdAt: 1 })
+        .toArray();
+    },
+
+    // Retire the active key(s) for alg; returns the retired kids
+    async retireActive(alg, retiredAt, notAfter) {
+      const coll = await keysColl();
+      const retiring = await coll
+        .find({ alg, status: "active" }, { projection: { kid: 1 } })
+        .toArray();
+      await coll.updateMany(
+        { alg, status: "active" },
+        { $set: { status: "retired", retiredAt, notAfter } }
+      );
+      return retiring.map((k) => k.kid);
+    },
+
+    async insert(keyDoc) {
+      const coll = await keysColl();
+      await coll.insertOne(keyDoc);
+    },
+  };
+
+  return {
+    name: "mongo",
+    clients,
+    tokens,
+    sessions,
+    instructors,
+    usage,
+    faults,
+    rateLimits,
+    journal,
+    auditLog,
+    webhooks,
+    webhookDeliveries,
+    routePrefixes,
+    keys,
+  };
+}
+
+module.exports = { createMongoStore };
@@ -0,0 +1,226 @@
+// common/webhooks.js — outbound webhook events
+//
+// Clients register callback URLs through /admin/webhooks. emitEvent() sends
+// each matching webhook a POST with JSON { id, type, createdAt, clientId, data }
+// and these headers:
+//   X-Webhook-Id         delivery id (stable across retries)
+//   X-Webhook-Event      event type
+//   X-Webhook-Timestamp  unix seconds of this attempt
+//   X-Webhook-Signature  sha256=hex(HMAC-SHA256(secret, `${timestamp}.${body}`))
+// Non-2xx answers and network errors are retried with exponential backoff;
+// every attempt is kept in the delivery log (/admin/webhooks/deliveries).
+//
+// Deliveries run in the background: the call that triggered the event responds
+// without waiting for them. Long-running servers also wait out the retries in
+// the background. Serverless instances (VERCEL=1) may be frozen once the
+// response is sent, so there an attempt that did not run, or a retry, stays in
+// the log as due until POST /admin/webhooks/deliveries/retry makes it.
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const EVENT_TYPES = [
+  "session.created",
+  "session.updated",
+  "session.canceled",
+  "session.started",
+  "session.ended",
+  "attendee.joined",
+  "attendee.left",
+  "recording.ready",
+];
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const ATTEMPT_TIMEOUT_MS = 5000;
+const DELIVERY_LOG_LIMIT = 200;
+
+function envInt(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function attempt(webhook, delivery, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": sign(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS),
+    });
+    return {
+      at: new Date(started).toISOString(),
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - started,
+    };
+  } catch (e) {
+    return {
+      at: new Date(started).toISOString(),
+      status: null,
+      error: e.name === "TimeoutError" ? "timeout" : e.cause?.code || e.cause?.message || e.message,
+      durationMs: Date.now() - started,
+    };
+  }
+}
+
+// Deliveries this process is working on, so due retries are not made twice
+const inFlight = new Set();
+
+function retriesInBackground() {
+  return process.env.VERCEL !== "1";
+}
+
+// How deliveries run on this deployment; shown by the /admin/webhooks endpoints
+function deliveryNote() {
+  const first = "Deliveries run in the background, after the call that triggered the event responds";
+  return retriesInBackground()
+    ? `${first}; retries run in the background of this server.`
+    : `${first}; on serverless hosts attempts still due are made by POST /admin/webhooks/deliveries/retry.`;
+}
+
+/**
+ * Make the next attempt of `delivery` and log it. Returns the ms to wait
+ * before the following attempt, or null when delivered or out of attempts.
+ */
+async function attemptOnce(store, client, webhook, delivery) {
+  const maxAttempts = Math.max(1, envInt("WEBHOOK_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS));
+  const baseMs = envInt("WEBHOOK_RETRY_BASE_MS", DEFAULT_RETRY_BASE_MS);
+  const n = delivery.attempts.length + 1;
+
+  const result = await attempt(webhook, delivery, JSON.stringify(delivery.payload));
+  delivery.attempts.push(result);
+  const delivered = result.error === null;
+  delivery.status = delivered ? "delivered" : n >= maxAttempts ? "failed" : "retrying";
+  delivery.updatedAt = new Date().toISOString();
+  const wait = delivery.status === "retrying" ? baseMs * 2 ** (n - 1) : null;
+  if (wait !== null) {
+    delivery.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+  } else {
+    delete delivery.nextAttemptAt;
+  }
+  await store.webhookDeliveries.save(client, delivery, DELIVERY_LOG_LIMIT);
+  return wait;
+}
+
+/**
+ * Log a new delivery of `payload` to `webhook`, then make its attempts until
+ * it is delivered or out of attempts (on serverless hosts: its first attempt
+ * only). Never rejects.
+ */
+async function deliver(store, client, webhook, payload) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: `dlv_${crypto.randomBytes(9).toString("base64url")}`,
+    webhookId: webhook.id,
+    url: webhook.url,
+    event: payload.type,
+    payload,
+    status: "pending",
+    attempts: [],
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now,
+  };
+  inFlight.add(delivery.id);
+  try {
+    await store.webhookDeliveries.save(client, delivery, DELIVERY_LOG_LIMIT);
+    let wait = await attemptOnce(store, client, webhook, delivery);
+    while (wait !== null && retriesInBackground()) {
+      await sleep(wait);
+      wait = await attemptOnce(store, client, webhook, delivery);
+    }
+  } catch (e) {
+    logger.error("webhook delivery failed", { webhook: webhook.id, error: e.message });
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+/**
+ * Send `type` with `data` to every webhook of `client` subscribed to it,
+ * without waiting for the deliveries. Returns { event, deliveries, done }:
+ * the payload (null without subscribers), how many webhooks get it and a
+ * promise that resolves once the deliveries finished (callers need not wait
+ * for it).
+ */
+function emitEvent(store, client, type, data) {
+  const webhooks = (client.webhooks || []).filter(
+    (w) => w.events.length === 0 || w.events.includes(type)
+  );
+  if (webhooks.length === 0) return { event: null, deliveries: 0, done: Promise.resolve() };
+
+  const payload = {
+    id: `evt_${crypto.randomBytes(9).toString("base64url")}`,
+    type,
+    createdAt: new Date().toISOString(),
+    clientId: client.clientId,
+    data,
+  };
+  const done = Promise.all(webhooks.map((webhook) => deliver(store, client, webhook, payload)));
+  return { event: payload, deliveries: webhooks.length, done };
+}
+
+/**
+ * Make the due attempts of `client`'s deliveries that this process is not
+ * working on (serverless instances, or deliveries left behind by a restart).
+ * Deliveries whose webhook was removed fail. Returns how many deliveries were
+ * processed.
+ */
+async function retryDueDeliveries(store, client, now = Date.now()) {
+  const due = (await store.webhookDeliveries.list(client)).filter(
+    (d) =>
+      (d.status === "pending" || d.status === "retrying") &&
+      !inFlight.has(d.id) &&
+      Date.parse(d.nextAttemptAt) <= now
+  );
+
+  await Promise.all(
+    due.map(async (delivery) => {
+      const webhook = (client.webhooks || []).find((w) => w.id === delivery.webhookId);
+      inFlight.add(delivery.id);
+      try {
+        if (webhook) {
+          await attemptOnce(store, client, webhook, delivery);
+          return;
+        }
+        delivery.status = "failed";
+        delivery.updatedAt = new Date().toISOString();
+        delete delivery.nextAttemptAt;
+        await store.webhookDeliveries.save(client, delivery, DELIVERY_LOG_LIMIT);
+      } catch (e) {
+        logger.error("webhook retry failed", { delivery: delivery.id, error: e.message });
+      } finally {
+        inFlight.delete(delivery.id);
+      }
+    })
+  );
+  return due.length;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  newSecret,
+  sign,
+  deliveryNote,
+  emitEvent,
+  retryDueDeliveries,
+};
@@ -1,14 +1,55 @@
 // controllers/adminController.js (CommonJS) — client_id/client_secret based
-const { getDb } = require("../common/db");
+const crypto = require("crypto");
+const { getStore } = require("../common/store");
+const keys = require("../common/keys");
+const { ALGORITHMS } = require("../common/jwt");
+const clientAuth = require("../common/clientAuth");
+const { findClientBySecret } = require("../common/clients");
+const faults = require("../common/faults");
+const { parseRateLimits } = require("../common/rateLimit");
+const { isScopeToken } = require("../common/scopes");
+const { filterEntries } = require("../common/journal");
+const { parseSeededAttendees } = require("../common/attendance");
+const { parseOptionTree, effectiveTree } = require("../common/extendedOptions");
+const webhooks = require("../common/webhooks");
+const routePrefixes = require("../common/routePrefixes");
+const clock = require("../common/clock");
+const { logger } = require("../common/logger");
+const { param, listParam, boolParam } = require("../common/http");
 
-// tiny helper to read params from body or query
-function param(req, name) {
-  return req.body?.[name] ?? req.query?.[name] ?? null;
+// Copy the listed fields that are present on doc
+function pick(doc, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (doc[field] !== undefined) out[field] = doc[field];
+  }
+  return out;
 }
 
+// Client fields reported by /admin/metrics
+const METRICS_FIELDS = [
+  "clientId",
+  "perEndpointUsage",
+  "throttled",
+  "nextTokenTtlSeconds",
+  "rateLimits",
+  "refreshTokenTtlSeconds",
+  "refreshTokenRotation",
+  "issueRefreshWithClientCredentials",
+  "redirectUris",
+  "accessTokenFormat",
+  "jwtAlg",
+  "jwtAudience",
+  "tokenEndpointAuthMethods",
+  "basicAuthEnabled",
+  "allowedScopes",
+  "strictValidation",
+  "joinUrlTtlSeconds",
+];
+
 // POST /admin/reset
 // Body or query: client_id, client_secret
-// Reset all values except clientId/clientSecret in mongo db
+// Reset all usage, tokens and data except clientId/clientSecret and settings
 exports.reset = async (req, res) => {
   const clientId = param(req, "client_id");
   const clientSecret = param(req, "client_secret");
@@ -19,42 +60,19 @@ exports.reset = async (req, res) => {
   }
 
   try {
-    if (!process.env.MONGODB_URI) {
-      return res.status(200).json({
-        message: "MongoDB not configured; nothing to reset.",
-        client_id: clientId,
-      });
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (client) {
+      await store.clients.reset(client);
+      await store.journal.clear(client);
     }
 
-    const db = await getDb();
-    //update the document to keep only clientId, clientSecret
-    const result = await db.collection("clients").updateOne(
-      { clientId, clientSecret },
-      {
-        $set: {
-          clientId,
-          clientSecret,
-        },
-        $unset: {
-          tokenHits: "",
-          tokenRotations: "",
-          tokenExpiresAt: "",
-          perEndpointUsage: "",
-          currentToken: "",
-          issuedTokens: "",
-          sessions: "",
-          instructors: "",
-          lastSessionId: "",
-        },
-      }
-    );
-
     return res.status(200).json({
-      message: result.matchedCount > 0 ? "reset ok" : "no data to reset",
+      message: client ? "reset ok" : "no data to reset",
       client_id: clientId,
     });
   } catch (err) {
-    console.error("admin.reset failed:", err.message);
+    logger.error("admin.reset failed", { error: err.message });
     return res
       .status(500)
       .json({ error: "Reset failed", details: err.message });
@@ -73,79 +91,278 @@ exports.metrics = async (req, res) => {
   }
 
   try {
-    if (!process.env.MONGODB_URI) {
-      return res.status(200).json({
-        message: "MongoDB not configured; no metrics.",
-        client_id: clientId,
-      });
-    }
-
-    const db = await getDb();
-    const doc = await db.collection("clients").findOne(
-      { clientId, clientSecret },
-      {
-        projection: {
-          clientId: 1,
-          perEndpointUsage: 1,
-          nextTokenTtlSeconds: 1,
-        },
-      }
-    );
+    const found = await findClientBySecret(getStore(), clientId, clientSecret);
+    const doc = found && pick(found, METRICS_FIELDS);
 
     if (!doc) {
-      console.log("No client data found for:", clientId);
+      logger.debug("no client data found", { client: clientId });
       return res.status(200).json({ message: "no data", client_id: clientId });
     }
 
-    console.log("Client data found for:", clientId);
+    logger.debug("client data found", { client: clientId });
     return res.status(200).json(doc);
   } catch (err) {
-    console.error("admin.metrics failed:", err.message);
+    logger.error("admin.metrics failed", { error: err.message });
     return res
       .status(500)
       .json({ error: "Metrics failed", details: err.message });
   }
 };
 
+function isAbsoluteUrl(value) {
+  try {
+    const url = new URL(value);
+    return !url.hash;
+  } catch {
+    return false;
+  }
+}
+
+// Settings accepted by /admin/config
+const CONFIG_KEYS = [
+  "ttlSeconds",
+  "rateLimits",
+  "redirectUris",
+  "refreshTokenTtlSeconds",
+  "refreshTokenRotation",
+  "issueRefreshWithClientCredentials",
+  "accessTokenFormat",
+  "jwtAlg",
+  "jwtAudience",
+  "tokenEndpointAuthMethods",
+  "publicKeyPem",
+  "jwks",
+  "basicAuthEnabled",
+  "allowedScopes",
+  "strictValidation",
+  "joinUrlTtlSeconds",
+];
+
 // POST /admin/config
-// Body or query: client_id, client_secret, ttlSeconds (>0)
-// Sets nextTokenTtlSeconds used on next rotation
+// Settings of an existing client (404 otherwise; see POST /admin/clients)
+// Body or query: client_id, client_secret and at least one of:
+//   ttlSeconds (>0)    — nextTokenTtlSeconds used on next rotation
+//   rateLimits         — per-endpoint limits ({} turns them off), see common/rateLimit.js
+//   redirectUris       — registered redirect URIs for /oauth/authorize
+//   refreshTokenTtlSeconds (>0) — lifetime of newly issued refresh tokens
+//   refreshTokenRotation (true|false) — rotate refresh tokens on every use
+//   issueRefreshWithClientCredentials (true|false) — also issue a refresh token
+//                      for client_credentials (default false, RFC 6749 §4.4.3)
+//   accessTokenFormat (opaque|jwt), jwtAlg (RS256|ES256), jwtAudience
+//   tokenEndpointAuthMethods — client_secret_basic, client_secret_post, private_key_jwt,
+//                              or none alone for a public (PKCE-only) client
+//   publicKeyPem / jwks — public key(s) used to verify private_key_jwt assertions
+//   basicAuthEnabled (true|false) — accept HTTP Basic client credentials on the VILT API
+//   allowedScopes — scopes the client may request; turns on per-endpoint scope checks
+//   strictValidation (true|false) — check VILT request bodies against common/schemas.js
+//   joinUrlTtlSeconds (>0) — lifetime of launchSession join URLs (default 900)
 exports.config = async (req, res) => {
   const clientId = param(req, "client_id");
   const clientSecret = param(req, "client_secret");
-  const ttl = Number(param(req, "ttlSeconds"));
   if (!clientId || !clientSecret) {
     return res
       .status(400)
       .json({ error: "client_id and client_secret are required" });
   }
-  if (!Number.isFinite(ttl) || ttl <= 0) {
-    return res.status(400).json({ error: "ttlSeconds must be > 0" });
+
+  const set = {};
+  const applied = {};
+
+  if (param(req, "ttlSeconds") !== null) {
+    const ttl = Number(param(req, "ttlSeconds"));
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      return res.status(400).json({ error: "ttlSeconds must be > 0" });
+    }
+    set.nextTokenTtlSeconds = ttl;
+    applied.ttlSeconds = ttl;
   }
 
-  try {
-    if (!process.env.MONGODB_URI) {
-      return res.status(200).json({
-        message: "MongoDB not configured; config ignored.",
-        client_id: clientId,
-        ttlSeconds: ttl,
+  if (param(req, "rateLimits") !== null) {
+    const { limits, error } = parseRateLimits(param(req, "rateLimits"));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    set.rateLimits = limits;
+    applied.rateLimits = limits;
+  }
+
+  const redirectUris = listParam(req, "redirectUris");
+  if (redirectUris !== null) {
+    if (!redirectUris.every(isAbsoluteUrl)) {
+      return res.status(400).json({
+        error: "redirectUris must be absolute URLs without a fragment",
+      });
+    }
+    set.redirectUris = redirectUris;
+    applied.redirectUris = redirectUris;
+  }
+
+  if (param(req, "refreshTokenTtlSeconds") !== null) {
+    const refreshTtl = Number(param(req, "refreshTokenTtlSeconds"));
+    if (!Number.isFinite(refreshTtl) || refreshTtl <= 0) {
+      return res
+        .status(400)
+        .json({ error: "refreshTokenTtlSeconds must be > 0" });
+    }
+    set.refreshTokenTtlSeconds = refreshTtl;
+    applied.refreshTokenTtlSeconds = refreshTtl;
+  }
+
+  if (param(req, "refreshTokenRotation") !== null) {
+    const rotation = boolParam(req, "refreshTokenRotation");
+    if (rotation === undefined) {
+      return res
+        .status(400)
+        .json({ error: "refreshTokenRotation must be true or false" });
+    }
+    set.refreshTokenRotation = rotation;
+    applied.refreshTokenRotation = rotation;
+  }
+
+  if (param(req, "issueRefreshWithClientCredentials") !== null) {
+    const issueRefresh = boolParam(req, "issueRefreshWithClientCredentials");
+    if (issueRefresh === undefined) {
+      return res
+        .status(400)
+        .json({ error: "issueRefreshWithClientCredentials must be true or false" });
+    }
+    set.issueRefreshWithClientCredentials = issueRefresh;
+    applied.issueRefreshWithClientCredentials = issueRefresh;
+  }
+
+  const format = param(req, "accessTokenFormat");
+  if (format !== null) {
+    if (!["opaque", "jwt"].includes(format)) {
+      return res
+        .status(400)
+        .json({ error: "accessTokenFormat must be opaque or jwt" });
+    }
+    set.accessTokenFormat = format;
+    applied.accessTokenFormat = format;
+  }
+
+  const jwtAlg = param(req, "jwtAlg");
+  if (jwtAlg !== null) {
+    if (!ALGORITHMS[jwtAlg]) {
+      return res.status(400).json({ error: "jwtAlg must be RS256 or ES256" });
+    }
+    set.jwtAlg = jwtAlg;
+    applied.jwtAlg = jwtAlg;
+  }
+
+  const jwtAudience = param(req, "jwtAudience");
+  if (jwtAudience !== null) {
+    set.jwtAudience = String(jwtAudience);
+    applied.jwtAudience = String(jwtAudience);
+  }
+
+  const authMethods = listParam(req, "tokenEndpointAuthMethods");
+  if (authMethods !== null) {
+    if (
+      authMethods.length === 0 ||
+      !authMethods.every((m) => clientAuth.AUTH_METHODS.includes(m))
+    ) {
+      return res.status(400).json({
+        error: `tokenEndpointAuthMethods must be any of ${clientAuth.AUTH_METHODS.join(", ")}`,
+      });
+    }
+    if (authMethods.includes("none") && authMethods.length > 1) {
+      return res.status(400).json({
+        error: "none (public client) cannot be combined with other tokenEndpointAuthMethods",
       });
     }
+    set.tokenEndpointAuthMethods = authMethods;
+    applied.tokenEndpointAuthMethods = authMethods;
+  }
+
+  const publicKeyPem = param(req, "publicKeyPem");
+  let jwks = param(req, "jwks");
+  if (publicKeyPem !== null || jwks !== null) {
+    try {
+      if (typeof jwks === "string") jwks = JSON.parse(jwks);
+      if (jwks !== null && !Array.isArray(jwks?.keys)) {
+        throw new Error("jwks must be a JWK Set ({ keys: [...] })");
+      }
+      clientAuth.assertUsablePublicKeys({ publicKeyPem, jwks });
+    } catch (e) {
+      return res
+        .status(400)
+        .json({ error: "invalid public key", details: e.message });
+    }
+    if (publicKeyPem !== null) {
+      set.publicKeyPem = publicKeyPem;
+      applied.publicKeyPem = "(set)";
+    }
+    if (jwks !== null) {
+      set.jwks = jwks;
+      applied.jwks = jwks.keys.map((k) => k.kid || null);
+    }
+  }
+
+  if (param(req, "basicAuthEnabled") !== null) {
+    const basicAuth = boolParam(req, "basicAuthEnabled");
+    if (basicAuth === undefined) {
+      return res
+        .status(400)
+        .json({ error: "basicAuthEnabled must be true or false" });
+    }
+    set.basicAuthEnabled = basicAuth;
+    applied.basicAuthEnabled = basicAuth;
+  }
+
+  const allowedScopes = listParam(req, "allowedScopes");
+  if (allowedScopes !== null) {
+    if (!allowedScopes.every(isScopeToken)) {
+      return res
+        .status(400)
+        .json({ error: "allowedScopes contains an invalid scope token" });
+    }
+    // An empty list turns scope enforcement back off
+    set.allowedScopes = allowedScopes;
+    applied.allowedScopes = allowedScopes;
+  }
+
+  if (param(req, "strictValidation") !== null) {
+    const strict = boolParam(req, "strictValidation");
+    if (strict === undefined) {
+      return res
+        .status(400)
+        .json({ error: "strictValidation must be true or false" });
+    }
+    set.strictValidation = strict;
+    applied.strictValidation = strict;
+  }
+
+  if (param(req, "joinUrlTtlSeconds") !== null) {
+    const joinTtl = Number(param(req, "joinUrlTtlSeconds"));
+    if (!Number.isFinite(joinTtl) || joinTtl <= 0) {
+      return res.status(400).json({ error: "joinUrlTtlSeconds must be > 0" });
+    }
+    set.joinUrlTtlSeconds = joinTtl;
+    applied.joinUrlTtlSeconds = joinTtl;
+  }
+
+  if (Object.keys(set).length === 0) {
+    return res
+      .status(400)
+      .json({ error: `at least one of ${CONFIG_KEYS.join(", ")} is required` });
+  }
 
-    const db = await getDb();
-    await db
-      .collection("clients")
-      .updateOne(
-        { clientId, clientSecret },
-        { $set: { nextTokenTtlSeconds: ttl } },
-        { upsert: true }
-      );
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client || !(await store.clients.updateSettings(client, set))) {
+      return res.status(404).json({
+        error: "client not found",
+        details: "create it first with POST /admin/clients",
+      });
+    }
 
     return res
       .status(200)
-      .json({ message: "config ok", client_id: clientId, ttlSeconds: ttl });
+      .json({ message: "config ok", client_id: clientId, ...applied });
   } catch (err) {
-    console.error("admin.config failed:", err.message);
+    logger.error("admin.config failed", { error: err.message });
     return res
       .status(500)
       .json({ error: "Config failed", details: err.message });
@@ -153,7 +370,8 @@ exports.config = async (req, res) => {
 };
 
 // GET /admin/tokens?client_id=&client_secret=
-// Lists issued tokens (+ marks which one is current)
+// Lists issued access tokens and refresh tokens (+ marks which ones are current)
+// Refresh tokens carry their familyId and parentToken so rotation chains can be followed
 exports.tokens = async (req, res) => {
   const clientId = param(req, "client_id");
   const clientSecret = param(req, "client_secret");
@@ -164,22 +382,7 @@ exports.tokens = async (req, res) => {
   }
 
   try {
-    const db = await getDb();
-    const coll = db.collection("clients");
-
-    const doc = await coll.findOne(
-      { clientId, clientSecret },
-      {
-        projection: {
-          clientId: 1,
-          issuedTokens: 1,
-          currentToken: 1,
-          tokenExpiresAt: 1,
-          tokenRotations: 1,
-          tokenHits: 1,
-        },
-      }
-    );
+    const doc = await findClientBySecret(getStore(), clientId, clientSecret);
 
     if (!doc) {
       return res.status(200).json({
@@ -190,6 +393,9 @@ exports.tokens = async (req, res) => {
         tokenExpiresAt: null,
         count: 0,
         issuedTokens: [],
+        refreshTokenCount: 0,
+        refreshTokens: [],
+        refreshTokenFamilies: [],
       });
     }
 
@@ -200,8 +406,35 @@ exports.tokens = async (req, res) => {
       expiresAt: t.expiresAt,
       active: t.active === true, // if present
       isCurrent: doc.currentToken === t.token,
+      revokedAt: t.revokedAt || null,
+      familyId: t.familyId || null,
+    }));
+
+    const refreshTokens = (doc.refreshTokens || []).map((t, i) => ({
+      index: i + 1,
+      token: t.token,
+      familyId: t.familyId,
+      parentToken: t.parentToken || null,
+      issuedAt: t.issuedAt,
+      expiresAt: t.expiresAt,
+      used: t.used === true,
+      usedAt: t.usedAt || null,
+      revoked: t.revoked === true,
+      revokedReason: t.revokedReason || null,
+      isCurrent: doc.currentRefreshToken === t.token,
     }));
 
+    // Group refresh tokens by family, oldest first, to show the rotation chain
+    const families = new Map();
+    for (const t of refreshTokens) {
+      if (!families.has(t.familyId)) {
+        families.set(t.familyId, { familyId: t.familyId, revoked: false, chain: [] });
+      }
+      const family = families.get(t.familyId);
+      family.chain.push(t.token);
+      family.revoked = family.revoked || t.revoked;
+    }
+
     return res.status(200).json({
       client_id: doc.clientId,
       tokenHits: doc.tokenHits || 0,
@@ -210,9 +443,948 @@ exports.tokens = async (req, res) => {
       tokenExpiresAt: doc.tokenExpiresAt || null,
       count: tokens.length,
       issuedTokens: tokens,
+      refreshTokenRotation: doc.refreshTokenRotation !== false,
+      currentRefreshToken: doc.currentRefreshToken || null,
+      refreshTokenCount: refreshTokens.length,
+      refreshTokens,
+      refreshTokenFamilies: [...families.values()],
     });
   } catch (err) {
-    console.error("admin.tokens failed. please retry:", err.message);
+    logger.error("admin.tokens failed. please retry", { error: err.message });
     return res.status(500).json({ error: err.message || String(err) });
   }
 };
+
+// "2026-01-01" -> ISO timestamp; undefined when missing, null when invalid
+function timeParam(req, name) {
+  const value = param(req, name);
+  if (value === null) return undefined;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// GET /admin/requests?client_id=&client_secret=
+// Optional filters: endpoint, status (e.g. 429 or 4xx), from, to (ISO), correlationId,
+// limit (newest N entries); format=ndjson exports one entry per line
+// Headers and secret body fields are redacted when the call is recorded
+exports.requests = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const from = timeParam(req, "from");
+  const to = timeParam(req, "to");
+  if (from === null || to === null) {
+    return res.status(400).json({ error: "from and to must be ISO timestamps" });
+  }
+  const limit = param(req, "limit") === null ? null : Number(param(req, "limit"));
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: "limit must be an integer >= 1" });
+  }
+  const format = param(req, "format") || "json";
+  if (!["json", "ndjson"].includes(format)) {
+    return res.status(400).json({ error: "format must be json or ndjson" });
+  }
+
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    const all = client ? await store.journal.list(client) : [];
+    let entries = filterEntries(all, {
+      endpoint: param(req, "endpoint"),
+      status: param(req, "status"),
+      from,
+      to,
+      correlationId: param(req, "correlationId"),
+    });
+    if (limit !== null) entries = entries.slice(-limit);
+
+    if (format === "ndjson") {
+      const lines = entries.map((e) => JSON.stringify(e)).join("\n");
+      return res
+        .status(200)
+        .type("application/x-ndjson")
+        .send(lines ? `${lines}\n` : "");
+    }
+    return res
+      .status(200)
+      .json({ client_id: clientId, count: entries.length, entries });
+  } catch (err) {
+    logger.error("admin.requests failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Requests failed", details: err.message });
+  }
+};
+
+// POST /admin/attendance
+// Body: client_id, client_secret, sessionId, attendees:
+//   [{ email, role (instructor|learner), joins: [{ joinedAt, leftAt }] }]
+// getAttendance reports these instead of generated attendees for the session
+exports.seedAttendance = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  const sessionId = param(req, "sessionId");
+  if (!clientId || !clientSecret || !sessionId) {
+    return res
+      .status(400)
+      .json({ error: "client_id, client_secret and sessionId are required" });
+  }
+
+  let input = param(req, "attendees");
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return res.status(400).json({ error: "attendees must be a JSON array" });
+    }
+  }
+  const { attendees, error } = parseSeededAttendees(input);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    const matched =
+      client &&
+      (await store.sessions.update(client, String(sessionId), { seededAttendees: attendees }));
+    if (!matched) {
+      return res.status(404).json({ error: "session not found", sessionId });
+    }
+    return res.status(200).json({
+      message: "attendance seeded",
+      client_id: clientId,
+      sessionId,
+      count: attendees.length,
+    });
+  } catch (err) {
+    logger.error("admin.seedAttendance failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Seeding attendance failed", details: err.message });
+  }
+};
+
+// DELETE /admin/attendance
+// Body or query: client_id, client_secret, sessionId — back to generated attendees
+exports.clearAttendance = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  const sessionId = param(req, "sessionId");
+  if (!clientId || !clientSecret || !sessionId) {
+    return res
+      .status(400)
+      .json({ error: "client_id, client_secret and sessionId are required" });
+  }
+
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    const matched =
+      client && (await store.sessions.update(client, String(sessionId), { seededAttendees: null }));
+    if (!matched) {
+      return res.status(404).json({ error: "session not found", sessionId });
+    }
+    return res
+      .status(200)
+      .json({ message: "attendance cleared", client_id: clientId, sessionId });
+  } catch (err) {
+    logger.error("admin.clearAttendance failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Clearing attendance failed", details: err.message });
+  }
+};
+
+// GET /admin/extended-options?client_id=&client_secret=[&sessionId=]
+// Shows the tree getExtendedOptions returns and where it comes from (session, client or default)
+exports.extendedOptions = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const sessionId = param(req, "sessionId");
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    const session =
+      client && sessionId ? await store.sessions.find(client, String(sessionId)) : null;
+    if (sessionId && !session) {
+      return res.status(404).json({ error: "session not found", sessionId });
+    }
+
+    const { tree, source } = effectiveTree(client, session);
+    return res
+      .status(200)
+      .json({ client_id: clientId, sessionId, source, extendedOptions: tree });
+  } catch (err) {
+    logger.error("admin.extendedOptions failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Extended options failed", details: err.message });
+  }
+};
+
+// POST /admin/extended-options
+// Body: client_id, client_secret, extendedOptions (tree of Label/CheckBox/TextBox/DropDown
+// nodes, see common/extendedOptions.js) and optionally sessionId to override one session
+exports.setExtendedOptions = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  let input = param(req, "extendedOptions");
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return res.status(400).json({ error: "extendedOptions must be a JSON array" });
+    }
+  }
+  const { tree, error } = parseOptionTree(input);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const sessionId = param(req, "sessionId");
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    if (sessionId) {
+      const matched = await store.sessions.update(client, String(sessionId), {
+        extendedOptions: tree,
+      });
+      if (!matched) {
+        return res.status(404).json({ error: "session not found", sessionId });
+      }
+    } else {
+      await store.clients.updateSettings(client, { extendedOptions: tree });
+    }
+
+    return res.status(200).json({
+      message: "extended options set",
+      client_id: clientId,
+      sessionId,
+      extendedOptions: tree,
+    });
+  } catch (err) {
+    logger.error("admin.setExtendedOptions failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Setting extended options failed", details: err.message });
+  }
+};
+
+// DELETE /admin/extended-options
+// Body or query: client_id, client_secret and optionally sessionId
+// Drops the session override, or the client's tree (back to the default) without sessionId
+exports.clearExtendedOptions = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const sessionId = param(req, "sessionId");
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    if (sessionId) {
+      const matched = await store.sessions.update(client, String(sessionId), {
+        extendedOptions: null,
+      });
+      if (!matched) {
+        return res.status(404).json({ error: "session not found", sessionId });
+      }
+    } else {
+      await store.clients.updateSettings(client, { extendedOptions: null });
+    }
+
+    return res
+      .status(200)
+      .json({ message: "extended options cleared", client_id: clientId, sessionId });
+  } catch (err) {
+    logger.error("admin.clearExtendedOptions failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Clearing extended options failed", details: err.message });
+  }
+};
+
+// Only the last 4 characters of a webhook secret are shown after registration
+function maskSecret(secret) {
+  return `…${String(secret).slice(-4)}`;
+}
+
+// GET /admin/webhooks?client_id=&client_secret=
+exports.webhooks = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  try {
+    const doc = await findClientBySecret(getStore(), clientId, clientSecret);
+    const list = (doc?.webhooks || []).map((w) => ({ ...w, secret: maskSecret(w.secret) }));
+    return res.status(200).json({
+      client_id: clientId,
+      count: list.length,
+      webhooks: list,
+      delivery: webhooks.deliveryNote(),
+    });
+  } catch (err) {
+    logger.error("admin.webhooks failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Webhooks failed", details: err.message });
+  }
+};
+
+// POST /admin/webhooks
+// Body: client_id, client_secret, url (http/https), events (default: all of
+// common/webhooks.js EVENT_TYPES), secret (generated when missing)
+// The response is the only place the full secret is shown
+exports.addWebhook = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const url = param(req, "url");
+  if (!url || !isAbsoluteUrl(url) || !/^https?:$/.test(new URL(url).protocol)) {
+    return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+  }
+  const events = listParam(req, "events") || [];
+  if (!events.every((e) => webhooks.EVENT_TYPES.includes(e))) {
+    return res.status(400).json({
+      error: `events must be any of ${webhooks.EVENT_TYPES.join(", ")}`,
+    });
+  }
+
+  const webhook = {
+    id: `wh_${crypto.randomBytes(6).toString("hex")}`,
+    url,
+    events,
+    secret: param(req, "secret") ? String(param(req, "secret")) : webhooks.newSecret(),
+    createdAt: new Date().toISOString(),
+  };
+
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    await store.webhooks.add(client, webhook);
+    return res.status(201).json({
+      message: "webhook registered",
+      client_id: clientId,
+      webhook,
+      delivery: webhooks.deliveryNote(),
+    });
+  } catch (err) {
+    logger.error("admin.addWebhook failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Registering webhook failed", details: err.message });
+  }
+};
+
+// DELETE /admin/webhooks
+// Body or query: client_id, client_secret and optionally id (removes all webhooks without it)
+exports.removeWebhooks = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const id = param(req, "id");
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    if (id === null) {
+      await store.webhooks.clear(client);
+      return res
+        .status(200)
+        .json({ message: "webhooks removed", client_id: clientId });
+    }
+
+    const removed = await store.webhooks.remove(client, String(id));
+    if (!removed) {
+      return res.status(404).json({ error: "webhook not found", id });
+    }
+    return res
+      .status(200)
+      .json({ message: "webhook removed", client_id: clientId, id });
+  } catch (err) {
+    logger.error("admin.removeWebhooks failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Removing webhooks failed", details: err.message });
+  }
+};
+
+// POST /admin/webhooks/simulate
+// Body: client_id, client_secret, event, sessionId, email (attendee.* events)
+// and optionally data (object merged into the event data)
+// Emits a provider event, e.g. session.started or recording.ready, to the client's webhooks
+exports.simulateWebhook = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  const event = param(req, "event");
+  const sessionId = param(req, "sessionId");
+  const email = param(req, "email");
+  if (!clientId || !clientSecret || !sessionId) {
+    return res
+      .status(400)
+      .json({ error: "client_id, client_secret and sessionId are required" });
+  }
+  if (!webhooks.EVENT_TYPES.includes(event)) {
+    return res.status(400).json({
+      error: `event must be one of ${webhooks.EVENT_TYPES.join(", ")}`,
+    });
+  }
+  if (event.startsWith("attendee.") && !email) {
+    return res.status(400).json({ error: `email is required for ${event}` });
+  }
+
+  let extra = param(req, "data") ?? {};
+  if (typeof extra === "string") {
+    try {
+      extra = JSON.parse(extra);
+    } catch {
+      return res.status(400).json({ error: "data must be a JSON object" });
+    }
+  }
+  if (!extra || typeof extra !== "object" || Array.isArray(extra)) {
+    return res.status(400).json({ error: "data must be a JSON object" });
+  }
+
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    const session = client && (await store.sessions.find(client, String(sessionId)));
+    if (!session) {
+      return res.status(404).json({ error: "session not found", sessionId });
+    }
+
+    const data = {
+      sessionId: session.sessionId,
+      ...(email ? { email: String(email) } : {}),
+      ...extra,
+    };
+    const emitted = webhooks.emitEvent(store, client, event, data);
+    return res.status(202).json({
+      message: emitted.deliveries > 0 ? "event sent" : "no webhook subscribed to event",
+      client_id: clientId,
+      event: emitted.event,
+      deliveries: emitted.deliveries,
+    });
+  } catch (err) {
+    logger.error("admin.simulateWebhook failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Simulating event failed", details: err.message });
+  }
+};
+
+// GET /admin/webhooks/deliveries?client_id=&client_secret=
+// Optional filters: event, status (pending|retrying|delivered|failed), webhookId
+exports.webhookDeliveries = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const event = param(req, "event");
+  const status = param(req, "status");
+  const webhookId = param(req, "webhookId");
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    const all = await store.webhookDeliveries.list(client);
+    const deliveries = all.filter(
+      (d) =>
+        (!event || d.event === event) &&
+        (!status || d.status === status) &&
+        (!webhookId || d.webhookId === webhookId)
+    );
+    return res
+      .status(200)
+      .json({ client_id: clientId, count: deliveries.length, deliveries });
+  } catch (err) {
+    logger.error("admin.webhookDeliveries failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Webhook deliveries failed", details: err.message });
+  }
+};
+
+// POST /admin/webhooks/deliveries/retry
+// Body: client_id, client_secret
+// Makes the client's due delivery attempts that no instance is running in the
+// background; serverless hosts rely on it (see common/webhooks.js)
+exports.retryWebhookDeliveries = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    const retried = await webhooks.retryDueDeliveries(store, client);
+    return res
+      .status(200)
+      .json({ message: "due deliveries retried", client_id: clientId, retried });
+  } catch (err) {
+    logger.error("admin.retryWebhookDeliveries failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Retrying webhook deliveries failed", details: err.message });
+  }
+};
+
+// GET /admin/faults?client_id=&client_secret=
+// Lists the client's fault rules with how often each matched
+exports.faults = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  try {
+    const doc = await findClientBySecret(getStore(), clientId, clientSecret);
+    const rules = doc?.faultRules || [];
+    return res.status(200).json({ client_id: clientId, count: rules.length, rules });
+  } catch (err) {
+    logger.error("admin.faults failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Faults failed", details: err.message });
+  }
+};
+
+// POST /admin/faults
+// Body or query: client_id, client_secret, endpoint and optionally
+//   action (error|latency|drop|malformed), status, code, message,
+//   latencyMs, percentage (0-100), nth — see common/faults.js
+// Rules are evaluated in the order they were added; the first one that fires wins
+exports.addFault = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const input = {};
+  for (const field of [
+    "endpoint",
+    "action",
+    "status",
+    "code",
+    "message",
+    "latencyMs",
+    "percentage",
+    "nth",
+  ]) {
+    input[field] = param(req, field);
+  }
+  const { rule, error } = faults.buildRule(input);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    await store.faults.add(client, rule);
+    return res
+      .status(201)
+      .json({ message: "fault added", client_id: clientId, rule });
+  } catch (err) {
+    logger.error("admin.addFault failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Adding fault failed", details: err.message });
+  }
+};
+
+// DELETE /admin/faults
+// Body or query: client_id, client_secret and optionally id (removes all rules without it)
+exports.removeFaults = async (req, res) => {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_id and client_secret are required" });
+  }
+
+  const id = param(req, "id");
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, clientId, clientSecret);
+    if (!client) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    if (id === null) {
+      await store.faults.clear(client);
+      return res
+        .status(200)
+        .json({ message: "faults cleared", client_id: clientId });
+    }
+
+    const removed = await store.faults.remove(client, String(id));
+    if (!removed) {
+      return res.status(404).json({ error: "fault rule not found", id });
+    }
+    return res
+      .status(200)
+      .json({ message: "fault removed", client_id: clientId, id });
+  } catch (err) {
+    logger.error("admin.removeFaults failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Removing faults failed", details: err.message });
+  }
+};
+
+// GET /admin/audit
+// Admin calls of all operators, oldest first (see common/adminAuth.js)
+// Optional filters: actor, client_id (target client), outcome (ok|error|denied),
+// from, to (ISO), limit (newest N entries)
+exports.audit = async (req, res) => {
+  const from = timeParam(req, "from");
+  const to = timeParam(req, "to");
+  if (from === null || to === null) {
+    return res.status(400).json({ error: "from and to must be ISO timestamps" });
+  }
+  const limit = param(req, "limit") === null ? null : Number(param(req, "limit"));
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: "limit must be an integer >= 1" });
+  }
+
+  const actor = param(req, "actor");
+  const clientId = param(req, "client_id");
+  const outcome = param(req, "outcome");
+  try {
+    let entries = (await getStore().auditLog.list()).filter(
+      (e) =>
+        (!actor || e.actor === actor) &&
+        (!clientId || e.targetClient === clientId) &&
+        (!outcome || e.outcome === outcome) &&
+        (!from || e.at >= from) &&
+        (!to || e.at <= to)
+    );
+    if (limit !== null) entries = entries.slice(-limit);
+    return res.status(200).json({ count: entries.length, entries });
+  } catch (err) {
+    logger.error("admin.audit failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Audit log failed", details: err.message });
+  }
+};
+
+// GET /admin/prefixes
+// Lists the route prefixes the API is served under (server-wide), longest first
+exports.prefixes = async (_req, res) => {
+  try {
+    const list = await routePrefixes.listPrefixes({ fresh: true });
+    return res.status(200).json({ count: list.length, prefixes: list });
+  } catch (err) {
+    logger.error("admin.prefixes failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Prefixes failed", details: err.message });
+  }
+};
+
+// POST /admin/prefixes
+// Body: path (e.g. "/acme/vilt/v2"), optionally client_id + client_secret to
+// tie the prefix to that client
+exports.addPrefix = async (req, res) => {
+  const { path, error } = routePrefixes.normalizePrefix(param(req, "path"));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (clientId && !clientSecret) {
+    return res
+      .status(400)
+      .json({ error: "client_secret is required with client_id" });
+  }
+
+  try {
+    const store = getStore();
+    if (clientId && !(await findClientBySecret(store, clientId, clientSecret))) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    if (routePrefixes.configuredPrefixes().some((p) => p.path === path)) {
+      return res
+        .status(409)
+        .json({ error: "prefix is configured by API_PREFIXES", path });
+    }
+
+    const prefix = { path, clientId: clientId || null, createdAt: new Date().toISOString() };
+    if (!(await store.routePrefixes.add(prefix))) {
+      return res.status(409).json({ error: "prefix already registered", path });
+    }
+    routePrefixes.invalidatePrefixes();
+    return res.status(201).json({ message: "prefix registered", prefix });
+  } catch (err) {
+    logger.error("admin.addPrefix failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Registering prefix failed", details: err.message });
+  }
+};
+
+// DELETE /admin/prefixes
+// Body or query: path (only prefixes registered through /admin/prefixes)
+exports.removePrefix = async (req, res) => {
+  const { path, error } = routePrefixes.normalizePrefix(param(req, "path"));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (!(await getStore().routePrefixes.remove(path))) {
+      const configured = routePrefixes.configuredPrefixes().some((p) => p.path === path);
+      return res.status(configured ? 409 : 404).json({
+        error: configured ? "prefix is configured by API_PREFIXES" : "prefix not found",
+        path,
+      });
+    }
+    routePrefixes.invalidatePrefixes();
+    return res.status(200).json({ message: "prefix removed", path });
+  } catch (err) {
+    logger.error("admin.removePrefix failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Removing prefix failed", details: err.message });
+  }
+};
+
+// GET /admin/keys
+// Lists JWT signing keys (server-wide; private keys are never returned)
+exports.keys = async (_req, res) => {
+  try {
+    const list = await keys.listKeys();
+    return res.status(200).json({ count: list.length, keys: list });
+  } catch (err) {
+    logger.error("admin.keys failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Keys failed", details: err.message });
+  }
+};
+
+// POST /admin/keys/rotate
+// Body or query: alg (RS256|ES256, default RS256), graceSeconds (>=0, default 3600)
+// The previous key stays in the JWKS and keeps validating for graceSeconds
+exports.rotateKeys = async (req, res) => {
+  const alg = param(req, "alg") || "RS256";
+  const grace =
+    param(req, "graceSeconds") === null
+      ? keys.DEFAULT_GRACE_SECONDS
+      : Number(param(req, "graceSeconds"));
+  if (!ALGORITHMS[alg]) {
+    return res.status(400).json({ error: "alg must be RS256 or ES256" });
+  }
+  if (!Number.isFinite(grace) || grace < 0) {
+    return res.status(400).json({ error: "graceSeconds must be >= 0" });
+  }
+
+  try {
+    const result = await keys.rotateSigningKey(alg, grace);
+    return res.status(200).json({ message: "key rotated", ...result });
+  } catch (err) {
+    logger.error("admin.rotateKeys failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Key rotation failed", details: err.message });
+  }
+};
+
+// Store `next` as the clock of client doc `doc` (null: back to real time) and answer with it
+async function saveClock(res, doc, next, message) {
+  if (!(await getStore().clients.updateSettings(doc, { clock: next }))) {
+    return res.status(404).json({ error: "client not found", client_id: doc.clientId });
+  }
+  return res
+    .status(200)
+    .json({ message, client_id: doc.clientId, clock: clock.describeClock({ clock: next }) });
+}
+
+// Client doc for the clock endpoints; writes 400/404 and returns null otherwise
+async function clockClient(req, res) {
+  const clientId = param(req, "client_id");
+  const clientSecret = param(req, "client_secret");
+  if (!clientId || !clientSecret) {
+    res.status(400).json({ error: "client_id and client_secret are required" });
+    return null;
+  }
+  const doc = await findClientBySecret(getStore(), clientId, clientSecret);
+  if (!doc) {
+    res.status(404).json({ error: "client not found", client_id: clientId });
+    return null;
+  }
+  return doc;
+}
+
+// GET /admin/clock?client_id=&client_secret=
+// The client's virtual clock (common/clock.js): mode (real|offset|frozen), the
+// time it shows now, frozenAt and offsetSeconds
+exports.clock = async (req, res) => {
+  try {
+    const doc = await clockClient(req, res);
+    if (!doc) return;
+    return res.status(200).json({ client_id: doc.clientId, clock: clock.describeClock(doc) });
+  } catch (err) {
+    logger.error("admin.clock failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Clock failed", details: err.message });
+  }
+};
+
+// POST /admin/clock
+// Body or query: client_id, client_secret and one of
+//   frozen=true [at]    — stop the clock at `at` (ISO; default: the time it shows now)
+//   frozen=false        — let a frozen clock run on from the time it shows
+//   offsetSeconds       — run at real time + offsetSeconds (negative: behind)
+exports.setClock = async (req, res) => {
+  const frozen = boolParam(req, "frozen");
+  const offset = param(req, "offsetSeconds");
+  const at = timeParam(req, "at");
+  if (param(req, "frozen") !== null && frozen === undefined) {
+    return res.status(400).json({ error: "frozen must be true or false" });
+  }
+  if ((frozen === undefined) === (offset === null)) {
+    return res.status(400).json({ error: "send either frozen or offsetSeconds" });
+  }
+  if (offset !== null && !Number.isFinite(Number(offset))) {
+    return res.status(400).json({ error: "offsetSeconds must be a number" });
+  }
+  if (at !== undefined && frozen !== true) {
+    return res.status(400).json({ error: "at is only allowed with frozen=true" });
+  }
+  if (at === null) {
+    return res.status(400).json({ error: "at must be an ISO timestamp" });
+  }
+
+  try {
+    const doc = await clockClient(req, res);
+    if (!doc) return;
+
+    if (offset !== null) {
+      return saveClock(res, doc, clock.runningClock(Number(offset) * 1000), "clock offset set");
+    }
+    if (frozen) {
+      const ms = at ? Date.parse(at) : clock.clientNow(doc);
+      return saveClock(res, doc, clock.frozenClock(ms), "clock frozen");
+    }
+    // Keep the time the clock shows, continuing from there
+    const next = clock.runningClock(clock.clientNow(doc) - Date.now());
+    return saveClock(res, doc, next, "clock running");
+  } catch (err) {
+    logger.error("admin.setClock failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Setting clock failed", details: err.message });
+  }
+};
+
+// POST /admin/clock/advance
+// Body or query: client_id, client_secret, seconds (non-zero; negative moves back)
+// A frozen clock stays frozen at the later time; a running one keeps running
+exports.advanceClock = async (req, res) => {
+  const seconds = Number(param(req, "seconds"));
+  if (param(req, "seconds") === null || !Number.isFinite(seconds) || seconds === 0) {
+    return res.status(400).json({ error: "seconds must be a non-zero number" });
+  }
+
+  try {
+    const doc = await clockClient(req, res);
+    if (!doc) return;
+    return saveClock(res, doc, clock.advancedClock(doc, seconds), "clock advanced");
+  } catch (err) {
+    logger.error("admin.advanceClock failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Advancing clock failed", details: err.message });
+  }
+};
+
+// DELETE /admin/clock
+// Body or query: client_id, client_secret — the client goes back to real time
+exports.resetClock = async (req, res) => {
+  try {
+    const doc = await clockClient(req, res);
+    if (!doc) return;
+    return saveClock(res, doc, null, "clock reset to real time");
+  } catch (err) {
+    logger.error("admin.resetClock failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Resetting clock failed", details: err.message });
+  }
+};
@@ -1,31 +1,500 @@
 // controllers/authController.js
 const crypto = require("crypto");
-const { getDb } = require("../common/db");
+const { getStore } = require("../common/store");
+const jwt = require("../common/jwt");
+const keys = require("../common/keys");
+const clientAuth = require("../common/clientAuth");
+const { SUPPORTED_SCOPES, scopeList, enforcesScopes } = require("../common/scopes");
+const { applyFault, oauthErrorBody } = require("../common/faults");
+const { throttle } = require("../common/rateLimit");
+const { attribute } = require("../common/journal");
+const { clientNow } = require("../common/clock");
+const { prefixAllows } = require("../common/routePrefixes");
+const {
+  recordTokenIssued,
+  recordTokenReused,
+  recordRefreshTokenReuse,
+} = require("../common/prometheus");
+const {
+  GRANT_TYPES,
+  RESPONSE_TYPES,
+  PKCE_METHODS,
+  isEnabled,
+  allowsGrant,
+  findClientBySecret,
+} = require("../common/clients");
+const { logger } = require("../common/logger");
+const { publicBaseUrl } = require("../common/http");
 
 function param(req, name, def = null) {
   return req.body?.[name] ?? req.query?.[name] ?? def;
 }
 
+const asIso = (t) => new Date(t).toISOString();
+
+const DEFAULT_JWT_AUDIENCE = "vilt-api";
+
+function accessTokenTtl(doc) {
+  const ttlCandidate = doc?.nextTokenTtlSeconds;
+  return Number.isFinite(ttlCandidate) && ttlCandidate > 0 ? ttlCandidate : 120;
+}
+
+function refreshTokenTtl(doc) {
+  const ttlCandidate = doc?.refreshTokenTtlSeconds;
+  return Number.isFinite(ttlCandidate) && ttlCandidate > 0 ? ttlCandidate : 86400;
+}
+
+// Rotating refresh tokens are the default; clients can opt out via /admin/config
+function rotatesRefreshTokens(doc) {
+  return doc?.refreshTokenRotation !== false;
+}
+
+function originFor(req) {
+  return process.env.OAUTH_ISSUER || `${req.protocol}://${req.get("host")}`;
+}
+
+// iss claim for JWT access tokens and discovery documents: the origin plus the
+// route prefix (RFC 8414 §3.3); OAUTH_ISSUER pins it behind proxies
+function issuerFor(req) {
+  return process.env.OAUTH_ISSUER || `${originFor(req)}${req.baseUrl || ""}`;
+}
+
+/**
+ * Build a signed JWT access token for clients with accessTokenFormat "jwt".
+ * Returns { token, jti, kid }.
+ */
+async function signAccessToken(doc, { scope, ttlSec, now, sub, issuer }) {
+  const key = await keys.getSigningKey(doc.jwtAlg || "RS256");
+  const iat = Math.floor(now / 1000);
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    {
+      iss: issuer,
+      sub: sub || doc.clientId,
+      aud: doc.jwtAudience || DEFAULT_JWT_AUDIENCE,
+      scope,
+      client_id: doc.clientId,
+      iat,
+      exp: iat + ttlSec,
+      jti,
+    },
+    key
+  );
+  return { token, jti, kid: key.kid };
+}
+
+function newFamilyId() {
+  return `fam_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+/**
+ * Issue a new access token for the client doc and make it the current one.
+ * Earlier tokens of the same grant and subject are marked inactive.
+ * Returns the new token string.
+ */
+async function rotateAccessToken(
+  store,
+  doc,
+  { scope, ttlSec, now, grantType, sub, familyId, issuer }
+) {
+  const signed =
+    doc.accessTokenFormat === "jwt"
+      ? await signAccessToken(doc, { scope, ttlSec, now, sub, issuer })
+      : null;
+  const newToken = signed ? signed.token : crypto.randomBytes(32).toString("base64url");
+
+  // doc still has the token being replaced, if any
+  recordTokenIssued(doc, grantType);
+  await store.tokens.saveAccessToken(doc, {
+    token: newToken,
+    issuedAt: asIso(now),
+    expiresAt: asIso(now + ttlSec * 1000),
+    active: true,
+    grantType,
+    scope,
+    sub: sub || doc.clientId,
+    familyId,
+    format: signed ? "jwt" : "opaque",
+    ...(signed ? { jti: signed.jti, kid: signed.kid } : {}),
+  });
+
+  return newToken;
+}
+
+/**
+ * Issue a refresh token in the given family and make it the current one.
+ * parentToken links a rotated refresh token to the one it replaced.
+ * Returns the new refresh token string.
+ */
+async function issueRefreshToken(store, doc, { familyId, parentToken, scope, sub, now }) {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+
+  await store.tokens.saveRefreshToken(doc, {
+    token: refreshToken,
+    familyId,
+    parentToken: parentToken || null,
+    scope,
+    sub: sub || doc.clientId,
+    issuedAt: asIso(now),
+    expiresAt: asIso(now + refreshTokenTtl(doc) * 1000),
+    used: false,
+    revoked: false,
+  });
+
+  return refreshToken;
+}
+
+// Acceptable client_assertion audiences: issuer (with or without the route
+// prefix), this endpoint, the token endpoint
+function assertionAudiences(req) {
+  const endpoint = `${originFor(req)}${req.baseUrl}${req.path}`;
+  return [
+    issuerFor(req),
+    originFor(req),
+    endpoint,
+    endpoint.replace(/\/(introspect|revoke)$/, "/token"),
+  ];
+}
+
+// RFC 6749 §5.2: invalid_client is a 401 with a WWW-Authenticate challenge
+function invalidClient(res, description) {
+  res.set("WWW-Authenticate", 'Basic realm="mock-oauth", error="invalid_client"');
+  return res.status(401).json({ error: "invalid_client", error_description: description });
+}
+
+/**
+ * Authenticate the calling client with whichever method it used
+ * (client_secret_basic, client_secret_post, private_key_jwt, or none for
+ * public clients) and check the method is one the client allows.
+ * Returns { store, doc, method } or writes the error response and returns null.
+ */
+async function authenticateClient(
+  req,
+  res,
+  credentials = clientAuth.extractClientCredentials(req)
+) {
+  if (!credentials) {
+    invalidClient(res, "client authentication is required");
+    return null;
+  }
+  if (credentials.error) {
+    res.status(400).json({ error: "invalid_request", error_description: credentials.error });
+    return null;
+  }
+
+  const store = getStore();
+  const doc = ["private_key_jwt", "none"].includes(credentials.method)
+    ? await store.clients.findById(credentials.clientId)
+    : await findClientBySecret(store, credentials.clientId, credentials.clientSecret);
+  if (!doc) {
+    invalidClient(res, "Client credentials not found");
+    return null;
+  }
+  if (!isEnabled(doc)) {
+    invalidClient(res, "client is disabled");
+    return null;
+  }
+  if (!prefixAllows(req, doc.clientId)) {
+    invalidClient(res, `client is not registered for ${req.baseUrl || "/"}`);
+    return null;
+  }
+  if (!clientAuth.allowedMethods(doc).includes(credentials.method)) {
+    // A bare client_id from a confidential client is missing its credentials
+    if (credentials.method === "none") {
+      invalidClient(res, "client authentication is required");
+      return null;
+    }
+    invalidClient(
+      res,
+      `client authentication method ${credentials.method} is not allowed for this client`
+    );
+    return null;
+  }
+
+  if (credentials.method === "private_key_jwt") {
+    // Assertion exp/iat are checked against the client's clock (skew testing)
+    const now = clientNow(doc);
+    const reason = clientAuth.verifyClientAssertion(doc, credentials, {
+      audiences: assertionAudiences(req),
+      now,
+    });
+    if (reason) {
+      invalidClient(res, reason);
+      return null;
+    }
+    // One-time use: remember recent jti values to reject replays
+    const { jti } = credentials.decoded.payload;
+    if (!(await store.clients.recordAssertionJti(doc, jti))) {
+      invalidClient(res, "client_assertion jti was already used");
+      return null;
+    }
+  }
+
+  return { store, doc, method: credentials.method };
+}
+
+/**
+ * Locate token among the client's access and refresh tokens.
+ * token_type_hint only decides which list is searched first (RFC 7009 §2.1).
+ * Returns { kind: "access_token" | "refresh_token", entry } or null.
+ */
+function findOwnToken(doc, token, hint) {
+  const lookups = {
+    access_token: () => (doc.issuedTokens || []).find((t) => t.token === token),
+    refresh_token: () => (doc.refreshTokens || []).find((t) => t.token === token),
+  };
+  const order =
+    hint === "refresh_token"
+      ? ["refresh_token", "access_token"]
+      : ["access_token", "refresh_token"];
+  for (const kind of order) {
+    const entry = lookups[kind]();
+    if (entry) return { kind, entry };
+  }
+  return null;
+}
+
+/**
+ * Scope granted for a new authorization. Clients with allowedScopes may only
+ * request registered scopes and get all of them when no scope is requested.
+ * Returns { scope } or { error } (invalid_scope description).
+ */
+function grantScope(doc, requested) {
+  if (!enforcesScopes(doc)) return { scope: requested || "default" };
+  if (!requested) return { scope: doc.allowedScopes.join(" ") };
+
+  const unknown = scopeList(requested).filter((s) => !doc.allowedScopes.includes(s));
+  if (unknown.length > 0) {
+    return { error: `scope not registered for this client: ${unknown.join(" ")}` };
+  }
+  return { scope: scopeList(requested).join(" ") };
+}
+
+function sameScopes(a, b) {
+  const left = scopeList(a);
+  const right = scopeList(b);
+  return left.length === right.length && left.every((s) => right.includes(s));
+}
+
+// RFC 7636 §4.6
+function verifyPkce(codeChallenge, method, codeVerifier) {
+  if (!codeChallenge) return true;
+  if (!codeVerifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+    return false;
+  }
+  const computed =
+    method === "S256"
+      ? crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+      : codeVerifier;
+  const a = Buffer.from(computed);
+  const b = Buffer.from(codeChallenge);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// A used code presented again: revoke what was issued from it (RFC 6749 §4.1.2)
+async function replayedCode(store, doc, familyId, now, invalidGrant) {
+  if (familyId) {
+    await store.tokens.revokeFamily(doc, familyId, "code_replayed", asIso(now));
+  }
+  return invalidGrant("authorization code was already used; tokens issued from it are revoked");
+}
+
+/**
+ * grant_type=authorization_code
+ * Body or query: code, redirect_uri (when the authorization request had one),
+ * code_verifier (when PKCE was used)
+ */
+async function exchangeAuthorizationCode(req, res, { store, doc, method }) {
+  const code = param(req, "code");
+  const redirectUri = param(req, "redirect_uri");
+  const codeVerifier = param(req, "code_verifier");
+
+  if (!code) {
+    return res.status(400).json({
+      error: "invalid_request",
+      error_description: "code is required",
+    });
+  }
+
+  try {
+    const now = clientNow(doc);
+    const entry = (doc.authCodes || []).find((c) => c.code === code);
+    const invalidGrant = (description) =>
+      res.status(400).json({ error: "invalid_grant", error_description: description });
+
+    if (!entry) return invalidGrant("authorization code is invalid");
+    if (entry.used) return replayedCode(store, doc, entry.familyId, now, invalidGrant);
+    if (Date.parse(entry.expiresAt) <= now) {
+      return invalidGrant("authorization code expired");
+    }
+    // redirect_uri must match when the authorization request included it (RFC 6749 §4.1.3)
+    if (entry.redirectUriProvided && redirectUri !== entry.redirectUri) {
+      return invalidGrant("redirect_uri does not match the authorization request");
+    }
+    // Public clients prove possession of the code with PKCE alone
+    if (method === "none" && !entry.codeChallenge) {
+      return invalidGrant("public clients must use PKCE");
+    }
+    if (!verifyPkce(entry.codeChallenge, entry.codeChallengeMethod, codeVerifier)) {
+      return invalidGrant("PKCE verification failed");
+    }
+
+    // Burn the code atomically so a concurrent replay loses the race
+    const familyId = newFamilyId();
+    if (!(await store.tokens.consumeAuthCode(doc, code, asIso(now), familyId))) {
+      const fresh = await store.clients.findById(doc.clientId);
+      const used = (fresh?.authCodes || []).find((c) => c.code === code);
+      return replayedCode(store, doc, used?.familyId, now, invalidGrant);
+    }
+    await store.usage.increment(doc, { tokenHits: 1, "perEndpointUsage.token": 1 });
+
+    const ttlSec = accessTokenTtl(doc);
+    const newToken = await rotateAccessToken(store, doc, {
+      scope: entry.scope,
+      ttlSec,
+      now,
+      grantType: "authorization_code",
+      sub: entry.sub,
+      familyId,
+      issuer: issuerFor(req),
+    });
+    const refreshToken = await issueRefreshToken(store, doc, {
+      familyId,
+      scope: entry.scope,
+      sub: entry.sub,
+      now,
+    });
+
+    return res.status(200).json({
+      access_token: newToken,
+      token_type: "Bearer",
+      expires_in: ttlSec,
+      refresh_token: refreshToken,
+      scope: entry.scope,
+    });
+  } catch (e) {
+    logger.error("exchangeAuthorizationCode failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+}
+
+/**
+ * grant_type=refresh_token
+ * Body or query: refresh_token, scope (optional, must not widen the original)
+ * Rotating clients get a new refresh token on every use; replaying a used one
+ * revokes the whole family (RFC 6819 §5.2.2.3).
+ */
+async function exchangeRefreshToken(req, res, { store, doc }) {
+  const refreshToken = param(req, "refresh_token");
+  const scopeIn = param(req, "scope");
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      error: "invalid_request",
+      error_description: "refresh_token is required",
+    });
+  }
+
+  try {
+    const now = clientNow(doc);
+    const rotating = rotatesRefreshTokens(doc);
+    const entry = (doc.refreshTokens || []).find((t) => t.token === refreshToken);
+    const invalidGrant = (description) =>
+      res.status(400).json({ error: "invalid_grant", error_description: description });
+
+    if (!entry) return invalidGrant("refresh token is invalid");
+    if (entry.revoked) return invalidGrant("refresh token was revoked");
+    if (Date.parse(entry.expiresAt) <= now) {
+      return invalidGrant("refresh token expired");
+    }
+    if (rotating && entry.used) {
+      recordRefreshTokenReuse(doc);
+      await store.tokens.revokeFamily(doc, entry.familyId, "reuse_detected", asIso(now));
+      return invalidGrant("refresh token reuse detected; token family revoked");
+    }
+
+    // Requested scope may narrow but never widen the original grant
+    const granted = scopeList(entry.scope);
+    const requested = scopeIn ? scopeList(scopeIn) : granted;
+    if (!requested.every((s) => granted.includes(s))) {
+      return res.status(400).json({
+        error: "invalid_scope",
+        error_description: "requested scope exceeds the original grant",
+      });
+    }
+    const scope = requested.join(" ");
+
+    if (rotating) {
+      // Burn the refresh token atomically; losing the race counts as reuse
+      if (!(await store.tokens.markRefreshTokenUsed(doc, refreshToken, asIso(now)))) {
+        recordRefreshTokenReuse(doc);
+        await store.tokens.revokeFamily(doc, entry.familyId, "reuse_detected", asIso(now));
+        return invalidGrant("refresh token reuse detected; token family revoked");
+      }
+    }
+
+    await store.usage.increment(doc, {
+      tokenHits: 1,
+      "perEndpointUsage.token": 1,
+      "perEndpointUsage.refresh": 1,
+    });
+
+    const ttlSec = accessTokenTtl(doc);
+    const newToken = await rotateAccessToken(store, doc, {
+      scope,
+      ttlSec,
+      now,
+      grantType: "refresh_token",
+      sub: entry.sub,
+      familyId: entry.familyId,
+      issuer: issuerFor(req),
+    });
+    const nextRefreshToken = rotating
+      ? await issueRefreshToken(store, doc, {
+          familyId: entry.familyId,
+          parentToken: entry.token,
+          scope: entry.scope,
+          sub: entry.sub,
+          now,
+        })
+      : entry.token;
+
+    return res.status(200).json({
+      access_token: newToken,
+      token_type: "Bearer",
+      expires_in: ttlSec,
+      refresh_token: nextRefreshToken,
+      scope,
+    });
+  } catch (e) {
+    logger.error("exchangeRefreshToken failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+}
+
 exports.issueToken = async (req, res) => {
-  const clientId = param(req, "client_id");
-  const clientSecret = param(req, "client_secret");
   const grantType = param(req, "grant_type", "client_credentials");
   const scopeIn = param(req, "scope", "default");
+  const credentials = clientAuth.extractClientCredentials(req);
 
-  if (!clientId || !clientSecret) {
+  if (!credentials) {
     return res.status(400).json({
       error: "invalid_client",
-      error_description: "client_id and client_secret are required",
+      error_description:
+        "client_id and client_secret (or Basic auth / client_assertion) are required",
     });
   }
-  if (grantType !== "client_credentials") {
+  if (!GRANT_TYPES.includes(grantType)) {
     return res.status(400).json({ error: "unsupported_grant_type" });
   }
 
   // Load testing mode - return hardcoded response
+  const { clientId, clientSecret } = credentials;
   if (
-    clientId.toLowerCase().includes("loadtesting") ||
-    clientSecret.toLowerCase().includes("loadtesting")
+    grantType === "client_credentials" &&
+    clientId &&
+    (clientId.toLowerCase().includes("loadtesting") ||
+      (clientSecret || "").toLowerCase().includes("loadtesting"))
   ) {
     return res.status(200).json({
       access_token: "HKWjGyT3CthKw8jFqxrYIsdeJ2yL2PkQECEoK2BW0VU",
@@ -35,152 +504,294 @@ exports.issueToken = async (req, res) => {
     });
   }
 
-  const now = Date.now();
-  const asIso = (t) => new Date(t).toISOString();
+  attribute(res, { clientId, endpoint: "token" });
 
   try {
-    // Stateless fallback (no DB configured)
-    if (!process.env.MONGODB_URI) {
-      const db = await getDb();
-      const coll = db.collection("clients");
-
-      // Try to get nextTokenTtlSeconds from database, fallback to 1200
-      const doc = await coll.findOne(
-        { clientId, clientSecret },
-        { projection: { nextTokenTtlSeconds: 1 } }
-      );
-      const ttlCandidate = doc?.nextTokenTtlSeconds;
-      const ttlSec =
-        Number.isFinite(ttlCandidate) && ttlCandidate > 0 ? ttlCandidate : 1200;
-
-      const token = crypto.randomBytes(32).toString("base64url");
-      return res.status(200).json({
-        access_token: token,
-        token_type: "Bearer",
-        expires_in: ttlSec,
-        scope: scopeIn,
+    const auth = await authenticateClient(req, res, credentials);
+    if (!auth) return;
+    attribute(res, { store: auth.store, client: auth.doc });
+    // Issuance and expiry follow the client's clock (common/clock.js)
+    const now = clientNow(auth.doc);
+    // RFC 6749 §5.2: unauthorized_client for grants the client is not registered for
+    if (!allowsGrant(auth.doc, grantType)) {
+      return res.status(400).json({
+        error: "unauthorized_client",
+        error_description: `grant_type ${grantType} is not allowed for this client`,
+      });
+    }
+    // client_credentials needs a client that can keep a secret (RFC 6749 §4.4)
+    if (auth.method === "none" && grantType === "client_credentials") {
+      return res.status(400).json({
+        error: "unauthorized_client",
+        error_description: "public clients cannot use client_credentials",
       });
     }
 
-    const db = await getDb();
-    const coll = db.collection("clients");
-
-    // Ensure client doc exists
-    const proj = {
-      projection: {
-        clientId: 1,
-        clientSecret: 1,
-        currentToken: 1,
-        tokenExpiresAt: 1,
-        tokenHits: 1,
-        tokenRotations: 1,
-        nextTokenTtlSeconds: 1,
-        tokenType: 1,
-        scope: 1,
-      },
+    const options = {
+      store: auth.store,
+      client: auth.doc,
+      endpoint: "token",
+      renderError: oauthErrorBody,
     };
+    if (await throttle(req, res, options)) return;
+    if (await applyFault(req, res, options)) return;
 
-    let doc = await coll.findOne({ clientId, clientSecret }, proj);
-    if (!doc) {
-      // await coll.updateOne(
-      //   { clientId, clientSecret },
-      //   {
-      //     $setOnInsert: {
-      //       createdAt: asIso(now),
-      //       tokenType: "Bearer",
-      //       scope: scopeIn,
-      //     },
-      //   },
-      //   { upsert: true }
-      // );
-      // doc = await coll.findOne({ clientId, clientSecret }, proj);
-
-      return res.status(401).json({
-        error: "invalid_client",
-        error_description: "Client credentials not found",
-      });
+    if (grantType === "authorization_code") {
+      return exchangeAuthorizationCode(req, res, auth);
     }
+    if (grantType === "refresh_token") {
+      return exchangeRefreshToken(req, res, auth);
+    }
+
+    const { store, doc } = auth;
+    const granted = grantScope(doc, param(req, "scope"));
+    if (granted.error) {
+      return res
+        .status(400)
+        .json({ error: "invalid_scope", error_description: granted.error });
+    }
+    const scope = granted.scope;
 
     // Metrics
-    await coll.updateOne(
-      { clientId, clientSecret },
-      { $inc: { tokenHits: 1, "perEndpointUsage.token": 1 } },
-      { upsert: true }
-    );
+    await store.usage.increment(doc, { tokenHits: 1, "perEndpointUsage.token": 1 });
 
     // Reuse if still valid
     const expMs = doc?.tokenExpiresAt ? Date.parse(doc.tokenExpiresAt) : 0;
     const stillValid =
-      doc?.currentToken && Number.isFinite(expMs) && now < expMs;
+      doc?.currentToken &&
+      Number.isFinite(expMs) &&
+      now < expMs &&
+      // Scope-enforcing clients get a fresh token when they ask for other scopes
+      (!enforcesScopes(doc) || sameScopes(doc.scope, scope));
 
     if (stillValid) {
       const remaining = Math.max(1, Math.floor((expMs - now) / 1000));
+      recordTokenReused(doc, grantType);
+      // Hand back the current refresh token too, as long as it is still usable
+      const currentRefresh = (doc.refreshTokens || []).find(
+        (t) =>
+          t.token === doc.currentRefreshToken &&
+          !t.revoked &&
+          !t.used &&
+          Date.parse(t.expiresAt) > now
+      );
       return res.status(200).json({
         access_token: doc.currentToken,
         token_type: doc.tokenType || "Bearer",
         expires_in: remaining,
-        scope: doc.scope || scopeIn,
+        ...(currentRefresh ? { refresh_token: currentRefresh.token } : {}),
+        scope: doc.scope || scope,
       });
     }
 
     // Rotate / first issue
-    const ttlCandidate = doc?.nextTokenTtlSeconds;
-    const ttlSec =
-      Number.isFinite(ttlCandidate) && ttlCandidate > 0 ? ttlCandidate : 120;
-    const newToken = crypto.randomBytes(32).toString("base64url");
-    const newExpIso = asIso(now + ttlSec * 1000);
-
-    // 1) Deactivate *all* previous tokens (robust across environments)
-    await coll.updateOne({ clientId, clientSecret }, [
-      {
-        $set: {
-          issuedTokens: {
-            $cond: [
-              { $isArray: "$issuedTokens" },
-              {
-                $map: {
-                  input: "$issuedTokens",
-                  as: "t",
-                  in: { $mergeObjects: ["$$t", { active: false }] },
-                },
-              },
-              [],
-            ],
-          },
-        },
-      },
-    ]);
-    // 2) Set the new active token
-    await coll.updateOne(
-      { clientId, clientSecret },
-      {
-        $set: {
-          currentToken: newToken,
-          tokenExpiresAt: newExpIso,
-          tokenType: "Bearer",
-          scope: scopeIn,
-        },
-        $inc: { tokenRotations: 1 },
-        $push: {
-          issuedTokens: {
-            token: newToken,
-            issuedAt: asIso(now),
-            expiresAt: newExpIso,
-            active: true,
-          },
-        },
-      },
-      { upsert: true }
-    );
+    const ttlSec = accessTokenTtl(doc);
+    const familyId = newFamilyId();
+    const newToken = await rotateAccessToken(store, doc, {
+      scope,
+      ttlSec,
+      now,
+      grantType,
+      familyId,
+      issuer: issuerFor(req),
+    });
+    // RFC 6749 §4.4.3: no refresh token unless the client opted in (/admin/config)
+    const refreshToken =
+      doc.issueRefreshWithClientCredentials === true
+        ? await issueRefreshToken(store, doc, { familyId, scope, now })
+        : null;
 
     return res.status(200).json({
       access_token: newToken,
       token_type: "Bearer",
       expires_in: ttlSec,
-      scope: scopeIn,
+      ...(refreshToken ? { refresh_token: refreshToken } : {}),
+      scope,
+    });
+  } catch (e) {
+    logger.error("issueToken failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+};
+
+// GET /.well-known/jwks.json
+// Public keys for JWT access tokens (active + retired keys still in their grace period)
+exports.jwks = async (_req, res) => {
+  try {
+    const body = await keys.getJwks();
+    res.set("Cache-Control", "public, max-age=60");
+    return res.status(200).json(body);
+  } catch (e) {
+    logger.error("jwks failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+};
+
+/**
+ * RFC 8414 metadata for the route prefix of this request, built from what the
+ * server implements. On a prefix tied to a client (common/routePrefixes.js)
+ * grants, auth methods and scopes are narrowed to that client's registration.
+ */
+async function authorizationServerMetadata(req) {
+  const base = publicBaseUrl(req);
+  const api = `${base}${req.baseUrl}`;
+  const tenant = req.apiPrefix?.clientId
+    ? await getStore().clients.findById(req.apiPrefix.clientId)
+    : null;
+
+  const grants = tenant?.allowedGrants?.length ? tenant.allowedGrants : GRANT_TYPES;
+  const authMethods = tenant ? clientAuth.allowedMethods(tenant) : clientAuth.AUTH_METHODS;
+  const signingAlgs = Object.keys(jwt.ALGORITHMS);
+
+  return {
+    issuer: issuerFor(req),
+    authorization_endpoint: `${api}/oauth/authorize`,
+    token_endpoint: `${api}/oauth/token`,
+    introspection_endpoint: `${api}/oauth/introspect`,
+    revocation_endpoint: `${api}/oauth/revoke`,
+    jwks_uri: `${base}/.well-known/jwks.json`,
+    response_types_supported: grants.includes("authorization_code") ? RESPONSE_TYPES : [],
+    grant_types_supported: grants,
+    token_endpoint_auth_methods_supported: authMethods,
+    ...(authMethods.includes("private_key_jwt") && {
+      token_endpoint_auth_signing_alg_values_supported: signingAlgs,
+    }),
+    // Public clients may revoke their tokens but not introspect them
+    introspection_endpoint_auth_methods_supported: authMethods.filter((m) => m !== "none"),
+    revocation_endpoint_auth_methods_supported: authMethods,
+    scopes_supported: enforcesScopes(tenant) ? tenant.allowedScopes : SUPPORTED_SCOPES,
+    code_challenge_methods_supported: PKCE_METHODS,
+  };
+}
+
+// GET {prefix}/.well-known/oauth-authorization-server (RFC 8414)
+exports.oauthMetadata = async (req, res) => {
+  try {
+    const metadata = await authorizationServerMetadata(req);
+    res.set("Cache-Control", "public, max-age=60");
+    return res.status(200).json(metadata);
+  } catch (e) {
+    logger.error("oauthMetadata failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+};
+
+// GET {prefix}/.well-known/openid-configuration (OpenID Connect Discovery 1.0)
+// Same document plus the fields OIDC requires; no ID tokens or userinfo are issued
+exports.openidConfiguration = async (req, res) => {
+  try {
+    const metadata = await authorizationServerMetadata(req);
+    res.set("Cache-Control", "public, max-age=60");
+    return res.status(200).json({
+      ...metadata,
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: Object.keys(jwt.ALGORITHMS),
+    });
+  } catch (e) {
+    logger.error("openidConfiguration failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+};
+
+// POST /oauth/introspect (RFC 7662)
+// Client auth: Basic, client_id/client_secret or client_assertion (same as
+// /oauth/token); public clients are refused
+// Body or query: token, token_type_hint (optional)
+// Only tokens issued to the authenticated client are reported as active
+exports.introspect = async (req, res) => {
+  const token = param(req, "token");
+  const hint = param(req, "token_type_hint");
+
+  try {
+    const auth = await authenticateClient(req, res);
+    if (!auth) return;
+    const { store, doc } = auth;
+    if (auth.method === "none") {
+      return invalidClient(res, "public clients cannot introspect tokens");
+    }
+    const options = { store, client: doc, endpoint: "introspect", renderError: oauthErrorBody };
+    if (await throttle(req, res, options)) return;
+    if (await applyFault(req, res, options)) return;
+
+    if (!token) {
+      return res.status(400).json({
+        error: "invalid_request",
+        error_description: "token is required",
+      });
+    }
+
+    await store.usage.increment(doc, { "perEndpointUsage.introspect": 1 });
+
+    const now = clientNow(doc);
+    const found = findOwnToken(doc, token, hint);
+    if (!found) return res.status(200).json({ active: false });
+
+    const { kind, entry } = found;
+    const expMs = Date.parse(entry.expiresAt);
+    const active =
+      Number.isFinite(expMs) &&
+      now < expMs &&
+      !entry.revokedAt &&
+      (kind === "access_token"
+        ? entry.active !== false
+        : !entry.revoked && !entry.used);
+    if (!active) return res.status(200).json({ active: false });
+
+    const claims = kind === "access_token" ? jwt.decode(token)?.payload : null;
+    return res.status(200).json({
+      active: true,
+      scope: entry.scope || "",
+      client_id: doc.clientId,
+      token_type: kind === "access_token" ? "Bearer" : "refresh_token",
+      exp: Math.floor(expMs / 1000),
+      iat: Math.floor(Date.parse(entry.issuedAt) / 1000),
+      sub: entry.sub || doc.clientId,
+      ...(claims ? { iss: claims.iss, aud: claims.aud, jti: claims.jti } : {}),
     });
   } catch (e) {
-    console.error("issueToken failed:", e.message);
+    logger.error("introspect failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+};
+
+// POST /oauth/revoke (RFC 7009)
+// Client auth: Basic, client_id/client_secret or client_assertion (same as
+// /oauth/token); public clients send their client_id alone
+// Body or query: token, token_type_hint (optional)
+// Revoking a refresh token also revokes the access tokens of its family.
+// Unknown tokens are not an error: the response is always 200.
+exports.revoke = async (req, res) => {
+  const token = param(req, "token");
+  const hint = param(req, "token_type_hint");
+
+  try {
+    const auth = await authenticateClient(req, res);
+    if (!auth) return;
+    const { store, doc } = auth;
+    const options = { store, client: doc, endpoint: "revoke", renderError: oauthErrorBody };
+    if (await throttle(req, res, options)) return;
+    if (await applyFault(req, res, options)) return;
+
+    if (!token) {
+      return res.status(400).json({
+        error: "invalid_request",
+        error_description: "token is required",
+      });
+    }
+
+    await store.usage.increment(doc, { "perEndpointUsage.revoke": 1 });
+
+    const now = clientNow(doc);
+    const found = findOwnToken(doc, token, hint);
+    if (found?.kind === "access_token") {
+      await store.tokens.revokeAccessToken(doc, token, asIso(now));
+    } else if (found?.kind === "refresh_token") {
+      await store.tokens.revokeFamily(doc, found.entry.familyId, "revoked", asIso(now));
+    }
+
+    return res.status(200).end();
+  } catch (e) {
+    logger.error("revoke failed", { error: e.message });
     return res.status(500).json({ error: "server_error" });
   }
 };
@@ -0,0 +1,285 @@
+// controllers/authorizeController.js (CommonJS) — authorization code flow (RFC 6749 §4.1 + PKCE)
+const crypto = require("crypto");
+const { getStore } = require("../common/store");
+const { scopeList, enforcesScopes } = require("../common/scopes");
+const { prefixAllows } = require("../common/routePrefixes");
+const { RESPONSE_TYPES, PKCE_METHODS, isEnabled, allowsGrant } = require("../common/clients");
+const { isPublicClient } = require("../common/clientAuth");
+const { applyFault, oauthErrorBody } = require("../common/faults");
+const { throttle } = require("../common/rateLimit");
+const { logger } = require("../common/logger");
+const { escapeHtml } = require("../common/http");
+const { clientNow } = require("../common/clock");
+
+const AUTH_CODE_TTL_SECONDS = 60;
+
+// tiny helper to read params from body or query
+function param(req, name) {
+  return req.body?.[name] ?? req.query?.[name] ?? null;
+}
+
+// Build redirect_uri?error=...&state=... (or code=...) keeping any existing query
+function redirectWith(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) url.searchParams.set(key, value);
+  }
+  return res.redirect(302, url.toString());
+}
+
+// Errors that must NOT be redirected (unknown client / bad redirect_uri)
+function renderError(res, status, error, description) {
+  return res
+    .status(status)
+    .type("html")
+    .send(
+      `<!doctype html><html><head><title>Authorization error</title></head>` +
+        `<body><h1>Authorization error</h1>` +
+        `<p><strong>${escapeHtml(error)}</strong>: ${escapeHtml(description)}</p>` +
+        `</body></html>`
+    );
+}
+
+function renderConsent(req, res, client, request, redirectUriProvided) {
+  // Post back to the same mount point so folder-prefixed routes keep working
+  const action = req.baseUrl + req.path;
+  // An omitted redirect_uri stays omitted, so the decision knows it was filled in
+  const posted = redirectUriProvided ? request : { ...request, redirect_uri: null };
+  const hidden = Object.entries(posted)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(
+      ([key, value]) =>
+        `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`
+    )
+    .join("\n      ");
+
+  return res
+    .status(200)
+    .type("html")
+    .send(`<!doctype html>
+<html>
+  <head>
+    <title>Mock OAuth - Authorize ${escapeHtml(client.clientId)}</title>
+    <style>
+      body { font-family: sans-serif; max-width: 420px; margin: 48px auto; }
+      label, input, button { display: block; width: 100%; margin-top: 8px; }
+      .actions { display: flex; gap: 8px; }
+    </style>
+  </head>
+  <body>
+    <h1>Authorize application</h1>
+    <p><strong>${escapeHtml(client.clientId)}</strong> is requesting access with scope
+      <code>${escapeHtml(request.scope)}</code>.</p>
+    <form method="post" action="${escapeHtml(action)}">
+      ${hidden}
+      <label for="username">Username</label>
+      <input id="username" name="username" value="user@example.com" required>
+      <label for="password">Password (any value)</label>
+      <input id="password" name="password" type="password">
+      <div class="actions">
+        <button type="submit" name="decision" value="approve">Approve</button>
+        <button type="submit" name="decision" value="deny">Deny</button>
+      </div>
+    </form>
+  </body>
+</html>`);
+}
+
+/**
+ * Validate client_id / redirect_uri / response_type / PKCE params.
+ * Returns { client, request, redirectUriProvided } or writes the HTTP
+ * response and returns null.
+ */
+async function validateAuthorizeRequest(req, res) {
+  const clientId = param(req, "client_id");
+  const redirectUriIn = param(req, "redirect_uri");
+  const state = param(req, "state");
+
+  if (!clientId) {
+    renderError(res, 400, "invalid_request", "client_id is required");
+    return null;
+  }
+
+  const client = await getStore().clients.findById(clientId);
+
+  if (!client || !prefixAllows(req, client.clientId)) {
+    renderError(res, 400, "invalid_client", "Unknown client_id");
+    return null;
+  }
+  if (!isEnabled(client) || !allowsGrant(client, "authorization_code")) {
+    renderError(
+      res,
+      400,
+      "unauthorized_client",
+      "This client may not use the authorization code flow"
+    );
+    return null;
+  }
+
+  // redirect_uri must exactly match a registered one; it may be omitted
+  // only when the client registered a single redirect URI (RFC 6749 §3.1.2.3)
+  const registered = Array.isArray(client.redirectUris) ? client.redirectUris : [];
+  let redirectUri = redirectUriIn;
+  if (!redirectUri && registered.length === 1) redirectUri = registered[0];
+  if (!redirectUri || !registered.includes(redirectUri)) {
+    renderError(
+      res,
+      400,
+      "invalid_request",
+      "redirect_uri is missing or not registered for this client"
+    );
+    return null;
+  }
+
+  // From here on, errors are reported back to the client via redirect
+  const responseType = param(req, "response_type");
+  if (!responseType) {
+    redirectWith(res, redirectUri, {
+      error: "invalid_request",
+      error_description: "response_type is required",
+      state,
+    });
+    return null;
+  }
+  if (!RESPONSE_TYPES.includes(responseType)) {
+    redirectWith(res, redirectUri, { error: "unsupported_response_type", state });
+    return null;
+  }
+
+  const codeChallenge = param(req, "code_challenge");
+  const codeChallengeMethod =
+    param(req, "code_challenge_method") || (codeChallenge ? "plain" : null);
+  if (codeChallengeMethod && !codeChallenge) {
+    redirectWith(res, redirectUri, {
+      error: "invalid_request",
+      error_description: "code_challenge is required with code_challenge_method",
+      state,
+    });
+    return null;
+  }
+  // Public clients have no secret, so the code is only bound to them by PKCE
+  if (!codeChallenge && isPublicClient(client)) {
+    redirectWith(res, redirectUri, {
+      error: "invalid_request",
+      error_description: "code_challenge is required for public clients",
+      state,
+    });
+    return null;
+  }
+  if (codeChallenge && !PKCE_METHODS.includes(codeChallengeMethod)) {
+    redirectWith(res, redirectUri, {
+      error: "invalid_request",
+      error_description: "code_challenge_method must be S256 or plain",
+      state,
+    });
+    return null;
+  }
+
+  // Scope-enforcing clients may only request registered scopes (RFC 6749 §4.1.2.1)
+  let scope = param(req, "scope");
+  if (enforcesScopes(client)) {
+    const unknown = scopeList(scope).filter((s) => !client.allowedScopes.includes(s));
+    if (unknown.length > 0) {
+      redirectWith(res, redirectUri, {
+        error: "invalid_scope",
+        error_description: `scope not registered for this client: ${unknown.join(" ")}`,
+        state,
+      });
+      return null;
+    }
+    scope = scope ? scopeList(scope).join(" ") : client.allowedScopes.join(" ");
+  }
+
+  return {
+    client,
+    request: {
+      response_type: responseType,
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scope || "default",
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallenge ? codeChallengeMethod : null,
+    },
+    redirectUriProvided: Boolean(redirectUriIn),
+  };
+}
+
+// The client's rate limit and fault rules for "authorize" (common/rateLimit.js,
+// common/faults.js); true when one of them took over the response
+async function limitOrFault(req, res, client) {
+  const options = { store: getStore(), client, endpoint: "authorize", renderError: oauthErrorBody };
+  return (await throttle(req, res, options)) || applyFault(req, res, options);
+}
+
+// GET /oauth/authorize?response_type=code&client_id=&redirect_uri=&scope=&state=
+//                     &code_challenge=&code_challenge_method=
+// Renders the mock login/consent page
+exports.authorize = async (req, res) => {
+  try {
+    const ctx = await validateAuthorizeRequest(req, res);
+    if (!ctx) return;
+    if (await limitOrFault(req, res, ctx.client)) return;
+    return renderConsent(req, res, ctx.client, ctx.request, ctx.redirectUriProvided);
+  } catch (e) {
+    logger.error("authorize failed", { error: e.message });
+    return renderError(res, 500, "server_error", "Authorization failed");
+  }
+};
+
+// POST /oauth/authorize
+// Form post from the consent page: decision=approve|deny, username
+// Redirects back to redirect_uri with code (or error) and state
+exports.decide = async (req, res) => {
+  try {
+    const ctx = await validateAuthorizeRequest(req, res);
+    if (!ctx) return;
+    if (await limitOrFault(req, res, ctx.client)) return;
+
+    const { client, request } = ctx;
+    if (param(req, "decision") !== "approve") {
+      return redirectWith(res, request.redirect_uri, {
+        error: "access_denied",
+        error_description: "The resource owner denied the request",
+        state: request.state,
+      });
+    }
+
+    const username = param(req, "username");
+    if (!username) {
+      return redirectWith(res, request.redirect_uri, {
+        error: "invalid_request",
+        error_description: "username is required",
+        state: request.state,
+      });
+    }
+
+    const now = clientNow(client);
+    const code = crypto.randomBytes(32).toString("base64url");
+    const store = getStore();
+
+    await store.tokens.saveAuthCode(
+      client,
+      {
+        code,
+        redirectUri: request.redirect_uri,
+        // The token request must repeat redirect_uri only when it was sent here
+        redirectUriProvided: ctx.redirectUriProvided,
+        scope: request.scope,
+        sub: String(username),
+        codeChallenge: request.code_challenge,
+        codeChallengeMethod: request.code_challenge_method,
+        issuedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + AUTH_CODE_TTL_SECONDS * 1000).toISOString(),
+        used: false,
+      },
+      new Date(now).toISOString()
+    );
+    await store.usage.increment(client, { "perEndpointUsage.authorize": 1 });
+
+    return redirectWith(res, request.redirect_uri, { code, state: request.state });
+  } catch (e) {
+    logger.error("authorize decision failed", { error: e.message });
+    return renderError(res, 500, "server_error", "Authorization failed");
+  }
+};
@@ -0,0 +1,238 @@
+// controllers/clientsController.js (CommonJS) — client provisioning under /admin/clients
+// Clients are addressed by clientId here; secrets are only shown when created or rotated.
+const { getStore } = require("../common/store");
+const { isScopeToken } = require("../common/scopes");
+const clients = require("../common/clients");
+const { logger } = require("../common/logger");
+const { param, listParam, boolParam } = require("../common/http");
+
+/**
+ * Editable client fields present in the request: name, enabled,
+ * allowedGrants, allowedScopes. Returns { fields } or { error }.
+ */
+function clientFields(req) {
+  const fields = {};
+
+  const name = param(req, "name");
+  if (name !== null) {
+    if (typeof name !== "string" || !name.trim()) {
+      return { error: "name must be a non-empty string" };
+    }
+    fields.name = name.trim();
+  }
+
+  if (param(req, "enabled") !== null) {
+    const enabled = boolParam(req, "enabled");
+    if (enabled === undefined) return { error: "enabled must be true or false" };
+    fields.enabled = enabled;
+  }
+
+  const grants = listParam(req, "allowedGrants");
+  if (grants !== null) {
+    if (grants.length === 0 || !grants.every((g) => clients.GRANT_TYPES.includes(g))) {
+      return { error: `allowedGrants must be any of ${clients.GRANT_TYPES.join(", ")}` };
+    }
+    fields.allowedGrants = [...new Set(grants)];
+  }
+
+  const scopes = listParam(req, "allowedScopes");
+  if (scopes !== null) {
+    if (!scopes.every(isScopeToken)) {
+      return { error: "allowedScopes contains an invalid scope token" };
+    }
+    // An empty list turns scope enforcement off
+    fields.allowedScopes = [...new Set(scopes)];
+  }
+
+  return { fields };
+}
+
+// GET /admin/clients
+exports.list = async (_req, res) => {
+  try {
+    const docs = await getStore().clients.list();
+    const list = docs.map((doc) => clients.clientSummary(doc));
+    return res.status(200).json({ count: list.length, clients: list });
+  } catch (err) {
+    logger.error("clients.list failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Listing clients failed", details: err.message });
+  }
+};
+
+// POST /admin/clients
+// Body: client_id and client_secret (both generated when missing), name,
+// allowedGrants, allowedScopes, enabled (default true)
+// The response is the only place the secret is shown
+exports.create = async (req, res) => {
+  const clientId = param(req, "client_id") ?? clients.newClientId();
+  const clientSecret = param(req, "client_secret") ?? clients.newClientSecret();
+  if (typeof clientId !== "string" || !/^\S+$/.test(clientId)) {
+    return res.status(400).json({ error: "client_id must be a string without spaces" });
+  }
+  if (typeof clientSecret !== "string" || !clientSecret) {
+    return res.status(400).json({ error: "client_secret must be a non-empty string" });
+  }
+
+  const { fields, error } = clientFields(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const now = new Date().toISOString();
+  const doc = {
+    clientId,
+    clientSecret,
+    enabled: true,
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    if (!(await getStore().clients.create(doc))) {
+      return res.status(409).json({ error: "client already exists", client_id: clientId });
+    }
+    return res.status(201).json({
+      message: "client created",
+      client: clients.clientSummary(doc),
+      client_secret: clientSecret,
+    });
+  } catch (err) {
+    logger.error("clients.create failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Creating client failed", details: err.message });
+  }
+};
+
+// GET /admin/clients/:clientId
+exports.read = async (req, res) => {
+  const { clientId } = req.params;
+  try {
+    const doc = await getStore().clients.findById(clientId);
+    if (!doc) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    return res.status(200).json({ client: clients.clientSummary(doc) });
+  } catch (err) {
+    logger.error("clients.read failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Reading client failed", details: err.message });
+  }
+};
+
+// PUT /admin/clients/:clientId
+// Body: any of name, allowedGrants, allowedScopes, enabled (false disables the client)
+exports.update = async (req, res) => {
+  const { clientId } = req.params;
+  const { fields, error } = clientFields(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({
+      error: "at least one of name, allowedGrants, allowedScopes, enabled is required",
+    });
+  }
+
+  try {
+    const doc = await getStore().clients.updateById(clientId, {
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    });
+    if (!doc) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    return res
+      .status(200)
+      .json({ message: "client updated", client: clients.clientSummary(doc) });
+  } catch (err) {
+    logger.error("clients.update failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Updating client failed", details: err.message });
+  }
+};
+
+// DELETE /admin/clients/:clientId
+// Removes the client with all its tokens, sessions, request journal and webhook deliveries
+exports.remove = async (req, res) => {
+  const { clientId } = req.params;
+  try {
+    if (!(await getStore().clients.remove(clientId))) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+    return res.status(200).json({ message: "client deleted", client_id: clientId });
+  } catch (err) {
+    logger.error("clients.remove failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Deleting client failed", details: err.message });
+  }
+};
+
+function overlapSeconds(req) {
+  const value = param(req, "overlapSeconds") ?? process.env.CLIENT_SECRET_OVERLAP_SECONDS;
+  if (value === null || value === undefined) return clients.DEFAULT_SECRET_OVERLAP_SECONDS;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+// POST /admin/clients/:clientId/rotate-secret
+// Body: overlapSeconds (>= 0, default CLIENT_SECRET_OVERLAP_SECONDS or 3600) —
+// how long the old secret keeps working — and optionally the new client_secret
+exports.rotateSecret = async (req, res) => {
+  const { clientId } = req.params;
+  const overlap = overlapSeconds(req);
+  if (overlap === null) {
+    return res.status(400).json({ error: "overlapSeconds must be >= 0" });
+  }
+  const clientSecret = param(req, "client_secret") ?? clients.newClientSecret();
+  if (typeof clientSecret !== "string" || !clientSecret) {
+    return res.status(400).json({ error: "client_secret must be a non-empty string" });
+  }
+
+  try {
+    const store = getStore();
+    const doc = await store.clients.findById(clientId);
+    if (!doc) {
+      return res.status(404).json({ error: "client not found", client_id: clientId });
+    }
+
+    const now = Date.now();
+    const kept = clients.activePreviousSecrets(doc, now);
+    if (clientSecret === doc.clientSecret || kept.some((p) => p.secret === clientSecret)) {
+      return res
+        .status(400)
+        .json({ error: "client_secret must differ from current and previous secrets" });
+    }
+
+    const rotatedAt = new Date(now).toISOString();
+    const expiresAt = new Date(now + overlap * 1000).toISOString();
+    const previousSecrets =
+      overlap > 0 ? [...kept, { secret: doc.clientSecret, rotatedAt, expiresAt }] : kept;
+
+    const rotated = await store.clients.rotateSecret(doc, clientSecret, {
+      rotatedAt,
+      previousSecrets,
+    });
+    if (!rotated) {
+      return res.status(409).json({ error: "client changed during rotation; retry" });
+    }
+
+    return res.status(200).json({
+      message: "secret rotated",
+      client_id: clientId,
+      client_secret: clientSecret,
+      previousSecretExpiresAt: overlap > 0 ? expiresAt : null,
+    });
+  } catch (err) {
+    logger.error("clients.rotateSecret failed", { error: err.message });
+    return res
+      .status(500)
+      .json({ error: "Rotating secret failed", details: err.message });
+  }
+};
@@ -0,0 +1,90 @@
+// controllers/joinController.js (CommonJS) — mock meeting page behind launchSession join URLs
+const { getStore } = require("../common/store");
+const { verifyJoinToken } = require("../common/joinTokens");
+const { participantRole } = require("../common/attendance");
+const { emitEvent } = require("../common/webhooks");
+const { clientNowIso } = require("../common/clock");
+const { logger } = require("../common/logger");
+const { escapeHtml } = require("../common/http");
+
+function renderPage(res, status, title, body) {
+  return res
+    .status(status)
+    .type("html")
+    .send(
+      `<!doctype html><html><head><title>${escapeHtml(title)}</title>` +
+        `<style>body { font-family: sans-serif; max-width: 420px; margin: 48px auto; }</style>` +
+        `</head><body><h1>${escapeHtml(title)}</h1>${body}</body></html>`
+    );
+}
+
+function renderError(res, status, error, description) {
+  return renderPage(
+    res,
+    status,
+    "Cannot join session",
+    `<p><strong>${escapeHtml(error)}</strong>: ${escapeHtml(description)}</p>`
+  );
+}
+
+function renderJoined(res, payload, joinedAt) {
+  return renderPage(
+    res,
+    200,
+    "You joined the session",
+    `<p><strong>${escapeHtml(payload.email)}</strong> joined session ` +
+      `<code>${escapeHtml(payload.sid)}</code> at ${escapeHtml(joinedAt)}.</p>`
+  );
+}
+
+// GET /join/:token
+// Verifies the signed join URL and records one join event per URL for the
+// session's attendance
+exports.join = async (req, res) => {
+  const { payload, error } = verifyJoinToken(req.params.token);
+  if (error === "expired_token") {
+    return renderError(res, 410, error, "This join link has expired; request a new one.");
+  }
+  if (error) {
+    return renderError(res, 400, error, "This join link is not valid.");
+  }
+
+  try {
+    const store = getStore();
+    const client = await store.clients.findById(payload.cid);
+    const session = client && (await store.sessions.find(client, payload.sid));
+    if (!session) {
+      return renderError(res, 404, "session_not_found", "The session no longer exists.");
+    }
+    if (session.status === "canceled") {
+      return renderError(res, 409, "session_canceled", "The session was canceled.");
+    }
+
+    // Opening the same link again shows the join it already recorded
+    const recorded = (session.joinEvents || []).find((e) => e.jti === payload.jti);
+    if (recorded) return renderJoined(res, payload, recorded.joinedAt);
+
+    // Attendance times follow the client's clock (common/clock.js)
+    const joinedAt = clientNowIso(client);
+    const role = participantRole(session, client.instructors, payload.email) || "learner";
+    const added = await store.sessions.addJoinEvent(client, payload.sid, {
+      email: payload.email,
+      role,
+      joinedAt,
+      jti: payload.jti,
+    });
+    if (added) {
+      emitEvent(store, client, "attendee.joined", {
+        sessionId: payload.sid,
+        email: payload.email,
+        role,
+        joinedAt,
+      });
+    }
+
+    return renderJoined(res, payload, joinedAt);
+  } catch (e) {
+    logger.error("join failed", { error: e.message });
+    return renderError(res, 500, "server_error", "Could not record the join.");
+  }
+};
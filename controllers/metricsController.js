@@ -0,0 +1,24 @@
+// controllers/metricsController.js (CommonJS) — Prometheus scrape endpoint
+const crypto = require("crypto");
+const { render } = require("../common/prometheus");
+
+const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+// With METRICS_TOKEN set, scrapers must send it as a bearer token
+function authorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+  const presented = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1];
+  return Boolean(presented) && crypto.timingSafeEqual(digest(presented), digest(token));
+}
+
+// GET /metrics
+// Text exposition format (common/prometheus.js)
+exports.prometheus = (req, res) => {
+  if (!authorized(req)) {
+    res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+    return res.status(401).type("text").send("unauthorized\n");
+  }
+  res.set("Cache-Control", "no-store");
+  return res.status(200).type("text/plain; version=0.0.4").send(render());
+};
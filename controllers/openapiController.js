@@ -0,0 +1,17 @@
+// controllers/openapiController.js (CommonJS) — machine-readable API description
+const { buildSpec } = require("../common/openapi");
+const { logger } = require("../common/logger");
+const { publicBaseUrl } = require("../common/http");
+
+// GET /openapi.json
+// OpenAPI 3 document with one server per route prefix (common/openapi.js)
+exports.spec = async (req, res) => {
+  try {
+    const spec = await buildSpec(publicBaseUrl(req));
+    res.set("Cache-Control", "public, max-age=60");
+    return res.status(200).json(spec);
+  } catch (e) {
+    logger.error("openapi spec failed", { error: e.message });
+    return res.status(500).json({ error: "server_error" });
+  }
+};
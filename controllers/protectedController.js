@@ -1,84 +1,237 @@
 // controllers/protectedController.js
-const { getDb } = require("../common/db");
+const { getStore } = require("../common/store");
 const crypto = require("crypto");
+const jwt = require("../common/jwt");
+const keys = require("../common/keys");
+const { parseBasicAuth } = require("../common/clientAuth");
+const { enforcesScopes, missingScopes } = require("../common/scopes");
+const { applyFault } = require("../common/faults");
+const { throttle } = require("../common/rateLimit");
+const { attribute } = require("../common/journal");
+const { prefixAllows } = require("../common/routePrefixes");
+const { isEnabled, findClientBySecret } = require("../common/clients");
+const { validate, isStrict } = require("../common/schemas");
+const { buildAttendance, participantRole, lastActivity } = require("../common/attendance");
+const { signJoinToken } = require("../common/joinTokens");
+const {
+  DEFAULT_EXTENDED_OPTIONS,
+  effectiveTree,
+  validateOptionValues,
+} = require("../common/extendedOptions");
+const { emitEvent } = require("../common/webhooks");
+const { clientNow } = require("../common/clock");
+const { logger, correlationId } = require("../common/logger");
+const { publicBaseUrl } = require("../common/http");
 
 // ---------- helpers ----------
-function nowIso() {
-  return new Date().toISOString();
+// Real time, or the client's virtual clock (common/clock.js) when given one
+function nowIso(client) {
+  return new Date(clientNow(client)).toISOString();
 }
-function uuid() {
-  return crypto.randomUUID
-    ? crypto.randomUUID()
-    : Math.random().toString(36).slice(2);
-}
-
+// One id per request, fixed by requestContext (common/logger.js)
 function getCorrelationId(req) {
-  return req.headers["correlationid"] || uuid();
+  return req.correlationId ?? correlationId();
 }
 
-function ok(req, status = "success") {
+// Envelope timestamps follow the caller's clock; client is null before
+// authentication and for load testing requests
+function ok(req, client, status = "success") {
   return {
     status,
     correlationId: getCorrelationId(req),
-    timestamp: nowIso()
+    timestamp: nowIso(client),
   };
 }
 
-function okAttendance(req, status = "success") {
+function okAttendance(req, client, status = "success") {
   return {
     status,
     correlationId: getCorrelationId(req),
-    timestamp: nowIso(),
+    timestamp: nowIso(client),
     data: {
       attendees: [{ email: "instructor@example.com" }],
     },
   };
 }
 
-function okLaunchSession(req, status = "success") {
+function okLaunchSession(req, client, status = "success") {
   // This format allows anonymous users to join
   const publicTeamsUrl = `https://teams.microsoft.com/meet/26774560933895?p=O0H4eRZnY6HDk5EQIV`;
   return {
     status,
     correlationId: getCorrelationId(req),
-    timestamp: nowIso(),
+    timestamp: nowIso(client),
     data: {
       joinUrl: publicTeamsUrl,
     },
   };
 }
 
-function err(req, code = 0, message = "error") {
+function err(req, client, code = 0, message = "error", details) {
   return {
     status: "error",
     correlationId: getCorrelationId(req),
-    timestamp: nowIso(),
-    error: { code, message },
+    timestamp: nowIso(client),
+    error: details ? { code, message, details } : { code, message },
   };
 }
 
-async function findClientByToken(coll, token) {
-  if (!token) return null;
-  let doc = await coll.findOne({ currentToken: token });
-  if (doc) return doc;
-  // fallback: if someone sends an old token, we still find the doc to report invalid/expired accurately
-  doc = await coll.findOne({ "issuedTokens.token": token });
-  return doc;
+/**
+ * Strict mode (per client, see /admin/config): check the body against
+ * common/schemas.js, and its ExtendedOptions values against optionTree when
+ * given, then answer 400 listing every failing field path.
+ * Returns true when the request was rejected.
+ */
+function rejectInvalidBody(req, res, client, schema, code, optionTree) {
+  if (!isStrict(client)) return false;
+  const body = req.body || {};
+  const problems = validate(schema, body);
+  if (optionTree) problems.push(...validateOptionValues(optionTree, body.ExtendedOptions));
+  if (problems.length === 0) return false;
+
+  res.status(400).json(err(req, client, code, "invalid_request_body", problems));
+  return true;
 }
 
 /**
- * Validate Authorization: Bearer <token>
- * Finds a client whose currentToken matches and is not expired.
- * Returns { db, coll, client } or writes an HTTP error and returns null.
+ * Why the presented token (its issuedTokens entry, expiring at expMs) may not
+ * be used, as [code, error], or null when it may. Expiry comes first, on the
+ * client's clock. token_revoked is kept for tokens revoked via /oauth/revoke
+ * or a refresh-token family revocation; a token replaced by a newer one for
+ * the same grant and subject (active: false) is invalid_token.
  */
-async function validateBearerToken(req, res) {
-  const auth = req.headers["authorization"];
-  if (!auth || auth.startsWith("Basic")) {
+function tokenProblem(client, entry, expMs) {
+  if (!entry) return [40102, "invalid_token"];
+  if (!Number.isFinite(expMs) || clientNow(client) >= expMs) return [40103, "token_expired"];
+  if (entry.revokedAt) return [40104, "token_revoked"];
+  if (entry.active !== true) return [40102, "invalid_token"];
+  return null;
+}
+
+const issuedEntry = (client, token) =>
+  (client.issuedTokens || []).find((t) => t.token === token);
+
+/**
+ * JWT access tokens are checked locally: signature against the published
+ * signing keys (kid lookup, grace-period keys included) and exp. The client
+ * doc is loaded for revocation (its issuedTokens entry) and usage counters.
+ */
+async function validateJwtAccessToken(req, res, store, token) {
+  const decoded = jwt.decode(token);
+  const key = decoded && (await keys.findVerificationKey(decoded.header.kid));
+  if (
+    !key ||
+    decoded.header.alg !== key.alg ||
+    !jwt.verifySignature(token, key)
+  ) {
+    res.status(401).json(err(req, null, 40102, "invalid_token"));
+    return null;
+  }
+
+  const claims = decoded.payload;
+  const client = await store.clients.findById(claims.client_id);
+  if (!client) {
+    res.status(401).json(err(req, null, 40102, "invalid_token"));
+    return null;
+  }
+  // exp is checked on the client's clock, which also set it
+  const problem = tokenProblem(client, issuedEntry(client, token), claims.exp * 1000);
+  if (problem) {
+    res.status(401).json(err(req, client, ...problem));
+    return null;
+  }
+
+  return { client, claims };
+}
+
+function hasLoadTestingCredentials(clientId, clientSecret) {
+  return (
+    (clientId && clientId.toLowerCase().includes("loadtesting")) ||
+    (clientSecret && clientSecret.toLowerCase().includes("loadtesting"))
+  );
+}
+
+/**
+ * Validate Authorization: Basic base64(client_id:client_secret)
+ * Only clients with basicAuthEnabled (see /admin/config) may use it. The
+ * client's registered scopes count as granted (see common/scopes.js).
+ * Returns { store, client } or writes an HTTP error and returns null.
+ */
+async function validateBasicAuth(req, res, header, endpoint) {
+  const challenge = () => res.set("WWW-Authenticate", 'Basic realm="vilt-mock"');
+  const creds = parseBasicAuth(header);
+  if (!creds) {
+    challenge();
+    res.status(401).json(err(req, null, 40105, "invalid_credentials"));
+    return null;
+  }
+
+  // Load testing credentials behave like the load testing token
+  if (hasLoadTestingCredentials(creds.id, creds.secret)) {
     return 1;
   }
 
+  try {
+    const store = getStore();
+    const client = await findClientBySecret(store, creds.id, creds.secret);
+
+    if (!client) {
+      challenge();
+      res.status(401).json(err(req, null, 40105, "invalid_credentials"));
+      return null;
+    }
+    if (client.basicAuthEnabled !== true) {
+      challenge();
+      res.status(401).json(err(req, client, 40106, "basic_auth_not_allowed"));
+      return null;
+    }
+    if (!checkScopes(req, res, endpoint, client, client.allowedScopes)) {
+      return null;
+    }
+
+    return { store, client };
+  } catch (e) {
+    logger.error("validateBasicAuth failed", { error: e });
+    res.status(500).json(err(req, null, 50001, "internal_validation_error"));
+    return null;
+  }
+}
+
+/**
+ * RFC 6750 §3.1: 403 insufficient_scope when the token lacks the scopes the
+ * endpoint requires (only for clients that registered allowedScopes).
+ * Returns true when the request may proceed.
+ */
+function checkScopes(req, res, endpoint, client, grantedScope) {
+  if (!enforcesScopes(client)) return true;
+  const missing = missingScopes(endpoint, grantedScope);
+  if (missing.length === 0) return true;
+
+  res.set(
+    "WWW-Authenticate",
+    `Bearer realm="vilt-mock", error="insufficient_scope", scope="${missing.join(" ")}"`
+  );
+  res.status(403).json(err(req, client, 40301, "insufficient_scope"));
+  return false;
+}
+
+/**
+ * Authenticate Authorization: Bearer <token> (or Basic, for clients that allow it)
+ * Finds the client that issued the token, checks the token's own entry is
+ * active, unrevoked and not expired, then checks the token carries the
+ * scopes `endpoint` requires (common/scopes.js).
+ * Returns { store, client }, 1 for load testing requests (no persistence),
+ * or writes an HTTP error and returns null.
+ */
+async function authenticateRequest(req, res, endpoint) {
+  const auth = req.headers["authorization"];
+  if (auth && /^Basic\s/i.test(auth)) {
+    return validateBasicAuth(req, res, auth, endpoint);
+  }
+
   if (!auth || !auth.startsWith("Bearer ")) {
-    res.status(401).json(err(req, 40101, "missing_authorization"));
+    res.set("WWW-Authenticate", 'Bearer realm="vilt-mock"');
+    res.status(401).json(err(req, null, 40101, "missing_authorization"));
     return null;
   }
   const token = auth.slice("Bearer ".length).trim();
@@ -92,85 +245,186 @@ async function validateBearerToken(req, res) {
   }
 
   try {
-    const db = await getDb();
-    const coll = db.collection("clients");
-    const client = await findClientByToken(coll, token);
+    const store = getStore();
 
-    if (!client || !client.currentToken) {
-      res.status(401).json(err(req, 40102, "invalid_token"));
-      return null;
+    if (jwt.looksLikeJwt(token)) {
+      const verified = await validateJwtAccessToken(req, res, store, token);
+      if (!verified) return null;
+      if (!checkScopes(req, res, endpoint, verified.client, verified.claims.scope)) {
+        return null;
+      }
+      return { store, ...verified };
     }
 
-    // Check if client has loadtesting in clientId or clientSecret
-    const hasLoadTesting =
-      (client.clientId &&
-        client.clientId.toLowerCase().includes("loadtesting")) ||
-      (client.clientSecret &&
-        client.clientSecret.toLowerCase().includes("loadtesting"));
+    const client = await store.clients.findByAccessToken(token);
+    if (!client) {
+      res.status(401).json(err(req, null, 40102, "invalid_token"));
+      return null;
+    }
 
-    if (hasLoadTesting) {
-      return 1;
+    const issued = issuedEntry(client, token);
+    const problem = tokenProblem(client, issued, issued && Date.parse(issued.expiresAt));
+    // Check if client has loadtesting in clientId or clientSecret; those skip expiry
+    const loadTesting = hasLoadTestingCredentials(client.clientId, client.clientSecret);
+    if (problem && !(loadTesting && problem[1] === "token_expired")) {
+      res.status(401).json(err(req, client, ...problem));
+      return null;
     }
+    if (loadTesting) return 1;
 
-    const expMs = client.tokenExpiresAt ? Date.parse(client.tokenExpiresAt) : 0;
-    if (!Number.isFinite(expMs) || Date.now() > expMs) {
-      res.status(401).json(err(req, 40103, "token_expired"));
+    if (!checkScopes(req, res, endpoint, client, issued.scope ?? client.scope)) {
       return null;
     }
 
-    return { db, coll, client };
+    return { store, client };
+  } catch (e) {
+    logger.error("validateBearerToken failed", { error: e });
+    res.status(500).json(err(req, null, 50001, "internal_validation_error"));
+    return null;
+  }
+}
+
+/**
+ * Shared entry point of every VILT handler: authenticate the caller, enforce
+ * the client's rate limit (common/rateLimit.js), then apply its fault rules
+ * for `endpoint` (common/faults.js). Authenticated calls are journaled
+ * (common/journal.js). Disabled clients, and other clients on a prefix tied to
+ * one, get 401.
+ * Same return contract as authenticateRequest.
+ */
+async function validateBearerToken(req, res, endpoint) {
+  const ctx = await authenticateRequest(req, res, endpoint);
+  if (!ctx || ctx === 1) return ctx;
+
+  attribute(res, { store: ctx.store, client: ctx.client, endpoint });
+  if (!isEnabled(ctx.client)) {
+    res.status(401).json(err(req, ctx.client, 40108, "client_disabled"));
+    return null;
+  }
+  // Prefixes tied to a client (common/routePrefixes.js) reject everyone else
+  if (!prefixAllows(req, ctx.client.clientId)) {
+    res.status(401).json(err(req, ctx.client, 40107, "client_not_allowed_on_prefix"));
+    return null;
+  }
+  try {
+    const options = {
+      ...ctx,
+      endpoint,
+      renderError: (code, message) => err(req, ctx.client, code, message),
+    };
+    if (await throttle(req, res, options)) return null;
+    if (await applyFault(req, res, options)) return null;
+    return ctx;
   } catch (e) {
-    console.error("validateBearerToken failed:", e);
-    res.status(500).json(err(req, 50001, "internal_validation_error"));
+    logger.error("validateBearerToken failed", { error: e });
+    res.status(500).json(err(req, ctx.client, 50001, "internal_validation_error"));
     return null;
   }
 }
 
+// Session state machine: active → updated (repeatable) → canceled
+const SESSION_TRANSITIONS = {
+  active: ["updated", "canceled"],
+  updated: ["updated", "canceled"],
+  canceled: [],
+};
+
+/**
+ * Move a session to status `to`, appending { status, at, request } to its
+ * history. 404 (notFoundCode) for unknown sessions, 409 for transitions the
+ * state machine does not allow. Returns true when the session was moved.
+ */
+async function transitionSession(req, res, { store, client, sessionId, to, request, notFoundCode }) {
+  const session = await store.sessions.find(client, sessionId);
+  if (!session) {
+    res.status(404).json(err(req, client, notFoundCode, "session_not_found"));
+    return false;
+  }
+
+  const from = session.status;
+  const at = nowIso(client);
+  const moved =
+    (SESSION_TRANSITIONS[from] || []).includes(to) &&
+    // expectStatus guards against a concurrent transition since the read
+    (await store.sessions.update(
+      client,
+      sessionId,
+      { status: to, updatedAt: at },
+      { expectStatus: from, history: { status: to, at, request } }
+    ));
+  if (!moved) {
+    res
+      .status(409)
+      .json(err(req, client, 40902, "illegal_state_transition", { from, to }));
+    return false;
+  }
+  return true;
+}
+
+// Page through `items`: ?page (1-based, default 1) & pageSize (1-100, default 20)
+function paginate(req, items) {
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const pageSize = req.query.pageSize === undefined ? 20 : Number(req.query.pageSize);
+  if (!Number.isInteger(page) || page < 1) return { error: "page must be an integer >= 1" };
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+    return { error: "pageSize must be an integer between 1 and 100" };
+  }
+  const start = (page - 1) * pageSize;
+  return {
+    items: items.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: items.length,
+  };
+}
+
 // ---------- endpoints ----------
 
 /**
  * POST /api/session
  * Body = your full CreateSession payload. SessionId optional; generated if missing.
  * 200: { status, correlationId, timestamp }
+ * 409: SessionId already exists
  */
 exports.createSession = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "createSession");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
-  //This condition added to handle basic auth
+  // ctx is 1 for load testing requests, which skip persistence
   if (ctx != 1) {
-    const { coll, client } = ctx;
+    const { store } = ctx;
+    const optionTree = effectiveTree(client, null).tree;
+    if (rejectInvalidBody(req, res, client, "CreateSession", 40001, optionTree)) return;
 
     const body = req.body || {};
+    // Random suffix: generated ids must stay unique within the same millisecond
+    const generatedId = `${clientNow(client).toString(36)}${crypto.randomBytes(2).toString("hex")}`;
     const sessionId =
-      (body.SessionId && String(body.SessionId).trim()) ||
-      `sess_${client.clientId}_${Date.now().toString(36)}`;
+      (body.SessionId && String(body.SessionId).trim()) || `sess_${client.clientId}_${generatedId}`;
 
     try {
-      await coll.updateOne(
-        { clientId: client.clientId, clientSecret: client.clientSecret },
-        {
-          $inc: { "perEndpointUsage.createsession": 1 },
-          $set: { lastSessionId: sessionId },
-          $push: {
-            sessions: {
-              sessionId,
-              status: "active",
-              createdAt: nowIso(),
-              updatedAt: nowIso(),
-              request: body,
-            },
-          },
-        },
-        { upsert: true }
-      );
-      res.status(200).json(ok(req, "success"));
+      const at = nowIso(client);
+      const created = await store.sessions.create(client, {
+        sessionId,
+        status: "active",
+        createdAt: at,
+        updatedAt: at,
+        request: body,
+        history: [{ status: "active", at, request: body }],
+      });
+      if (!created) {
+        return res.status(409).json(err(req, client, 40901, "session_already_exists"));
+      }
+      await store.usage.increment(client, { "perEndpointUsage.createsession": 1 });
+      emitEvent(store, client, "session.created", { sessionId, request: body });
+      res.status(200).json(ok(req, client, "success"));
     } catch (e) {
-      console.error("createSession failed:", e);
-      res.status(500).json(err(req, 50010, "create_session_failed"));
+      logger.error("createSession failed", { error: e });
+      res.status(500).json(err(req, client, 50010, "create_session_failed"));
     }
   } else {
-    res.status(200).json(ok(req, "success"));
+    res.status(200).json(ok(req, client, "success"));
   }
 };
 
@@ -178,100 +432,174 @@ exports.createSession = async (req, res) => {
  * PUT /api/session/{SessionId}
  * Body must include session update payload.
  * 200: { status, correlationId, timestamp }
+ * 404: unknown session, 409: session is canceled
  */
 exports.updateSession = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "updateSession");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
   const sessionId = req.params.SessionId && String(req.params.SessionId).trim();
   // if (!sessionId) {
-  //   return res.status(400).json(err(req, 40010, "SessionId is required"));
+  //   return res.status(400).json(err(req, client, 40010, "SessionId is required"));
   // }
 
-  //This condition added to handle basic auth
+  // ctx is 1 for load testing requests, which skip persistence
   if (ctx != 1) {
-    const { coll, client } = ctx;
+    const { store } = ctx;
     const body = req.body || {};
 
     try {
-      const result = await coll.updateOne(
-        {
-          clientId: client.clientId,
-          clientSecret: client.clientSecret,
-          "sessions.sessionId": sessionId,
-        },
-        {
-          $set: {
-            "sessions.$.status": "updated",
-            "sessions.$.updatedAt": nowIso(),
-            "sessions.$.lastUpdateRequest": body,
-          },
-          $inc: { "perEndpointUsage.updatesession": 1 },
-        }
-      );
-
-      // if (result.matchedCount === 0) {
-      //   return res.status(404).json(err(req, 40410, "session_not_found"));
-      // }
-
-      res.status(200).json(ok(req, "success"));
+      // Option values are checked against the session's own tree, if it has one
+      const current = isStrict(client) ? await store.sessions.find(client, sessionId) : null;
+      const optionTree = effectiveTree(client, current).tree;
+      if (rejectInvalidBody(req, res, client, "UpdateSession", 40011, optionTree)) return;
+
+      const moved = await transitionSession(req, res, {
+        store,
+        client,
+        sessionId,
+        to: "updated",
+        request: body,
+        notFoundCode: 40410,
+      });
+      if (!moved) return;
+      await store.usage.increment(client, { "perEndpointUsage.updatesession": 1 });
+      emitEvent(store, client, "session.updated", { sessionId, request: body });
+
+      res.status(200).json(ok(req, client, "success"));
     } catch (e) {
-      console.error("updateSession failed:", e);
-      res.status(500).json(err(req, 50011, "update_session_failed"));
+      logger.error("updateSession failed", { error: e });
+      res.status(500).json(err(req, client, 50011, "update_session_failed"));
     }
   } else {
-    res.status(200).json(ok(req, "success"));
+    res.status(200).json(ok(req, client, "success"));
   }
 };
 
 /**
  * DELETE /api/session/{SessionId}
  * 200: { status, correlationId, timestamp }
+ * 404: unknown session, 409: session is already canceled
  */
 exports.cancelSession = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "cancelSession");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
   const sessionId = req.params.SessionId && String(req.params.SessionId).trim();
   if (!sessionId) {
-    return res.status(400).json(err(req, 40020, "SessionId is required"));
+    return res.status(400).json(err(req, client, 40020, "SessionId is required"));
   }
 
   // Handle LoId query parameter
   const loId = req.query.LoId;
 
-  //This condition added to handle basic auth
+  // ctx is 1 for load testing requests, which skip persistence
   if (ctx != 1) {
-    const { coll, client } = ctx;
+    const { store } = ctx;
 
     try {
-      const result = await coll.updateOne(
-        {
-          clientId: client.clientId,
-          clientSecret: client.clientSecret,
-          "sessions.sessionId": sessionId,
-        },
-        {
-          $set: {
-            "sessions.$.status": "canceled",
-            "sessions.$.updatedAt": nowIso(),
-            "sessions.$.cancelRequest": { SessionId: sessionId, LoId: loId },
-          },
-          $inc: { "perEndpointUsage.cancelsession": 1 },
-        }
-      );
-
-      if (result.matchedCount === 0) {
-        return res.status(404).json(err(req, 40420, "session_not_found"));
-      }
-
-      res.status(200).json(ok(req, "success"));
+      const moved = await transitionSession(req, res, {
+        store,
+        client,
+        sessionId,
+        to: "canceled",
+        request: { SessionId: sessionId, LoId: loId },
+        notFoundCode: 40420,
+      });
+      if (!moved) return;
+      await store.usage.increment(client, { "perEndpointUsage.cancelsession": 1 });
+      emitEvent(store, client, "session.canceled", { sessionId, loId: loId ?? null });
+
+      res.status(200).json(ok(req, client, "success"));
     } catch (e) {
-      console.error("cancelSession failed:", e);
-      res.status(500).json(err(req, 50012, "cancel_session_failed"));
+      logger.error("cancelSession failed", { error: e });
+      res.status(500).json(err(req, client, 50012, "cancel_session_failed"));
     }
   } else {
-    res.status(200).json(ok(req, "success"));
+    res.status(200).json(ok(req, client, "success"));
+  }
+};
+
+/**
+ * GET /api/session/{SessionId}
+ * 200: { status, correlationId, timestamp, data: { session } }
+ * session = { sessionId, status, createdAt, updatedAt, request, history: [{ status, at, request }] }
+ */
+exports.getSession = async (req, res) => {
+  const ctx = await validateBearerToken(req, res, "getSession");
+  if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
+
+  const sessionId = String(req.params.SessionId).trim();
+
+  // Load testing requests get a placeholder session
+  if (ctx === 1) {
+    return res.status(200).json({
+      ...ok(req, client, "success"),
+      data: { session: { sessionId, status: "active", history: [] } },
+    });
+  }
+
+  const { store } = ctx;
+  try {
+    const session = await store.sessions.find(client, sessionId);
+    if (!session) {
+      return res.status(404).json(err(req, client, 40440, "session_not_found"));
+    }
+    await store.usage.increment(client, { "perEndpointUsage.getsession": 1 });
+
+    res.status(200).json({ ...ok(req, client, "success"), data: { session } });
+  } catch (e) {
+    logger.error("getSession failed", { error: e });
+    res.status(500).json(err(req, client, 50015, "get_session_failed"));
+  }
+};
+
+/**
+ * GET /api/session?page=1&pageSize=20&status=active|updated|canceled
+ * Sessions oldest first, without their history.
+ * 200: { status, correlationId, timestamp, data: { sessions, page, pageSize, total } }
+ */
+exports.listSessions = async (req, res) => {
+  const ctx = await validateBearerToken(req, res, "listSessions");
+  if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
+
+  const status = req.query.status;
+  if (status !== undefined && !SESSION_TRANSITIONS[status]) {
+    return res
+      .status(400)
+      .json(err(req, client, 40050, "status must be active, updated or canceled"));
+  }
+
+  try {
+    let sessions = [];
+    if (ctx !== 1) {
+      const { store } = ctx;
+      sessions = await store.sessions.list(client);
+      await store.usage.increment(client, { "perEndpointUsage.listsessions": 1 });
+    }
+    if (status) sessions = sessions.filter((s) => s.status === status);
+
+    const result = paginate(req, sessions.map(({ history, ...summary }) => summary));
+    if (result.error) {
+      return res.status(400).json(err(req, client, 40051, result.error));
+    }
+
+    res.status(200).json({
+      ...ok(req, client, "success"),
+      data: {
+        sessions: result.items,
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+      },
+    });
+  } catch (e) {
+    logger.error("listSessions failed", { error: e });
+    res.status(500).json(err(req, client, 50016, "list_sessions_failed"));
   }
 };
 
@@ -281,49 +609,45 @@ exports.cancelSession = async (req, res) => {
  * 200: { status, correlationId, timestamp }
  */
 exports.addInstructor = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "addInstructor");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
   const body = req.body || {};
+  if (ctx !== 1 && rejectInvalidBody(req, res, ctx.client, "AddInstructor", 40030)) {
+    return;
+  }
 
   // Validate required fields
   // if (!body.Email || !body.FirstName || !body.LastName) {
   //   return res
   //     .status(400)
-  //     .json(err(req, 40030, "Email, FirstName, and LastName are required"));
+  //     .json(err(req, client, 40030, "Email, FirstName, and LastName are required"));
   // }
 
   try {
-    // If ctx is not 1 (not using Basic auth), update the database
+    // If ctx is not 1 (not a load testing request), update the database
     if (ctx !== 1) {
-      const { coll, client } = ctx;
-      const instructorId = `inst_${client.clientId}_${Date.now().toString(36)}`;
-
-      await coll.updateOne(
-        { clientId: client.clientId, clientSecret: client.clientSecret },
-        {
-          $inc: { "perEndpointUsage.addinstructor": 1 },
-          $push: {
-            instructors: {
-              instructorId,
-              email: body.Email,
-              firstName: body.FirstName,
-              lastName: body.LastName,
-              createdAt: nowIso(),
-              updatedAt: nowIso(),
-              status: "active",
-              request: body,
-            },
-          },
-        },
-        { upsert: true }
-      );
+      const { store } = ctx;
+      const instructorId = `inst_${client.clientId}_${clientNow(client).toString(36)}`;
+
+      await store.instructors.add(client, {
+        instructorId,
+        email: body.Email,
+        firstName: body.FirstName,
+        lastName: body.LastName,
+        createdAt: nowIso(client),
+        updatedAt: nowIso(client),
+        status: "active",
+        request: body,
+      });
+      await store.usage.increment(client, { "perEndpointUsage.addinstructor": 1 });
     }
 
-    res.status(200).json(ok(req, "success"));
+    res.status(200).json(ok(req, client, "success"));
   } catch (e) {
-    console.error("addInstructor failed:", e);
-    res.status(500).json(err(req, 50013, "add_instructor_failed"));
+    logger.error("addInstructor failed", { error: e });
+    res.status(500).json(err(req, client, 50013, "add_instructor_failed"));
   }
 };
 
@@ -333,10 +657,14 @@ exports.addInstructor = async (req, res) => {
  * 200: { status, correlationId, timestamp }
  */
 exports.updateInstructor = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "updateInstructor");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
   const body = req.body || {};
+  if (ctx !== 1 && rejectInvalidBody(req, res, ctx.client, "UpdateInstructor", 40031)) {
+    return;
+  }
 
   // Validate required fields
   // if (
@@ -358,190 +686,195 @@ exports.updateInstructor = async (req, res) => {
   // }
 
   try {
-    // If ctx is not 1 (not using Basic auth), update the database
+    // If ctx is not 1 (not a load testing request), update the database
     if (ctx !== 1) {
-      const { coll, client } = ctx;
-
-      const result = await coll.updateOne(
-        {
-          clientId: client.clientId,
-          clientSecret: client.clientSecret,
-          "instructors.email": body.OldEmail,
-        },
-        {
-          $set: {
-            "instructors.$.email": body.NewEmail,
-            "instructors.$.firstName": body.FirstName,
-            "instructors.$.lastName": body.LastName,
-            "instructors.$.status": body.IsActive ? "active" : "inactive",
-            "instructors.$.updatedAt": nowIso(),
-            "instructors.$.updateRequest": body,
-          },
-          $inc: { "perEndpointUsage.updateinstructor": 1 },
-        }
-      );
-
-      if (result.matchedCount === 0) {
-        return res.status(404).json(err(req, 40430, "instructor_not_found"));
+      const { store } = ctx;
+
+      const matched = await store.instructors.update(client, body.OldEmail, {
+        email: body.NewEmail,
+        firstName: body.FirstName,
+        lastName: body.LastName,
+        status: body.IsActive ? "active" : "inactive",
+        updatedAt: nowIso(client),
+        updateRequest: body,
+      });
+
+      if (!matched) {
+        return res.status(404).json(err(req, client, 40430, "instructor_not_found"));
       }
     }
 
-    res.status(200).json(ok(req, "success"));
+    res.status(200).json(ok(req, client, "success"));
   } catch (e) {
-    console.error("updateInstructor failed:", e);
-    res.status(500).json(err(req, 50014, "update_instructor_failed"));
+    logger.error("updateInstructor failed", { error: e });
+    res.status(500).json(err(req, client, 50014, "update_instructor_failed"));
   }
 };
 
 /**
- * GET /api/session/{SessionId}/attendees
- * 200: { status, correlationId, timestamp, data: { attendees: [{ email: string }] } }
+ * GET /api/session/{SessionId}/attendees?page=1&pageSize=20&since=<ISO>
+ * Attendees seeded via /admin/attendance, or generated from the session's
+ * schedule and instructors (common/attendance.js). `since` keeps attendees
+ * who joined or left at or after that time.
+ * 200: { status, correlationId, timestamp, data: { attendees: [{ email, role, joins: [{ joinedAt, leftAt }],
+ *        firstJoinedAt, lastLeftAt, durationSeconds, attendancePercentage }], page, pageSize, total } }
+ * 404: unknown session
  */
 exports.getAttendance = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "getAttendance");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
-  //This condition added to handle basic auth
-  if (ctx != 1) {
-    const { coll, client } = ctx;
+  // Load testing requests keep the fixed single-attendee answer
+  if (ctx === 1) {
+    return res.status(200).json(okAttendance(req, client, "success"));
+  }
+
+  const since = req.query.since;
+  if (since !== undefined && !Number.isFinite(Date.parse(since))) {
+    return res.status(400).json(err(req, client, 40052, "since must be an ISO timestamp"));
+  }
+
+  const { store } = ctx;
+  const sessionId = String(req.params.SessionId).trim();
+
+  try {
+    const session = await store.sessions.find(client, sessionId);
+    if (!session) {
+      return res.status(404).json(err(req, client, 40450, "session_not_found"));
+    }
+
+    let attendees = buildAttendance(session, {
+      instructors: client.instructors,
+      now: clientNow(client),
+    });
+    if (since !== undefined) {
+      const sinceIso = new Date(since).toISOString();
+      attendees = attendees.filter((a) => (lastActivity(a) || "") >= sinceIso);
+    }
+    const result = paginate(req, attendees);
+    if (result.error) {
+      return res.status(400).json(err(req, client, 40051, result.error));
+    }
 
     try {
-      await coll.updateOne(
-        { clientId: client.clientId, clientSecret: client.clientSecret },
-        {
-          $inc: { "perEndpointUsage.getattendance": 1 },
-        },
-        { upsert: true }
-      );
+      await store.usage.increment(client, { "perEndpointUsage.getattendance": 1 });
     } catch (e) {
-      console.error("getAttendance DB operation failed:", e);
+      logger.error("getAttendance DB operation failed", { error: e });
       // Continue anyway for this endpoint
     }
-  }
 
-  res.status(200).json(okAttendance(req, "success"));
+    res.status(200).json({
+      ...ok(req, client, "success"),
+      data: {
+        attendees: result.items,
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+      },
+    });
+  } catch (e) {
+    logger.error("getAttendance failed", { error: e });
+    res.status(500).json(err(req, client, 50017, "get_attendance_failed"));
+  }
 };
 
+// base64 / base64url encoded email -> email, or null when it does not decode to one
+function decodeEmail(encoded) {
+  const value = String(encoded || "");
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) return null;
+  const email = Buffer.from(value, "base64").toString("utf8").trim();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
 /**
  * GET /api/session/{SessionId}/user/{base64EncodedEmail}/url
- * 200: { status, correlationId, timestamp, data: { joinUrl: string } }
+ * Issues a signed, expiring join URL for that user (GET /join/{token}).
+ * 200: { status, correlationId, timestamp, data: { joinUrl: string, expiresAt: string } }
+ * 400: email not base64 encoded, 404: unknown session or user, 409: session canceled
  */
 exports.launchSession = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "launchSession");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
-  //This condition added to handle basic auth
-  if (ctx != 1) {
-    const { coll, client } = ctx;
+  // Load testing requests keep the public Teams link
+  if (ctx === 1) {
+    return res.status(200).json(okLaunchSession(req, client, "success"));
+  }
+
+  const email = decodeEmail(req.params.base64EncodedEmail);
+  if (!email) {
+    return res.status(400).json(err(req, client, 40060, "invalid_email_encoding"));
+  }
+
+  const { store } = ctx;
+  const sessionId = String(req.params.SessionId).trim();
+
+  try {
+    const session = await store.sessions.find(client, sessionId);
+    if (!session) {
+      return res.status(404).json(err(req, client, 40460, "session_not_found"));
+    }
+    if (session.status === "canceled") {
+      return res.status(409).json(err(req, client, 40903, "session_canceled"));
+    }
+    if (!participantRole(session, client.instructors, email)) {
+      return res.status(404).json(err(req, client, 40461, "user_not_found"));
+    }
+
+    const { token, expiresAt } = signJoinToken(client, sessionId, email);
 
     try {
-      await coll.updateOne(
-        { clientId: client.clientId, clientSecret: client.clientSecret },
-        {
-          $inc: { "perEndpointUsage.launchsession": 1 },
-        },
-        { upsert: true }
-      );
+      await store.usage.increment(client, { "perEndpointUsage.launchsession": 1 });
     } catch (e) {
-      console.error("launchSession DB operation failed:", e);
+      logger.error("launchSession DB operation failed", { error: e });
       // Continue anyway for this endpoint
     }
-  }
 
-  res.status(200).json(okLaunchSession(req, "success"));
+    res.status(200).json({
+      ...ok(req, client, "success"),
+      data: { joinUrl: `${publicBaseUrl(req)}/join/${token}`, expiresAt },
+    });
+  } catch (e) {
+    logger.error("launchSession failed", { error: e });
+    res.status(500).json(err(req, client, 50018, "launch_session_failed"));
+  }
 };
-function okExtendedOptions(req, status = "success") {
+function okExtendedOptions(req, client, extendedOptions, status = "success") {
   return {
     status,
     correlationId: getCorrelationId(req),
-    timestamp: nowIso(),
-    data: {
-      extendedOptions: [
-        {
-          Type: "Label",
-          Id: "1",
-          ParentId: null,
-          Name: "Session Extended Options",
-          Description: null,
-          Placeholder: null,
-          Value: null,
-          IsNameVisible: true,
-          IsMultiline: false,
-          IsChecked: false,
-          ChildExtendedOptions: [
-            {
-              Type: "CheckBox",
-              Id: "2",
-              ParentId: "1",
-              Name: "Allow Attendee To Enable Camera",
-              Description: null,
-              Placeholder: null,
-              Value: null,
-              IsNameVisible: true,
-              IsMultiline: false,
-              IsChecked: true,
-              ChildExtendedOptions: []
-            },
-            {
-              Type: "CheckBox",
-              Id: "3",
-              ParentId: "1",
-              Name: "Allow Attendee To Enable Mic",
-              Description: null,
-              Placeholder: null,
-              Value: null,
-              IsNameVisible: true,
-              IsMultiline: false,
-              IsChecked: true,
-              ChildExtendedOptions: []
-            },
-            {
-              Type: "CheckBox",
-              Id: "4",
-              ParentId: "1",
-              Name: "Record Automatically",
-              Description: null,
-              Placeholder: null,
-              Value: null,
-              IsNameVisible: true,
-              IsMultiline: false,
-              IsChecked: false,
-              ChildExtendedOptions: []
-            }
-          ]
-        }
-      ]
-    }
+    timestamp: nowIso(client),
+    data: { extendedOptions },
   };
 }
 
 /**
  * GET /api/session/{SessionId}/extendedoptions
  * Headers: debug (boolean, optional, default: false)
+ * Tree: the session's override, else the client's, else the default
+ * (common/extendedOptions.js). Unknown sessions get the client's tree.
  * 200: { status, correlationId, timestamp, data: { extendedOptions: [...] } }
  */
 exports.getExtendedOptions = async (req, res) => {
-  const ctx = await validateBearerToken(req, res);
+  const ctx = await validateBearerToken(req, res, "getExtendedOptions");
   if (!ctx) return;
+  const client = ctx === 1 ? null : ctx.client;
 
-  if (ctx !== 1) {
-    const { coll, client } = ctx;
+  if (ctx === 1) {
+    return res.status(200).json(okExtendedOptions(req, client, DEFAULT_EXTENDED_OPTIONS));
+  }
 
-    try {
-      // Just increment usage counter - no session validation
-      await coll.updateOne(
-        { clientId: client.clientId, clientSecret: client.clientSecret },
-        {
-          $inc: { "perEndpointUsage.getextendedoptions": 1 },
-        },
-        { upsert: true }
-      );
-    } catch (e) {
-      console.error("getExtendedOptions DB operation failed:", e);
-      // Continue anyway for this endpoint
-    }
+  const { store } = ctx;
+  let session = null;
+  try {
+    session = await store.sessions.find(client, String(req.params.SessionId).trim());
+    await store.usage.increment(client, { "perEndpointUsage.getextendedoptions": 1 });
+  } catch (e) {
+    logger.error("getExtendedOptions DB operation failed", { error: e });
+    // Continue anyway for this endpoint
   }
 
-  // Always return the same hardcoded response regardless of session existence
-  res.status(200).json(okExtendedOptions(req, "success"));
-};
\ No newline at end of file
+  res.status(200).json(okExtendedOptions(req, client, effectiveTree(client, session).tree));
+};
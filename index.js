@@ -5,15 +5,45 @@ const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 
-const { issueToken } = require("./controllers/authController");
+const {
+  issueToken,
+  introspect,
+  revoke,
+  jwks,
+  oauthMetadata,
+  openidConfiguration,
+} = require("./controllers/authController");
+const authorize = require("./controllers/authorizeController");
+const { join } = require("./controllers/joinController");
 const admin = require("./controllers/adminController");
+const clients = require("./controllers/clientsController");
 const protectedController = require("./controllers/protectedController");
+const openapi = require("./controllers/openapiController");
+const metrics = require("./controllers/metricsController");
+const { requestJournal } = require("./common/journal");
+const { prefixRouter } = require("./common/routePrefixes");
+const { requireOperator } = require("./common/adminAuth");
+const { responseConformance } = require("./common/openapi");
+const { httpMetrics } = require("./common/prometheus");
+const { logger, requestContext } = require("./common/logger");
 
 const app = express();
 
-app.use(cors({ origin: "*", methods: ["GET", "POST", "PUT", "DELETE"] }));
+// Correlation ID, access log and error codes for everything below
+app.use(requestContext());
+app.use(
+  cors({
+    origin: "*",
+    methods: ["GET", "POST", "PUT", "DELETE"],
+    exposedHeaders: ["CorrelationId"],
+  })
+);
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
+app.use(requestJournal());
+app.use(httpMetrics());
+// Debug mode (OPENAPI_VALIDATE_RESPONSES=1): log responses that break /openapi.json
+app.use(responseConformance());
 
 // app.use((req, res, next) => {
 //   const match = req.url.match(/^\/api\/[^/]+(\/.*)$/);
@@ -28,64 +58,92 @@ app.use(bodyParser.json());
 // Health
 app.get("/health", (_req, res) => res.json({ ok: true }));
 
+// API description (OpenAPI 3)
+app.get("/openapi.json", openapi.spec);
+
+// Prometheus scrape endpoint (METRICS_TOKEN bearer token when set)
+app.get("/metrics", metrics.prometheus);
+
 // OAuth Mock
-app.post("/oauth/token", issueToken);
-app.post("/api/oauth/token", issueToken);
+app.get("/.well-known/jwks.json", jwks);
 
-// Admin / Monitoring
+// Admin / Monitoring (operator API key required: common/adminAuth.js)
+app.use("/admin", requireOperator());
+app.get("/admin/audit", admin.audit);
 app.post("/admin/reset", admin.reset);
 app.get("/admin/metrics", admin.metrics);
 app.post("/admin/config", admin.config);
 app.get("/admin/tokens", admin.tokens);
-
-// Session endpoints
-app.post("/api/session", protectedController.createSession);
-app.put("/api/session/:SessionId", protectedController.updateSession);
-app.delete("/api/session/:SessionId", protectedController.cancelSession);
+app.get("/admin/requests", admin.requests);
+app.post("/admin/attendance", admin.seedAttendance);
+app.delete("/admin/attendance", admin.clearAttendance);
+app.get("/admin/extended-options", admin.extendedOptions);
+app.post("/admin/extended-options", admin.setExtendedOptions);
+app.delete("/admin/extended-options", admin.clearExtendedOptions);
+app.get("/admin/webhooks", admin.webhooks);
+app.post("/admin/webhooks", admin.addWebhook);
+app.delete("/admin/webhooks", admin.removeWebhooks);
+app.post("/admin/webhooks/simulate", admin.simulateWebhook);
+app.get("/admin/webhooks/deliveries", admin.webhookDeliveries);
+app.post("/admin/webhooks/deliveries/retry", admin.retryWebhookDeliveries);
+app.get("/admin/faults", admin.faults);
+app.post("/admin/faults", admin.addFault);
+app.delete("/admin/faults", admin.removeFaults);
+app.get("/admin/prefixes", admin.prefixes);
+app.post("/admin/prefixes", admin.addPrefix);
+app.delete("/admin/prefixes", admin.removePrefix);
+app.get("/admin/clients", clients.list);
+app.post("/admin/clients", clients.create);
+app.get("/admin/clients/:clientId", clients.read);
+app.put("/admin/clients/:clientId", clients.update);
+app.delete("/admin/clients/:clientId", clients.remove);
+app.post("/admin/clients/:clientId/rotate-secret", clients.rotateSecret);
+app.get("/admin/keys", admin.keys);
+app.post("/admin/keys/rotate", admin.rotateKeys);
+app.get("/admin/clock", admin.clock);
+app.post("/admin/clock", admin.setClock);
+app.post("/admin/clock/advance", admin.advanceClock);
+app.delete("/admin/clock", admin.resetClock);
+
+// Mock meeting page behind launchSession join URLs
+app.get("/join/:token", join);
+
+// OAuth and VILT API, served under every route prefix (common/routePrefixes.js):
+// "" + "/api" + the folder prefixes by default, API_PREFIXES and /admin/prefixes
+const api = express.Router();
+
+// Discovery documents advertise this prefix's endpoints
+api.get("/.well-known/oauth-authorization-server", oauthMetadata);
+api.get("/.well-known/openid-configuration", openidConfiguration);
+
+api.post("/oauth/token", issueToken);
+api.post("/oauth/introspect", introspect);
+api.post("/oauth/revoke", revoke);
+api.get("/oauth/authorize", authorize.authorize);
+api.post("/oauth/authorize", authorize.decide);
+
+// Session endpoints (required scopes per handler: common/scopes.js)
+api.post("/session", protectedController.createSession);
+api.get("/session", protectedController.listSessions);
+api.get("/session/:SessionId", protectedController.getSession);
+api.put("/session/:SessionId", protectedController.updateSession);
+api.delete("/session/:SessionId", protectedController.cancelSession);
 
 // Instructor endpoints
-app.post("/api/instructor", protectedController.addInstructor);
-app.put("/api/instructor", protectedController.updateInstructor);
+api.post("/instructor", protectedController.addInstructor);
+api.put("/instructor", protectedController.updateInstructor);
 
 // Attendance and launch endpoints
-app.get("/api/session/:SessionId/attendees", protectedController.getAttendance);
-app.get("/api/session/:SessionId/extendedoptions", protectedController.getExtendedOptions);
-app.get("/api/session/:SessionId/user/:base64EncodedEmail/url",protectedController.launchSession);
-
-// Basic URL
-app.post("/session", protectedController.createSession);
-app.put("/session/:SessionId", protectedController.updateSession);
-app.delete("/session/:SessionId", protectedController.cancelSession);
-app.post("/instructor", protectedController.addInstructor);
-app.get("/session/:SessionId/attendees", protectedController.getAttendance);
-app.get("/session/:SessionId/extendedoptions", protectedController.getExtendedOptions);
-app.get("/session/:SessionId/user/:base64EncodedEmail/url",protectedController.launchSession);
-
-
-// Folder-based two level endpoints
-app.post("/folder1/folder2/api/oauth/token", issueToken);
-app.post("/folder1/folder2/api/session", protectedController.createSession);
-app.put("/folder1/folder2/api/session/:SessionId", protectedController.updateSession);
-app.delete("/folder1/folder2/api/session/:SessionId", protectedController.cancelSession);
-app.post("/folder1/folder2/api/instructor", protectedController.addInstructor);
-app.get("/folder1/folder2/api/session/:SessionId/attendees", protectedController.getAttendance);
-app.get("/folder1/folder2/api/session/:SessionId/extendedoptions", protectedController.getExtendedOptions);
-app.get("/folder1/folder2/api/session/:SessionId/user/:base64EncodedEmail/url",protectedController.launchSession);
-
-// Folder-based third level endpoints
-app.post("/folder1/folder2/folder3/api/oauth/token", issueToken);
-app.post("/folder1/folder2/folder3/api/session", protectedController.createSession);
-app.put("/folder1/folder2/folder3/api/session/:SessionId", protectedController.updateSession);
-app.delete("/folder1/folder2/folder3/api/session/:SessionId", protectedController.cancelSession);
-app.post("/folder1/folder2/folder3/api/instructor", protectedController.addInstructor);
-app.get("/folder1/folder2/folder3/api/session/:SessionId/attendees", protectedController.getAttendance);
-app.get("/folder1/folder2/folder3/api/session/:SessionId/extendedoptions", protectedController.getExtendedOptions);
-app.get("/folder1/folder2/folder3/api/session/:SessionId/user/:base64EncodedEmail/url",protectedController.launchSession);
+api.get("/session/:SessionId/attendees", protectedController.getAttendance);
+api.get("/session/:SessionId/extendedoptions", protectedController.getExtendedOptions);
+api.get("/session/:SessionId/user/:base64EncodedEmail/url", protectedController.launchSession);
+
+app.use(prefixRouter(api));
 
 // Dev server only (Vercel imports the app instead)
 if (process.env.VERCEL !== "1") {
   const port = process.env.PORT || 8000;
-  app.listen(port, () => console.log(`Mock OAuth server running on ${port}`));
+  app.listen(port, () => logger.info("Mock OAuth server running", { port }));
 }
 
 module.exports = app;
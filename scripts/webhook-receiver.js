@@ -0,0 +1,49 @@
+// scripts/webhook-receiver.js
+// Local endpoint for /admin/webhooks: prints each event and checks its signature.
+//   WEBHOOK_SECRET=whsec_... PORT=4000 node scripts/webhook-receiver.js
+// FAIL_FIRST=n answers the first n deliveries with 500 to exercise retries.
+const http = require("http");
+const crypto = require("crypto");
+
+const port = Number(process.env.PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+function verify(headers, body) {
+  if (!secret) return "not checked (WEBHOOK_SECRET not set)";
+  const timestamp = headers["x-webhook-timestamp"];
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+  const actual = String(headers["x-webhook-signature"] || "");
+  const valid =
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+  return valid ? "valid" : "INVALID";
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    console.log(
+      `${req.headers["x-webhook-event"]} (${req.headers["x-webhook-id"]}) signature ${verify(
+        req.headers,
+        body
+      )}`
+    );
+    console.log(body);
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(500).end();
+      return;
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
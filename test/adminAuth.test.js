@@ -0,0 +1,114 @@
+// user-020: operator API keys, read/write roles and the audit log for /admin
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { startApp, getToken } = require("./helpers");
+
+const AUDIT_LOG_LIMIT = 8;
+const reader = { "x-admin-key": "read-secret" };
+const writer = { "x-admin-key": "write-secret" };
+const c1 = { client_id: "c1", client_secret: "s1" };
+
+let app;
+before(async () => {
+  app = await startApp({
+    ADMIN_AUTH_DISABLED: "",
+    AUDIT_LOG_LIMIT: String(AUDIT_LOG_LIMIT),
+    ADMIN_API_KEYS: JSON.stringify([
+      { name: "ci", key: "read-secret", role: "read" },
+      { name: "ops", key: "write-secret", role: "write" },
+    ]),
+  });
+});
+after(() => app.close());
+
+// Audit entries are appended once the response has finished
+async function audit(query = "") {
+  await sleep(50);
+  const res = await app.call("GET", `/admin/audit${query}`, { headers: reader });
+  assert.equal(res.status, 200);
+  return res.body.entries;
+}
+
+test("client credentials alone no longer open the admin routes", async () => {
+  for (const [method, path] of [
+    ["POST", "/admin/reset"],
+    ["GET", "/admin/tokens?client_id=c1&client_secret=s1"],
+    ["POST", "/admin/config"],
+  ]) {
+    const json = method === "GET" ? undefined : { ...c1, ttlSeconds: 60 };
+    const res = await app.call(method, path, { json });
+    assert.equal(res.status, 401, path);
+    assert.match(res.body.details, /X-Admin-Key/);
+  }
+  const wrong = await app.call("GET", "/admin/clients", { headers: { "x-admin-key": "guess" } });
+  assert.equal(wrong.status, 401);
+
+  // The OAuth and VILT API keep their own authentication
+  await getToken(app.call, "c1", "s1");
+});
+
+test("read keys may only GET; write keys may call everything", async () => {
+  const tokens = await app.call("GET", "/admin/tokens?client_id=c1&client_secret=s1", {
+    headers: reader,
+  });
+  assert.equal(tokens.status, 200);
+
+  const denied = await app.call("POST", "/admin/reset", { headers: reader, json: c1 });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.details, "POST needs a write key; ci is read");
+  assert.equal(
+    (await app.call("POST", "/admin/reset", { headers: writer, json: c1 })).status,
+    200
+  );
+  const created = await app.call("POST", "/admin/clients", {
+    headers: writer,
+    json: { client_id: "audited" },
+  });
+  assert.equal(created.status, 201);
+});
+
+test("every admin call is audited with actor, action, target client and time", async () => {
+  const entries = await audit("?client_id=audited");
+  assert.equal(entries.length, 1);
+  const [entry] = entries;
+  assert.equal(entry.actor, "ops");
+  assert.equal(entry.role, "write");
+  assert.equal(entry.action, "POST /admin/clients");
+  assert.equal(entry.status, 201);
+  assert.equal(entry.outcome, "ok");
+  assert.ok(Math.abs(Date.parse(entry.at) - Date.now()) < 5_000);
+
+  const denied = await audit("?outcome=denied");
+  assert.ok(denied.some((e) => e.actor === "ci" && e.status === 403));
+  assert.ok(denied.some((e) => e.actor === null && e.status === 401));
+  assert.ok((await audit("?actor=ci")).every((e) => e.actor === "ci"));
+  assert.equal((await audit("?limit=2")).length, 2);
+  assert.equal(
+    (await app.call("GET", "/admin/audit?from=yesterday", { headers: reader })).status,
+    400
+  );
+});
+
+test(`the audit log keeps the newest ${AUDIT_LOG_LIMIT} entries`, async () => {
+  for (let i = 0; i < AUDIT_LOG_LIMIT; i++) {
+    await app.call("GET", `/admin/clients/cap-${i}`, { headers: reader });
+  }
+  const entries = await audit();
+  assert.equal(entries.length, AUDIT_LOG_LIMIT);
+  assert.equal(entries.at(-1).action, "GET /admin/clients/:clientId");
+  assert.equal(entries.at(-1).targetClient, `cap-${AUDIT_LOG_LIMIT - 1}`);
+  assert.ok(!entries.some((e) => e.targetClient === "audited"));
+});
+
+test("ADMIN_AUTH_DISABLED=1 opens /admin to an anonymous writer", async () => {
+  process.env.ADMIN_AUTH_DISABLED = "1";
+  try {
+    assert.equal((await app.call("POST", "/admin/reset", { json: c1 })).status, 200);
+  } finally {
+    process.env.ADMIN_AUTH_DISABLED = "";
+  }
+  const [entry] = (await audit("?actor=anonymous")).slice(-1);
+  assert.equal(entry.action, "POST /admin/reset");
+  assert.equal(entry.targetClient, "c1");
+});
@@ -0,0 +1,166 @@
+// user-014: per-session attendance reports at GET /api/session/:id/attendees
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+const START = "2024-03-01T10:00:00.000Z";
+const END = "2024-03-01T11:00:00.000Z";
+const schedule = { StartDateTime: START, EndDateTime: END };
+
+describe("buildAttendance", () => {
+  const { buildAttendance, lastActivity, parseSeededAttendees } = require("../common/attendance");
+  const session = (sessionId, extra = {}) => ({
+    sessionId,
+    createdAt: "2024-02-01T00:00:00.000Z",
+    request: sessionPayload(sessionId, schedule),
+    history: [],
+    ...extra,
+  });
+  const afterEnd = Date.parse(END) + 1000;
+
+  test("the generator is deterministic per session", () => {
+    const first = buildAttendance(session("gen-1"), { now: afterEnd });
+    assert.deepEqual(buildAttendance(session("gen-1"), { now: afterEnd }), first);
+    assert.notDeepEqual(buildAttendance(session("gen-2"), { now: afterEnd }), first);
+  });
+
+  test("the instructor stays throughout; learners cover every edge case", () => {
+    const attendees = buildAttendance(session("gen-1"), { now: afterEnd });
+    const [instructor, ...learners] = attendees;
+    assert.equal(instructor.email, "teacher@example.com");
+    assert.equal(instructor.role, "instructor");
+    assert.equal(instructor.durationSeconds, 3600);
+    assert.equal(instructor.attendancePercentage, 100);
+
+    const [full, partial, rejoin, noShow] = learners;
+    assert.ok(full.attendancePercentage > 95);
+    assert.ok(partial.attendancePercentage > 0 && partial.attendancePercentage < 100);
+    assert.equal(rejoin.joins.length, 2);
+    assert.deepEqual([noShow.joins, noShow.firstJoinedAt, noShow.durationSeconds], [[], null, 0]);
+    assert.ok(learners.every((a) => a.role === "learner"));
+  });
+
+  test("while the session runs, joins are cut at `now` and still open", () => {
+    const midway = Date.parse(START) + 30 * 60 * 1000;
+    const [instructor] = buildAttendance(session("gen-1"), { now: midway });
+    assert.deepEqual(instructor.joins, [{ joinedAt: START, leftAt: null }]);
+    assert.equal(instructor.lastLeftAt, null);
+    assert.equal(instructor.attendancePercentage, 50);
+  });
+
+  test("seeded attendees: overlapping joins count once, role defaults to learner", () => {
+    const { attendees } = parseSeededAttendees([
+      {
+        email: "a@example.com",
+        joins: [
+          { joinedAt: "2024-03-01T10:20:00Z", leftAt: "2024-03-01T10:40:00Z" },
+          { joinedAt: "2024-03-01T10:00:00Z", leftAt: "2024-03-01T10:30:00Z" },
+        ],
+      },
+    ]);
+    assert.equal(attendees[0].role, "learner");
+    assert.equal(attendees[0].joins[0].joinedAt, START);
+
+    const [report] = buildAttendance(session("seeded", { seededAttendees: attendees }), {
+      now: afterEnd,
+    });
+    assert.equal(report.durationSeconds, 40 * 60);
+    assert.equal(report.attendancePercentage, 66.7);
+    assert.equal(lastActivity(report), "2024-03-01T10:40:00.000Z");
+  });
+
+  test("invalid seeds are explained", () => {
+    const cases = [
+      [{}, "attendees must be an array"],
+      [[{ email: "nope" }], "attendees[0].email must be an email address"],
+      [[{ email: "a@b.c", role: "host" }], "attendees[0].role must be instructor or learner"],
+      [[{ email: "a@b.c", joins: [{ joinedAt: "soon" }] }], /needs ISO joinedAt\/leftAt/],
+      [[{ email: "a@b.c", joins: [{ joinedAt: END, leftAt: START }] }], /before joinedAt/],
+    ];
+    for (const [input, expected] of cases) {
+      const { error } = parseSeededAttendees(input);
+      if (typeof expected === "string") assert.equal(error, expected);
+      else assert.match(error, expected);
+    }
+  });
+});
+
+describe("GET /api/session/:id/attendees", () => {
+  const client = { client_id: "c1", client_secret: "s1" };
+  let app;
+  let headers;
+  before(async () => {
+    app = await startApp();
+    headers = { authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}` };
+    await app.call("POST", "/api/session", { headers, json: sessionPayload("att-1", schedule) });
+  });
+  after(() => app.close());
+
+  const attendees = (sessionId, query = "") =>
+    app.call("GET", `/api/session/${sessionId}/attendees${query}`, { headers });
+  const seed = (sessionId, list) =>
+    app.call("POST", "/admin/attendance", { json: { ...client, sessionId, attendees: list } });
+
+  test("pages through the roster", async () => {
+    const all = (await attendees("att-1", "?pageSize=100")).body.data;
+    assert.ok(all.total >= 5);
+    const second = (await attendees("att-1", "?page=2&pageSize=2")).body.data;
+    assert.deepEqual([second.page, second.pageSize, second.total], [2, 2, all.total]);
+    assert.deepEqual(second.attendees, all.attendees.slice(2, 4));
+    assert.equal((await attendees("att-1", "?pageSize=0")).status, 400);
+  });
+
+  test("the roster follows the instructors of the latest update", async () => {
+    const moved = sessionPayload("att-1", {
+      ...schedule,
+      Instructors: [{ Email: "new.teacher@example.com", FirstName: "New", LastName: "Teacher" }],
+    });
+    const updated = await app.call("PUT", "/api/session/att-1", { headers, json: moved });
+    assert.equal(updated.status, 200);
+    const { data } = (await attendees("att-1", "?pageSize=100")).body;
+    const instructors = data.attendees.filter((a) => a.role === "instructor");
+    assert.deepEqual(instructors.map((a) => a.email), ["new.teacher@example.com"]);
+  });
+
+  test("seeded lists replace the generated roster until cleared; since filters", async () => {
+    const seeded = await seed("att-1", [
+      { email: "early@example.com", joins: [{ joinedAt: START, leftAt: "2024-03-01T10:15:00Z" }] },
+      {
+        email: "late@example.com",
+        role: "instructor",
+        joins: [{ joinedAt: "2024-03-01T10:45:00Z", leftAt: END }],
+      },
+      { email: "absent@example.com" },
+    ]);
+    assert.equal(seeded.status, 200);
+
+    const { data } = (await attendees("att-1")).body;
+    assert.deepEqual(
+      data.attendees.map((a) => [a.email, a.role, a.attendancePercentage]),
+      [
+        ["early@example.com", "learner", 25],
+        ["late@example.com", "instructor", 25],
+        ["absent@example.com", "learner", 0],
+      ]
+    );
+    const since = (await attendees("att-1", "?since=2024-03-01T10:30:00Z")).body.data;
+    assert.deepEqual(since.attendees.map((a) => a.email), ["late@example.com"]);
+
+    await app.call("DELETE", "/admin/attendance", { json: { ...client, sessionId: "att-1" } });
+    const generated = (await attendees("att-1", "?pageSize=100")).body.data;
+    assert.ok(generated.attendees.every((a) => a.email !== "early@example.com"));
+  });
+
+  test("errors: unknown session, bad since, bad seeds", async () => {
+    const missing = await attendees("nope");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, 40450);
+
+    const badSince = await attendees("att-1", "?since=yesterday");
+    assert.equal(badSince.status, 400);
+    assert.equal(badSince.body.error.code, 40052);
+
+    assert.equal((await seed("att-1", [{ email: "x@example.com", role: "host" }])).status, 400);
+    assert.equal((await seed("nope", [])).status, 404);
+  });
+});
@@ -0,0 +1,213 @@
+// user-001: authorization code grant with PKCE and the mock consent page
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { startApp } = require("./helpers");
+
+const REDIRECT_URI = "https://app.example.com/callback";
+
+let app;
+before(async () => {
+  app = await startApp();
+  const res = await app.call("POST", "/admin/config", {
+    json: { client_id: "c1", client_secret: "s1", redirectUris: [REDIRECT_URI] },
+  });
+  assert.equal(res.status, 200);
+});
+after(() => app.close());
+
+// Submit the consent form; returns the redirect's query parameters
+async function decide(fields) {
+  const res = await app.call("POST", "/oauth/authorize", {
+    form: { response_type: "code", client_id: "c1", username: "u@example.com", ...fields },
+  });
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get("location"));
+  assert.equal(`${location.origin}${location.pathname}`, REDIRECT_URI);
+  return Object.fromEntries(location.searchParams);
+}
+
+function redeem(code, fields = {}) {
+  return app.call("POST", "/oauth/token", {
+    form: {
+      grant_type: "authorization_code",
+      client_id: "c1",
+      client_secret: "s1",
+      code,
+      ...fields,
+    },
+  });
+}
+
+test("the consent page carries the request through to the decision", async () => {
+  const query = new URLSearchParams({
+    response_type: "code",
+    client_id: "c1",
+    redirect_uri: REDIRECT_URI,
+    scope: "session:read",
+    state: "s-1",
+  });
+  const res = await app.call("GET", `/oauth/authorize?${query}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/html/);
+  assert.match(res.body, /<form method="post" action="\/oauth\/authorize">/);
+  assert.match(res.body, /name="state" value="s-1"/);
+  assert.match(res.body, /name="decision" value="deny"/);
+});
+
+test("S256: a code is redeemed once with the matching verifier", async () => {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  const { code, state } = await decide({
+    decision: "approve",
+    redirect_uri: REDIRECT_URI,
+    state: "abc",
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  });
+  assert.equal(state, "abc");
+
+  const wrong = await redeem(code, { redirect_uri: REDIRECT_URI, code_verifier: "not-it" });
+  assert.equal(wrong.status, 400);
+  assert.equal(wrong.body.error, "invalid_grant");
+
+  const res = await redeem(code, { redirect_uri: REDIRECT_URI, code_verifier: verifier });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.token_type, "Bearer");
+
+  const again = await redeem(code, { redirect_uri: REDIRECT_URI, code_verifier: verifier });
+  assert.equal(again.status, 400);
+  assert.equal(again.body.error, "invalid_grant");
+});
+
+test("plain: the verifier must equal the challenge", async () => {
+  const { code } = await decide({
+    decision: "approve",
+    code_challenge: "plain-challenge-value-0123456789-abcdefghijk",
+    code_challenge_method: "plain",
+  });
+  const res = await redeem(code, {
+    code_verifier: "plain-challenge-value-0123456789-abcdefghijk",
+  });
+  assert.equal(res.status, 200);
+});
+
+test("errors after redirect_uri is validated are redirected with the state", async () => {
+  assert.deepEqual(await decide({ decision: "deny", state: "d-1" }), {
+    error: "access_denied",
+    error_description: "The resource owner denied the request",
+    state: "d-1",
+  });
+
+  const missingType = await decide({ response_type: "", decision: "approve", state: "m-1" });
+  assert.equal(missingType.error, "invalid_request");
+  assert.equal(missingType.state, "m-1");
+
+  const badMethod = await decide({
+    decision: "approve",
+    code_challenge: "x",
+    code_challenge_method: "S512",
+  });
+  assert.equal(badMethod.error, "invalid_request");
+  assert.equal((await decide({ response_type: "token" })).error, "unsupported_response_type");
+});
+
+test("unknown clients and unregistered redirect URIs are never redirected to", async () => {
+  const evil = new URLSearchParams({
+    response_type: "code",
+    client_id: "c1",
+    redirect_uri: "https://evil.example/cb",
+  });
+  const res = await app.call("GET", `/oauth/authorize?${evil}`);
+  assert.equal(res.status, 400);
+  assert.equal(res.headers.get("location"), null);
+
+  const unknown = await app.call("GET", "/oauth/authorize?response_type=code&client_id=nobody");
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body, /invalid_client/);
+});
+
+test("redirect_uri must be repeated at the token endpoint only when it was sent", async () => {
+  const omitted = await decide({ decision: "approve" });
+  assert.equal((await redeem(omitted.code)).status, 200);
+
+  const sent = await decide({ decision: "approve", redirect_uri: REDIRECT_URI });
+  const res = await redeem(sent.code);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "invalid_grant");
+});
+
+test("public clients redeem with client_id and PKCE alone", async () => {
+  const config = await app.call("POST", "/admin/config", {
+    json: {
+      client_id: "c2",
+      client_secret: "s2",
+      redirectUris: [REDIRECT_URI],
+      tokenEndpointAuthMethods: ["none"],
+    },
+  });
+  assert.equal(config.status, 200);
+
+  const noPkce = await decide({ client_id: "c2", decision: "approve", state: "p-1" });
+  assert.equal(noPkce.error, "invalid_request");
+  assert.equal(noPkce.state, "p-1");
+
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  const { code } = await decide({
+    client_id: "c2",
+    decision: "approve",
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  });
+  const res = await app.call("POST", "/oauth/token", {
+    form: { grant_type: "authorization_code", client_id: "c2", code, code_verifier: verifier },
+  });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.access_token);
+
+  const cc = await app.call("POST", "/oauth/token", {
+    form: { grant_type: "client_credentials", client_id: "c2" },
+  });
+  assert.equal(cc.status, 400);
+  assert.equal(cc.body.error, "unauthorized_client");
+
+  const mixed = await app.call("POST", "/admin/config", {
+    json: {
+      client_id: "c2",
+      client_secret: "s2",
+      tokenEndpointAuthMethods: ["none", "client_secret_post"],
+    },
+  });
+  assert.equal(mixed.status, 400);
+});
+
+test("replaying a code revokes the tokens issued from it", async () => {
+  const { code } = await decide({ decision: "approve" });
+  const issued = await redeem(code);
+  assert.equal(issued.status, 200);
+  const { access_token: accessToken, refresh_token: refreshToken } = issued.body;
+  const api = () =>
+    app.call("GET", "/api/session", { headers: { authorization: `Bearer ${accessToken}` } });
+  assert.notEqual((await api()).status, 401);
+
+  const replay = await redeem(code);
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.error, "invalid_grant");
+
+  const introspected = await app.call("POST", "/oauth/introspect", {
+    form: { client_id: "c1", client_secret: "s1", token: accessToken },
+  });
+  assert.deepEqual(introspected.body, { active: false });
+  assert.equal((await api()).status, 401);
+  const refreshed = await app.call("POST", "/oauth/token", {
+    form: {
+      grant_type: "refresh_token",
+      client_id: "c1",
+      client_secret: "s1",
+      refresh_token: refreshToken,
+    },
+  });
+  assert.equal(refreshed.status, 400);
+  assert.equal(refreshed.body.error, "invalid_grant");
+});
@@ -0,0 +1,60 @@
+// user-006: HTTP Basic authentication on the protected VILT endpoints
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, sessionPayload } = require("./helpers");
+
+let app;
+before(async () => {
+  app = await startApp();
+  const res = await app.call("POST", "/admin/config", {
+    json: { client_id: "c1", client_secret: "s1", basicAuthEnabled: true },
+  });
+  assert.equal(res.status, 200);
+});
+after(() => app.close());
+
+const asBasic = (id, secret) => ({
+  authorization: `Basic ${Buffer.from(`${id}:${secret}`).toString("base64")}`,
+});
+
+test("no credentials at all is a 401, not a free pass", async () => {
+  const res = await app.call("POST", "/api/session", { json: sessionPayload("NONE") });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, 40101);
+  assert.match(res.headers.get("www-authenticate"), /^Bearer /);
+});
+
+test("Basic credentials are checked against the clients collection", async () => {
+  for (const headers of [asBasic("c1", "wrong"), asBasic("nobody", "s1"), asBasic("c1", "")]) {
+    const res = await app.call("GET", "/api/session", { headers });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 40105);
+    assert.match(res.headers.get("www-authenticate"), /^Basic realm=/);
+  }
+  const garbled = await app.call("GET", "/api/session", {
+    headers: { authorization: "Basic !!!" },
+  });
+  assert.equal(garbled.status, 401);
+});
+
+test("Basic auth is a per-client option", async () => {
+  const res = await app.call("GET", "/api/session", { headers: asBasic("c2", "s2") });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, 40106);
+});
+
+test("Basic requests persist data and count usage like Bearer requests", async () => {
+  const created = await app.call("POST", "/api/session", {
+    headers: asBasic("c1", "s1"),
+    json: sessionPayload("BASIC-1"),
+  });
+  assert.equal(created.status, 200);
+
+  const read = await app.call("GET", "/api/session/BASIC-1", { headers: asBasic("c1", "s1") });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.data.session.request.SessionId, "BASIC-1");
+
+  const metrics = await app.call("GET", "/admin/metrics?client_id=c1&client_secret=s1");
+  assert.equal(metrics.body.perEndpointUsage.createsession, 1);
+  assert.equal(metrics.body.perEndpointUsage.getsession, 1);
+});
@@ -0,0 +1,144 @@
+// user-005: client_secret_basic and private_key_jwt at the token endpoint
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { startApp } = require("./helpers");
+
+const JWT_BEARER = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+
+const basicHeader = (id, secret) =>
+  `Basic ${Buffer.from(`${id}:${secret}`).toString("base64")}`;
+
+describe("parsing client credentials", () => {
+  const { parseBasicAuth, extractClientCredentials } = require("../common/clientAuth");
+  const request = (headers, body = {}) => ({ headers, body, query: {} });
+
+  test("Basic credentials are form-urlencoded before base64 (RFC 6749 §2.3.1)", () => {
+    assert.deepEqual(parseBasicAuth(basicHeader("my%20client", "p%3Ass+word")), {
+      id: "my client",
+      secret: "p:ss word",
+    });
+    assert.equal(parseBasicAuth("Basic bm8tY29sb24="), null);
+    assert.equal(parseBasicAuth("Bearer abc"), null);
+  });
+
+  test("one method per request", () => {
+    const both = extractClientCredentials(
+      request({ authorization: basicHeader("c1", "s1") }, { client_secret: "s1" })
+    );
+    assert.match(both.error, /multiple/);
+
+    const post = extractClientCredentials(request({}, { client_id: "c1", client_secret: "s1" }));
+    assert.equal(post.method, "client_secret_post");
+    assert.equal(extractClientCredentials(request({})), null);
+  });
+
+  test("an assertion names its client in iss and sub", () => {
+    const part = (v) => Buffer.from(JSON.stringify(v)).toString("base64url");
+    const assertion = `${part({ alg: "RS256" })}.${part({ iss: "c1", sub: "c2" })}.sig`;
+    const res = extractClientCredentials(
+      request({}, { client_assertion_type: JWT_BEARER, client_assertion: assertion })
+    );
+    assert.match(res.error, /iss and sub/);
+  });
+});
+
+describe("the token endpoint", () => {
+  let app;
+  let jwt;
+  const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+  before(async () => {
+    app = await startApp();
+    jwt = require("../common/jwt");
+    const pem = await app.call("POST", "/admin/config", {
+      json: {
+        client_id: "c2",
+        client_secret: "s2",
+        tokenEndpointAuthMethods: ["private_key_jwt"],
+        publicKeyPem: rsa.publicKey.export({ type: "spki", format: "pem" }),
+      },
+    });
+    assert.equal(pem.status, 200);
+    const jwks = await app.call("POST", "/admin/config", {
+      json: {
+        client_id: "c3",
+        client_secret: "s3",
+        tokenEndpointAuthMethods: ["private_key_jwt", "client_secret_post"],
+        jwks: { keys: [{ ...ec.publicKey.export({ format: "jwk" }), kid: "ec-1" }] },
+      },
+    });
+    assert.equal(jwks.status, 200);
+  });
+  after(() => app.close());
+
+  function assertion(clientId, options = {}) {
+    const { alg = "RS256", privateKey = rsa.privateKey, kid, ...claims } = options;
+    const now = Math.floor(Date.now() / 1000);
+    return jwt.sign(
+      {
+        iss: clientId,
+        sub: clientId,
+        aud: `${app.base}/oauth/token`,
+        iat: now,
+        exp: now + 60,
+        jti: crypto.randomUUID(),
+        ...claims,
+      },
+      { alg, kid, privateKey }
+    );
+  }
+
+  const token = (form, headers = {}) =>
+    app.call("POST", "/oauth/token", {
+      headers,
+      form: { grant_type: "client_credentials", ...form },
+    });
+
+  const assertInvalidClient = (res) => {
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "invalid_client");
+    assert.match(res.headers.get("www-authenticate"), /error="invalid_client"/);
+  };
+
+  test("client_secret_basic is accepted by clients on the default methods", async () => {
+    const res = await token({}, { authorization: basicHeader("c1", "s1") });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.access_token);
+
+    assertInvalidClient(await token({}, { authorization: basicHeader("c1", "nope") }));
+  });
+
+  test("private_key_jwt with the registered PEM, each assertion once", async () => {
+    const value = assertion("c2");
+    const form = { client_assertion_type: JWT_BEARER, client_assertion: value };
+    assert.equal((await token(form)).status, 200);
+    assertInvalidClient(await token(form));
+  });
+
+  test("private_key_jwt with an ES256 key from the registered JWKS", async () => {
+    const value = assertion("c3", { alg: "ES256", privateKey: ec.privateKey, kid: "ec-1" });
+    const res = await token({ client_assertion_type: JWT_BEARER, client_assertion: value });
+    assert.equal(res.status, 200);
+  });
+
+  test("assertions that are expired, for another audience or badly signed fail", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const other = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+    for (const value of [
+      assertion("c2", { exp: now - 1 }),
+      assertion("c2", { aud: "https://elsewhere.example/token" }),
+      assertion("c2", { privateKey: other }),
+    ]) {
+      const res = await token({ client_assertion_type: JWT_BEARER, client_assertion: value });
+      assertInvalidClient(res);
+    }
+  });
+
+  test("a method the client does not allow is invalid_client", async () => {
+    assertInvalidClient(await token({ client_id: "c2", client_secret: "s2" }));
+    assertInvalidClient(await token({}, { authorization: basicHeader("c3", "s3") }));
+    assert.equal((await token({ client_id: "c3", client_secret: "s3" })).status, 200);
+  });
+});
@@ -0,0 +1,167 @@
+// user-019: client provisioning and secret rotation under /admin/clients
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, sessionPayload } = require("./helpers");
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const token = (clientId, clientSecret) =>
+  app.call("POST", "/oauth/token", {
+    form: { grant_type: "client_credentials", client_id: clientId, client_secret: clientSecret },
+  });
+const createClient = (json) => app.call("POST", "/admin/clients", { json });
+
+test("created clients get a generated secret, tokens and a secret-free summary", async () => {
+  const created = await createClient({
+    client_id: "tenant-1",
+    name: "Tenant one",
+    allowedGrants: ["client_credentials"],
+    allowedScopes: "session:read session:write",
+  });
+  assert.equal(created.status, 201);
+  const secret = created.body.client_secret;
+  assert.ok(secret.length >= 32);
+  assert.deepEqual(created.body.client.allowedScopes, ["session:read", "session:write"]);
+  assert.equal(created.body.client.enabled, true);
+
+  assert.equal((await token("tenant-1", secret)).status, 200);
+
+  const read = await app.call("GET", "/admin/clients/tenant-1");
+  assert.equal(read.body.client.name, "Tenant one");
+  assert.deepEqual(read.body.client.allowedGrants, ["client_credentials"]);
+  const listed = await app.call("GET", "/admin/clients");
+  assert.ok(listed.body.clients.some((c) => c.clientId === "tenant-1"));
+  assert.ok(!JSON.stringify(listed.body).includes(secret));
+
+  const generated = await createClient({});
+  assert.match(generated.body.client.clientId, /^client_[0-9a-f]{16}$/);
+});
+
+test("allowedGrants limits the grants a client may use", async () => {
+  await createClient({
+    client_id: "codes-only",
+    client_secret: "x",
+    allowedGrants: "refresh_token",
+  });
+  const res = await token("codes-only", "x");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "unauthorized_client");
+});
+
+test("a disabled client gets no tokens and its live tokens stop working", async () => {
+  await createClient({ client_id: "off", client_secret: "x" });
+  const { access_token: live } = (await token("off", "x")).body;
+  const headers = { authorization: `Bearer ${live}` };
+  assert.equal((await app.call("GET", "/api/session", { headers })).status, 200);
+
+  const updated = await app.call("PUT", "/admin/clients/off", { json: { enabled: false } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.client.enabled, false);
+
+  const refused = await token("off", "x");
+  assert.equal(refused.status, 401);
+  assert.equal(refused.body.error, "invalid_client");
+  const call = await app.call("GET", "/api/session", { headers });
+  assert.equal(call.status, 401);
+  assert.equal(call.body.error.code, 40108);
+});
+
+test("rotation keeps the old secret working for the overlap window", async () => {
+  await createClient({ client_id: "rot", client_secret: "old" });
+  const rotated = await app.call("POST", "/admin/clients/rot/rotate-secret", {
+    json: { client_secret: "new", overlapSeconds: 60 },
+  });
+  assert.equal(rotated.status, 200);
+  assert.equal(rotated.body.client_secret, "new");
+  const expiresAt = Date.parse(rotated.body.previousSecretExpiresAt);
+  assert.ok(Math.abs(expiresAt - (Date.now() + 60_000)) < 5_000);
+
+  assert.equal((await token("rot", "new")).status, 200);
+  assert.equal((await token("rot", "old")).status, 200);
+
+  await app.call("POST", "/admin/clients/rot/rotate-secret", {
+    json: { client_secret: "newer", overlapSeconds: 0 },
+  });
+  // Overlap 0 drops "new" at once; "old" is still inside its own window
+  assert.equal((await token("rot", "new")).status, 401);
+  assert.equal((await token("rot", "old")).status, 200);
+  assert.equal((await token("rot", "newer")).status, 200);
+});
+
+test("admin endpoints accept a secret inside its overlap window", async () => {
+  await createClient({ client_id: "ovl", client_secret: "before" });
+  const { access_token: live } = (await token("ovl", "before")).body;
+  const headers = { authorization: `Bearer ${live}` };
+  await app.call("POST", "/api/session", { headers, json: sessionPayload("ovl-1") });
+  await app.call("POST", "/admin/clients/ovl/rotate-secret", {
+    json: { client_secret: "after", overlapSeconds: 60 },
+  });
+
+  const old = { client_id: "ovl", client_secret: "before" };
+  const config = await app.call("POST", "/admin/config", { json: { ...old, ttlSeconds: 120 } });
+  assert.equal(config.status, 200);
+  const metrics = await app.call("GET", "/admin/metrics?client_id=ovl&client_secret=before");
+  assert.equal(metrics.body.perEndpointUsage.createsession, 1);
+  const tokens = await app.call("GET", "/admin/tokens?client_id=ovl&client_secret=before");
+  assert.equal(tokens.body.count, 1);
+
+  const seeded = await app.call("POST", "/admin/attendance", {
+    json: { ...old, sessionId: "ovl-1", attendees: [{ email: "a@example.com" }] },
+  });
+  assert.equal(seeded.status, 200);
+  const options = await app.call("POST", "/admin/extended-options", {
+    json: { ...old, extendedOptions: [{ Type: "Label", Id: "x", Name: "X" }] },
+  });
+  assert.equal(options.status, 200);
+  const frozen = await app.call("POST", "/admin/clock", {
+    json: { ...old, frozen: true, at: "2030-01-01T00:00:00Z" },
+  });
+  assert.equal(frozen.status, 200);
+
+  // Settings written through the old secret landed on the client doc
+  const current = "client_id=ovl&client_secret=after";
+  const settings = (await app.call("GET", `/admin/metrics?${current}`)).body;
+  assert.equal(settings.nextTokenTtlSeconds, 120);
+  const clock = (await app.call("GET", `/admin/clock?${current}`)).body.clock;
+  assert.equal(clock.mode, "frozen");
+
+  const reset = await app.call("POST", "/admin/reset", { json: old });
+  assert.equal(reset.body.message, "reset ok");
+  assert.equal((await app.call("GET", `/admin/tokens?${current}`)).body.count, 0);
+});
+
+test("deleting a client removes it with its tokens", async () => {
+  await createClient({ client_id: "gone", client_secret: "x" });
+  const { access_token: live } = (await token("gone", "x")).body;
+  assert.equal((await app.call("DELETE", "/admin/clients/gone")).status, 200);
+  assert.equal((await app.call("GET", "/admin/clients/gone")).status, 404);
+  const call = await app.call("GET", "/api/session", {
+    headers: { authorization: `Bearer ${live}` },
+  });
+  assert.equal(call.status, 401);
+});
+
+test("duplicates, bad fields and unknown clients", async () => {
+  assert.equal((await createClient({ client_id: "c1" })).status, 409);
+  assert.equal((await createClient({ client_id: "has space" })).status, 400);
+  assert.equal((await createClient({ client_id: "bad", allowedGrants: ["password"] })).status, 400);
+  assert.equal((await app.call("GET", "/admin/clients/ghost")).status, 404);
+  assert.equal((await app.call("DELETE", "/admin/clients/ghost")).status, 404);
+  const rotate = await app.call("POST", "/admin/clients/ghost/rotate-secret", { json: {} });
+  assert.equal(rotate.status, 404);
+  const negative = await app.call("POST", "/admin/clients/c1/rotate-secret", {
+    json: { overlapSeconds: -1 },
+  });
+  assert.equal(negative.status, 400);
+
+  // /admin/config no longer creates clients
+  const config = await app.call("POST", "/admin/config", {
+    json: { client_id: "ghost", client_secret: "made-up", ttlSeconds: 60 },
+  });
+  assert.equal(config.status, 404);
+  assert.equal((await app.call("GET", "/admin/clients/ghost")).status, 404);
+});
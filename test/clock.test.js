@@ -0,0 +1,165 @@
+// user-025: per-client virtual clock at /admin/clock
+const { describe, test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+const clock = require("../common/clock");
+const { getStore } = require("../common/store");
+
+describe("common/clock", () => {
+  const frozenAt = "2031-05-01T08:00:00.000Z";
+
+  test("clients without a clock, and no client, run on real time", () => {
+    assert.ok(Math.abs(clock.clientNow(null) - Date.now()) < 1_000);
+    assert.ok(Math.abs(clock.clientNow({ clientId: "c" }) - Date.now()) < 1_000);
+    assert.equal(clock.describeClock({}).mode, "real");
+  });
+
+  test("frozen clocks stop, running clocks keep their offset", () => {
+    const frozen = { clock: clock.frozenClock(Date.parse(frozenAt)) };
+    assert.equal(clock.clientNowIso(frozen), frozenAt);
+    const behind = { clock: clock.runningClock(-3_600_000) };
+    assert.ok(Math.abs(clock.clientNow(behind) - (Date.now() - 3_600_000)) < 1_000);
+    assert.deepEqual(clock.describeClock(behind), {
+      mode: "offset",
+      now: clock.clientNowIso(behind),
+      frozenAt: null,
+      offsetSeconds: -3600,
+    });
+  });
+
+  test("advancing keeps the mode and adds up", () => {
+    const frozen = { clock: clock.frozenClock(Date.parse(frozenAt)) };
+    assert.deepEqual(clock.advancedClock(frozen, -60), {
+      frozenAt: "2031-05-01T07:59:00.000Z",
+      offsetMs: 0,
+    });
+    const running = { clock: clock.runningClock(5_000) };
+    assert.deepEqual(clock.advancedClock(running, 10), { frozenAt: null, offsetMs: 15_000 });
+    assert.deepEqual(clock.advancedClock({}, 1), { frozenAt: null, offsetMs: 1_000 });
+  });
+});
+
+describe("/admin/clock", () => {
+  const c1 = { client_id: "c1", client_secret: "s1" };
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+  afterEach(async () => {
+    await app.call("DELETE", "/admin/clock", { json: c1 });
+    await app.call("POST", "/admin/reset", { json: c1 });
+  });
+
+  const freeze = (at) => app.call("POST", "/admin/clock", { json: { ...c1, frozen: true, at } });
+  const advance = (seconds) =>
+    app.call("POST", "/admin/clock/advance", { json: { ...c1, seconds } });
+  const bearer = async (clientId = "c1", secret = "s1") => ({
+    authorization: `Bearer ${(await getToken(app.call, clientId, secret)).access_token}`,
+  });
+
+  test("a token expires exactly at its lifetime on the client's clock", async () => {
+    await freeze("2031-05-01T08:00:00Z");
+    const { access_token: token, expires_in: lifetime } = await getToken(app.call, "c1", "s1");
+    const headers = { authorization: `Bearer ${token}` };
+
+    await advance(lifetime - 1);
+    assert.equal((await app.call("GET", "/api/session", { headers })).status, 200);
+    await advance(1);
+    const expired = await app.call("GET", "/api/session", { headers });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.error.code, 40103);
+
+    // Other clients keep real time
+    const other = await bearer("c2", "s2");
+    assert.equal((await app.call("GET", "/api/session", { headers: other })).status, 200);
+
+    // Back on real time the token is inside its lifetime again
+    await app.call("DELETE", "/admin/clock", { json: c1 });
+    assert.equal((await app.call("GET", "/api/session", { headers })).status, 200);
+  });
+
+  test("clock skew: a client running ahead expires tokens early", async () => {
+    const { access_token: token, expires_in: lifetime } = await getToken(app.call, "c1", "s1");
+    const headers = { authorization: `Bearer ${token}` };
+    const skew = (offsetSeconds) =>
+      app.call("POST", "/admin/clock", { json: { ...c1, offsetSeconds } });
+
+    assert.equal((await skew(lifetime - 30)).body.clock.mode, "offset");
+    assert.equal((await app.call("GET", "/api/session", { headers })).status, 200);
+    await skew(lifetime + 1);
+    const expired = await app.call("GET", "/api/session", { headers });
+    assert.equal(expired.body.error.code, 40103);
+    await skew(-3600);
+    assert.equal((await app.call("GET", "/api/session", { headers })).status, 200);
+  });
+
+  test("envelopes, session and instructor times and generated ids use the clock", async () => {
+    const at = "2031-05-01T08:00:00.000Z";
+    await freeze(at);
+    const headers = await bearer();
+
+    const { SessionId, ...withoutId } = sessionPayload("unused");
+    const created = await app.call("POST", "/api/session", { headers, json: withoutId });
+    assert.equal(created.body.timestamp, at);
+    const [session] = (await app.call("GET", "/api/session", { headers })).body.data.sessions;
+    assert.equal(session.createdAt, at);
+    const stamp = Date.parse(at).toString(36);
+    assert.match(session.sessionId, new RegExp(`^sess_c1_${stamp}[0-9a-f]{4}$`));
+
+    await app.call("POST", "/api/instructor", {
+      headers,
+      json: { Email: "clock@example.com", FirstName: "Clo", LastName: "Ck" },
+    });
+    const [instructor] = (await getStore().clients.findById("c1")).instructors;
+    assert.equal(instructor.createdAt, at);
+    assert.equal(instructor.instructorId, `inst_c1_${stamp}`);
+
+    const missing = await app.call("GET", "/api/session/nope", { headers });
+    assert.equal(missing.body.timestamp, at);
+    // Before authentication there is no client, so no client clock
+    const anonymous = await app.call("GET", "/api/session/nope");
+    assert.notEqual(anonymous.body.timestamp, at);
+  });
+
+  test("generated attendance follows the clock through the session", async () => {
+    // Tokens are issued on the clock too, so each read takes a current one
+    await freeze("2030-01-01T09:00:00Z");
+    const headers = await bearer();
+    await app.call("POST", "/api/session", { headers, json: sessionPayload("clock-att") });
+    const teacher = async () => {
+      const res = await app.call("GET", "/api/session/clock-att/attendees", {
+        headers: await bearer(),
+      });
+      return res.body.data.attendees.find((a) => a.email === "teacher@example.com");
+    };
+
+    assert.deepEqual((await teacher()).joins, []);
+    await advance(90 * 60);
+    const during = await teacher();
+    assert.equal(during.joins.at(-1).leftAt, null);
+    await advance(60 * 60);
+    const after = await teacher();
+    assert.equal(after.joins.at(-1).leftAt, "2030-01-01T11:00:00.000Z");
+  });
+
+  test("settings are shown and invalid ones refused", async () => {
+    await freeze("2031-05-01T08:00:00Z");
+    await advance(60);
+    const shown = await app.call("GET", "/admin/clock?client_id=c1&client_secret=s1");
+    assert.deepEqual(shown.body.clock, {
+      mode: "frozen",
+      now: "2031-05-01T08:01:00.000Z",
+      frozenAt: "2031-05-01T08:01:00.000Z",
+      offsetSeconds: null,
+    });
+
+    const set = (json) => app.call("POST", "/admin/clock", { json: { ...c1, ...json } });
+    assert.equal((await set({ frozen: true, offsetSeconds: 10 })).status, 400);
+    assert.equal((await set({ frozen: true, at: "soon" })).status, 400);
+    assert.equal((await set({ offsetSeconds: 10, at: "2031-05-01T08:00:00Z" })).status, 400);
+    assert.equal((await advance(0)).status, 400);
+    const unknown = await app.call("GET", "/admin/clock?client_id=ghost&client_secret=x");
+    assert.equal(unknown.status, 404);
+  });
+});
@@ -0,0 +1,97 @@
+// user-021: RFC 8414 / OpenID discovery documents under every base path
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { GRANT_TYPES, PKCE_METHODS } = require("../common/clients");
+const { AUTH_METHODS } = require("../common/clientAuth");
+const { SUPPORTED_SCOPES } = require("../common/scopes");
+
+let app;
+before(async () => {
+  app = await startApp({
+    API_PREFIXES: JSON.stringify(["", "/api", { path: "/tenant/c1", clientId: "c1" }]),
+    PREFIX_CACHE_MS: "0",
+  });
+});
+after(() => app.close());
+
+const discover = (prefix, doc = "oauth-authorization-server") =>
+  app.call("GET", `${prefix}/.well-known/${doc}`);
+
+// Fetch an advertised URL as is, outside app.call's base
+async function postForm(url, form) {
+  const res = await fetch(url, { method: "POST", body: new URLSearchParams(form) });
+  const text = await res.text();
+  return { status: res.status, body: text && JSON.parse(text) };
+}
+
+test("each prefix advertises endpoints that answer under that prefix", async () => {
+  for (const prefix of ["", "/api"]) {
+    const { status, body } = await discover(prefix);
+    assert.equal(status, 200, prefix);
+    assert.equal(body.issuer, `${app.base}${prefix}`);
+    assert.equal(body.token_endpoint, `${app.base}${prefix}/oauth/token`);
+
+    const credentials = { client_id: "c2", client_secret: "s2" };
+    const token = await postForm(body.token_endpoint, {
+      grant_type: "client_credentials",
+      ...credentials,
+    });
+    assert.equal(token.status, 200, prefix);
+    const introspected = await postForm(body.introspection_endpoint, {
+      token: token.body.access_token,
+      ...credentials,
+    });
+    assert.equal(introspected.body.active, true, prefix);
+    const revoked = await postForm(body.revocation_endpoint, {
+      token: token.body.access_token,
+      ...credentials,
+    });
+    assert.equal(revoked.status, 200, prefix);
+
+    // Signing keys are server-wide, so every prefix points at the root set
+    assert.equal(body.jwks_uri, `${app.base}/.well-known/jwks.json`);
+    assert.equal((await fetch(body.jwks_uri)).status, 200);
+  }
+});
+
+test("grants, auth methods and scopes come from what the server implements", async () => {
+  const { body } = await discover("/api");
+  assert.deepEqual(body.grant_types_supported, GRANT_TYPES);
+  assert.deepEqual(body.token_endpoint_auth_methods_supported, AUTH_METHODS);
+  assert.deepEqual(body.scopes_supported, SUPPORTED_SCOPES);
+  assert.deepEqual(body.code_challenge_methods_supported, PKCE_METHODS);
+  assert.deepEqual(body.response_types_supported, ["code"]);
+  assert.ok(body.token_endpoint_auth_signing_alg_values_supported.includes("RS256"));
+  assert.ok(!body.introspection_endpoint_auth_methods_supported.includes("none"));
+});
+
+test("openid-configuration adds the OIDC fields to the same document", async () => {
+  const oauth = (await discover("/api")).body;
+  const oidc = await discover("/api", "openid-configuration");
+  assert.equal(oidc.status, 200);
+  assert.equal(oidc.headers.get("cache-control"), "public, max-age=60");
+  const { subject_types_supported, id_token_signing_alg_values_supported, ...rest } = oidc.body;
+  assert.deepEqual(rest, oauth);
+  assert.deepEqual(subject_types_supported, ["public"]);
+  assert.ok(id_token_signing_alg_values_supported.includes("RS256"));
+});
+
+test("a client-tied prefix narrows the document to that client", async () => {
+  await app.call("PUT", "/admin/clients/c1", {
+    json: { allowedGrants: ["client_credentials"], allowedScopes: ["session:read"] },
+  });
+  const { body } = await discover("/tenant/c1");
+  assert.equal(body.token_endpoint, `${app.base}/tenant/c1/oauth/token`);
+  assert.deepEqual(body.grant_types_supported, ["client_credentials"]);
+  assert.deepEqual(body.response_types_supported, []);
+  assert.deepEqual(body.scopes_supported, ["session:read"]);
+});
+
+test("prefixes registered at runtime are discoverable; unknown ones are not", async () => {
+  assert.equal((await discover("/partner")).status, 404);
+  await app.call("POST", "/admin/prefixes", { json: { path: "/partner" } });
+  const { status, body } = await discover("/partner");
+  assert.equal(status, 200);
+  assert.equal(body.token_endpoint, `${app.base}/partner/oauth/token`);
+});
@@ -0,0 +1,202 @@
+// user-016: extended-options trees per client and per session
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+// One node of every type the connector renders, nested under a Label
+const roomTree = [
+  {
+    Type: "Label",
+    Id: "setup",
+    Name: "Room setup",
+    ChildExtendedOptions: [
+      {
+        Type: "DropDown",
+        Id: "room",
+        Name: "Room",
+        ChildExtendedOptions: [
+          { Type: "Label", Id: "small", Name: "Small" },
+          { Type: "Label", Id: "large", Name: "Large", Value: "L" },
+        ],
+      },
+      { Type: "TextBox", Id: "notes", Name: "Notes", Placeholder: "Anything else?" },
+      { Type: "CheckBox", Id: "record", Name: "Record", IsChecked: true },
+    ],
+  },
+];
+
+describe("option trees", () => {
+  const {
+    DEFAULT_EXTENDED_OPTIONS,
+    parseOptionTree,
+    effectiveTree,
+    validateOptionValues,
+  } = require("../common/extendedOptions");
+
+  test("parsing fills in every field and sets ParentId from the nesting", () => {
+    const { tree } = parseOptionTree(roomTree);
+    const [setup] = tree;
+    const [room, notes, record] = setup.ChildExtendedOptions;
+    assert.equal(setup.ParentId, null);
+    assert.deepEqual(
+      [room.ParentId, notes.ParentId, room.ChildExtendedOptions[1].ParentId],
+      ["setup", "setup", "room"]
+    );
+    assert.deepEqual(notes, {
+      Type: "TextBox",
+      Id: "notes",
+      ParentId: "setup",
+      Name: "Notes",
+      Description: null,
+      Placeholder: "Anything else?",
+      Value: null,
+      IsNameVisible: true,
+      IsMultiline: false,
+      IsChecked: false,
+      ChildExtendedOptions: [],
+    });
+    assert.equal(record.IsChecked, true);
+  });
+
+  test("parsing names the first broken node", () => {
+    const cases = [
+      [{}, "extendedOptions must be an array"],
+      [[{ Type: "Slider", Id: "x", Name: "X" }], /extendedOptions\[0\]\.Type must be one of/],
+      [[{ Type: "Label", Name: "X" }], "extendedOptions[0].Id is required"],
+      [
+        [{ Type: "Label", Id: "a", Name: "A", ChildExtendedOptions: [{ Type: "Label", Id: "a" }] }],
+        'extendedOptions[0].ChildExtendedOptions[0].Id "a" is used twice',
+      ],
+      [[{ Type: "DropDown", Id: "d", Name: "D" }], /DropDown without choices/],
+    ];
+    for (const [input, expected] of cases) {
+      const { error } = parseOptionTree(input);
+      if (typeof expected === "string") assert.equal(error, expected);
+      else assert.match(error, expected);
+    }
+  });
+
+  test("a session override wins over the client tree, which wins over the default", () => {
+    const client = { extendedOptions: ["client"] };
+    assert.deepEqual(effectiveTree(client, { extendedOptions: ["session"] }), {
+      tree: ["session"],
+      source: "session",
+    });
+    assert.equal(effectiveTree(client, {}).source, "client");
+    assert.deepEqual(effectiveTree({}, null), {
+      tree: DEFAULT_EXTENDED_OPTIONS,
+      source: "default",
+    });
+  });
+
+  test("values are checked by the type of the node they name", () => {
+    const { tree } = parseOptionTree(roomTree);
+    const check = (...submitted) => validateOptionValues(tree, submitted);
+
+    assert.deepEqual(
+      check(
+        { Id: "room", Value: "Small" },
+        { Id: "room", Value: "L" },
+        { Id: "notes", Value: "Window seat" },
+        { Id: "record", IsChecked: false }
+      ),
+      []
+    );
+    assert.deepEqual(
+      check(
+        { Id: "room", Value: "Large" },
+        { Id: "notes", Value: "two\nlines" },
+        { Id: "record", IsChecked: "yes" },
+        { Id: "setup", Value: "x" },
+        { Id: "nope" }
+      ),
+      [
+        { path: "ExtendedOptions[0].Value", message: "must be one of Small, L" },
+        { path: "ExtendedOptions[1].Value", message: "must be a single line" },
+        { path: "ExtendedOptions[2].IsChecked", message: "must be boolean" },
+        { path: "ExtendedOptions[3].Id", message: "is a Label and takes no value" },
+        { path: "ExtendedOptions[4].Id", message: "is not an extended option of this session" },
+      ]
+    );
+    assert.deepEqual(validateOptionValues(tree, undefined), []);
+  });
+});
+
+describe("/admin/extended-options and getExtendedOptions", () => {
+  const c1 = { client_id: "c1", client_secret: "s1" };
+  let app;
+  let headers;
+  before(async () => {
+    app = await startApp();
+    headers = { authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}` };
+    await app.call("POST", "/api/session", { headers, json: sessionPayload("opt-1") });
+  });
+  after(() => app.close());
+
+  const setTree = (extendedOptions, sessionId) =>
+    app.call("POST", "/admin/extended-options", { json: { ...c1, sessionId, extendedOptions } });
+  const clearTree = (sessionId) =>
+    app.call("DELETE", "/admin/extended-options", { json: { ...c1, sessionId } });
+  const topIds = async (sessionId) => {
+    const res = await app.call("GET", `/api/session/${sessionId}/extendedoptions`, { headers });
+    assert.equal(res.status, 200);
+    return res.body.data.extendedOptions.map((o) => o.Id);
+  };
+
+  test("the API serves the session, client or default tree", async () => {
+    assert.deepEqual(await topIds("opt-1"), ["1"]);
+
+    assert.equal((await setTree(roomTree)).status, 200);
+    assert.deepEqual(await topIds("opt-1"), ["setup"]);
+
+    const notes = [{ Type: "TextBox", Id: "notes", Name: "Notes", IsMultiline: true }];
+    assert.equal((await setTree(notes, "opt-1")).status, 200);
+    assert.deepEqual(await topIds("opt-1"), ["notes"]);
+
+    const shown = await app.call(
+      "GET",
+      "/admin/extended-options?client_id=c1&client_secret=s1&sessionId=opt-1"
+    );
+    assert.equal(shown.body.source, "session");
+    assert.equal(shown.body.extendedOptions[0].IsMultiline, true);
+
+    await clearTree("opt-1");
+    assert.deepEqual(await topIds("opt-1"), ["setup"]);
+    await clearTree();
+    assert.deepEqual(await topIds("opt-1"), ["1"]);
+  });
+
+  test("strict clients have values checked on create and update", async () => {
+    await setTree(roomTree);
+    const create = (id, ExtendedOptions) =>
+      app.call("POST", "/api/session", { headers, json: sessionPayload(id, { ExtendedOptions }) });
+
+    // Lenient clients are not checked
+    assert.equal((await create("opt-2", [{ Id: "room", Value: "Huge" }])).status, 200);
+
+    await app.call("POST", "/admin/config", { json: { ...c1, strictValidation: true } });
+    assert.equal((await create("opt-3", [{ Id: "room", Value: "Small" }])).status, 200);
+    const bad = await create("opt-4", [{ Id: "room", Value: "Huge" }]);
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error.code, 40001);
+    assert.equal(bad.body.error.details[0].path, "ExtendedOptions[0].Value");
+
+    // Updates are checked against the session's own override
+    await setTree([{ Type: "CheckBox", Id: "cam", Name: "Camera" }], "opt-3");
+    const update = (ExtendedOptions) =>
+      app.call("PUT", "/api/session/opt-3", {
+        headers,
+        json: sessionPayload("opt-3", { ExtendedOptions }),
+      });
+    const stale = await update([{ Id: "room", Value: "Small" }]);
+    assert.equal(stale.status, 400);
+    assert.equal(stale.body.error.code, 40011);
+    assert.equal((await update([{ Id: "cam", IsChecked: true }])).status, 200);
+  });
+
+  test("invalid trees are 400, unknown sessions 404", async () => {
+    assert.equal((await setTree([{ Type: "Slider", Id: "x", Name: "X" }])).status, 400);
+    assert.equal((await setTree("not json")).status, 400);
+    assert.equal((await setTree(roomTree, "nope")).status, 404);
+  });
+});
@@ -0,0 +1,147 @@
+// user-009: fault-injection rules per client and per endpoint
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken } = require("./helpers");
+
+describe("buildRule", () => {
+  const { buildRule } = require("../common/faults");
+
+  test("fills in the defaults for an error rule", () => {
+    const { rule } = buildRule({ endpoint: "createSession" });
+    assert.equal(rule.action, "error");
+    assert.equal(rule.status, 500);
+    assert.equal(rule.code, 50099);
+    assert.equal(rule.percentage, 100);
+    assert.equal(rule.nth, null);
+    assert.match(rule.id, /^fault_[0-9a-f]{12}$/);
+  });
+
+  test("rejects rules that could never work", () => {
+    for (const input of [
+      { endpoint: "nope" },
+      { endpoint: "token", action: "explode" },
+      { endpoint: "token", status: 99 },
+      { endpoint: "token", action: "latency" },
+      { endpoint: "token", percentage: 101 },
+      { endpoint: "token", nth: 0 },
+    ]) {
+      assert.ok(buildRule(input).error, JSON.stringify(input));
+    }
+  });
+});
+
+describe("fault rules over HTTP", () => {
+  const c1 = { client_id: "c1", client_secret: "s1" };
+  let app;
+  let auth;
+
+  before(async () => {
+    app = await startApp();
+    const { access_token: token } = await getToken(app.call, "c1", "s1");
+    auth = { authorization: `Bearer ${token}` };
+  });
+  after(() => app.close());
+
+  // Add a rule for c1, run fn, then clear c1's rules again
+  async function withRule(rule, fn) {
+    const added = await app.call("POST", "/admin/faults", { json: { ...c1, ...rule } });
+    assert.equal(added.status, 201, JSON.stringify(added.body));
+    try {
+      await fn(added.body.rule);
+    } finally {
+      await app.call("DELETE", "/admin/faults", { json: c1 });
+    }
+  }
+
+  test("an error rule answers with its status and err() code", async () => {
+    const rule = { endpoint: "listSessions", status: 503, code: 50301, message: "busy" };
+    await withRule(rule, async () => {
+      const res = await app.call("GET", "/api/session", { headers: auth });
+      assert.equal(res.status, 503);
+      assert.equal(res.body.error.code, 50301);
+      assert.equal(res.body.error.message, "busy");
+    });
+  });
+
+  test("rules apply under folder-prefixed routes too", async () => {
+    await withRule({ endpoint: "*", status: 502 }, async () => {
+      const res = await app.call("GET", "/folder1/folder2/api/session", { headers: auth });
+      assert.equal(res.status, 502);
+    });
+  });
+
+  test("nth fails only that call; percentage 0 never fires", async () => {
+    await withRule({ endpoint: "listSessions", nth: 2, status: 500 }, async (rule) => {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        statuses.push((await app.call("GET", "/api/session", { headers: auth })).status);
+      }
+      assert.deepEqual(statuses, [200, 500, 200]);
+
+      const listed = await app.call("GET", "/admin/faults?client_id=c1&client_secret=s1");
+      assert.equal(listed.body.rules.find((r) => r.id === rule.id).hits, 3);
+    });
+    await withRule({ endpoint: "listSessions", percentage: 0 }, async () => {
+      assert.equal((await app.call("GET", "/api/session", { headers: auth })).status, 200);
+    });
+  });
+
+  test("latency delays the call; malformed and drop break the response", async () => {
+    await withRule({ endpoint: "listSessions", action: "latency", latencyMs: 300 }, async () => {
+      const started = Date.now();
+      assert.equal((await app.call("GET", "/api/session", { headers: auth })).status, 200);
+      assert.ok(Date.now() - started >= 290);
+    });
+    await withRule({ endpoint: "listSessions", action: "malformed" }, async () => {
+      const res = await app.call("GET", "/api/session", { headers: auth });
+      assert.equal(res.status, 200);
+      assert.equal(typeof res.body, "string");
+      assert.throws(() => JSON.parse(res.body));
+    });
+    await withRule({ endpoint: "listSessions", action: "drop" }, async () => {
+      await assert.rejects(app.call("GET", "/api/session", { headers: auth }));
+    });
+  });
+
+  test("the OAuth endpoints take rules as well, answering OAuth errors", async () => {
+    const rule = { endpoint: "token", status: 503, message: "temporarily_unavailable" };
+    await withRule(rule, async () => {
+      const res = await app.call("POST", "/oauth/token", {
+        form: { grant_type: "client_credentials", ...c1 },
+      });
+      assert.equal(res.status, 503);
+      assert.equal(res.body.error, "temporarily_unavailable");
+    });
+    for (const endpoint of ["introspect", "revoke"]) {
+      await withRule({ endpoint, status: 500 }, async () => {
+        const res = await app.call("POST", `/oauth/${endpoint}`, { form: { ...c1, token: "x" } });
+        assert.equal(res.status, 500);
+        assert.equal(res.body.error, "injected_fault");
+      });
+    }
+
+    await app.call("POST", "/admin/config", {
+      json: { ...c1, redirectUris: ["https://app.example.com/cb"] },
+    });
+    await withRule({ endpoint: "authorize", status: 500 }, async () => {
+      const res = await app.call("GET", "/oauth/authorize?response_type=code&client_id=c1");
+      assert.equal(res.status, 500);
+      assert.equal(res.body.error, "injected_fault");
+    });
+  });
+
+  test("rules belong to one client and are only added to known clients", async () => {
+    await withRule({ endpoint: "listSessions" }, async () => {
+      const { access_token: token } = await getToken(app.call, "c2", "s2");
+      const other = await app.call("GET", "/api/session", {
+        headers: { authorization: `Bearer ${token}` },
+      });
+      assert.equal(other.status, 200);
+    });
+
+    const unknown = await app.call("POST", "/admin/faults", {
+      json: { client_id: "ghost", client_secret: "made-up", endpoint: "getSession" },
+    });
+    assert.equal(unknown.status, 404);
+  });
+});
@@ -0,0 +1,98 @@
+// test/helpers.js — boots the app on the in-memory store for the node:test suites
+//
+// node --test runs every test file in its own process, so each file gets a
+// fresh store. startApp() must run before anything else from the app is
+// required: the environment it sets is read when modules load.
+const assert = require("node:assert/strict");
+
+const SEEDED_CLIENTS = [
+  { clientId: "c1", clientSecret: "s1" },
+  { clientId: "c2", clientSecret: "s2" },
+  { clientId: "c3", clientSecret: "s3" },
+];
+
+/**
+ * Start the app on a free port. `env` overrides the defaults (memory store,
+ * the SEEDED_CLIENTS, admin auth off, no logs). Returns { base, call, close }.
+ */
+async function startApp(env = {}) {
+  Object.assign(
+    process.env,
+    {
+      VERCEL: "1",
+      MONGODB_URI: "",
+      STORAGE_BACKEND: "memory",
+      MOCK_CLIENTS: JSON.stringify(SEEDED_CLIENTS),
+      ADMIN_AUTH_DISABLED: "1",
+      LOG_LEVEL: "silent",
+    },
+    env
+  );
+  const app = require("../index");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * One request; `json` is sent as JSON, `form` URL-encoded. Redirects are
+   * not followed. Returns { status, headers, body } with body parsed as JSON
+   * when it is JSON.
+   */
+  async function call(method, path, { json, form, headers = {} } = {}) {
+    const init = { method, headers: { ...headers }, redirect: "manual" };
+    if (json !== undefined) {
+      init.headers["content-type"] = "application/json";
+      init.body = JSON.stringify(json);
+    } else if (form !== undefined) {
+      init.headers["content-type"] = "application/x-www-form-urlencoded";
+      init.body = new URLSearchParams(form).toString();
+    }
+    const response = await fetch(base + path, init);
+    const text = await response.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // HTML pages, Prometheus text
+    }
+    return { status: response.status, headers: response.headers, body };
+  }
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+  return { base, call, close };
+}
+
+// client_credentials token for a seeded client; fails the test otherwise
+async function getToken(call, clientId = "c1", clientSecret = "s1", extra = {}) {
+  const res = await call("POST", "/oauth/token", {
+    form: {
+      grant_type: "client_credentials",
+      client_id: clientId,
+      client_secret: clientSecret,
+      ...extra,
+    },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+// A CreateSession body for the VILT API
+function sessionPayload(sessionId, overrides = {}) {
+  return {
+    SessionId: sessionId,
+    LoId: "LO-1",
+    Title: "Onboarding",
+    StartDateTime: "2030-01-01T10:00:00Z",
+    EndDateTime: "2030-01-01T11:00:00Z",
+    TimeZone: "UTC",
+    Instructors: [{ Email: "teacher@example.com", FirstName: "Tea", LastName: "Cher" }],
+    ...overrides,
+  };
+}
+
+module.exports = {
+  SEEDED_CLIENTS,
+  startApp,
+  getToken,
+  sessionPayload,
+};
@@ -0,0 +1,110 @@
+// user-004: token introspection (RFC 7662), revocation (RFC 7009) and bearer checks
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken } = require("./helpers");
+
+const REDIRECT_URI = "https://app.example.com/callback";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const introspect = (token, clientId = "c1", clientSecret = "s1") =>
+  app.call("POST", "/oauth/introspect", {
+    form: { client_id: clientId, client_secret: clientSecret, token },
+  });
+
+const revoke = (token, clientId = "c1", clientSecret = "s1") =>
+  app.call("POST", "/oauth/revoke", {
+    form: { client_id: clientId, client_secret: clientSecret, token },
+  });
+
+// Error code the VILT API answers the token with, or null when it is accepted
+async function apiError(token) {
+  const res = await app.call("GET", "/api/session", {
+    headers: { authorization: `Bearer ${token}` },
+  });
+  return res.status === 401 ? res.body.error.code : null;
+}
+
+// Access token for `username` through the authorization code grant on c3
+async function userToken(username) {
+  const decision = await app.call("POST", "/oauth/authorize", {
+    form: { response_type: "code", client_id: "c3", username, decision: "approve" },
+  });
+  const code = new URL(decision.headers.get("location")).searchParams.get("code");
+  const res = await app.call("POST", "/oauth/token", {
+    form: { grant_type: "authorization_code", client_id: "c3", client_secret: "s3", code },
+  });
+  assert.equal(res.status, 200);
+  return res.body.access_token;
+}
+
+test("both endpoints require client authentication", async () => {
+  const res = await app.call("POST", "/oauth/introspect", { form: { token: "x" } });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, "invalid_client");
+  assert.equal((await revoke("x", "c1", "wrong")).status, 401);
+});
+
+test("introspection describes the caller's own live token", async () => {
+  const { access_token: token } = await getToken(app.call, "c1", "s1");
+  const res = await introspect(token);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.active, true);
+  assert.equal(res.body.client_id, "c1");
+  assert.equal(res.body.token_type, "Bearer");
+  assert.ok(res.body.exp > res.body.iat);
+
+  // Another client's view of the same token, and an unknown token
+  assert.deepEqual((await introspect(token, "c2", "s2")).body, { active: false });
+  assert.deepEqual((await introspect("no-such-token")).body, { active: false });
+});
+
+test("a revoked token is inactive and refused with token_revoked", async () => {
+  const { access_token: token } = await getToken(app.call, "c2", "s2");
+  assert.equal(await apiError(token), null);
+
+  const res = await revoke(token, "c2", "s2");
+  assert.equal(res.status, 200);
+  assert.equal((await introspect(token, "c2", "s2")).body.active, false);
+  assert.equal(await apiError(token), 40104);
+
+  // RFC 7009 §2.2: unknown tokens are not an error
+  assert.equal((await revoke("no-such-token", "c2", "s2")).status, 200);
+});
+
+test("an expired token is token_expired, even once revoked", async () => {
+  await app.call("POST", "/admin/config", {
+    json: { client_id: "c1", client_secret: "s1", ttlSeconds: 1 },
+  });
+  await app.call("POST", "/admin/reset", { json: { client_id: "c1", client_secret: "s1" } });
+  const { access_token: token } = await getToken(app.call, "c1", "s1");
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+
+  assert.equal(await apiError(token), 40103);
+  assert.equal((await revoke(token)).status, 200);
+  assert.equal(await apiError(token), 40103);
+});
+
+test("a new token supersedes only the same user's earlier one, without revoking it", async () => {
+  await app.call("POST", "/admin/config", {
+    json: { client_id: "c3", client_secret: "s3", redirectUris: [REDIRECT_URI] },
+  });
+  const alice = await userToken("alice@example.com");
+  const bob = await userToken("bob@example.com");
+  assert.equal(await apiError(alice), null);
+  assert.equal(await apiError(bob), null);
+
+  const aliceAgain = await userToken("alice@example.com");
+  assert.equal(await apiError(aliceAgain), null);
+  assert.equal(await apiError(alice), 40102);
+  assert.equal(await apiError(bob), null);
+  assert.equal((await introspect(alice, "c3", "s3")).body.active, false);
+});
+
+test("an unknown bearer token is invalid_token", async () => {
+  assert.equal(await apiError("not-a-token"), 40102);
+});
@@ -0,0 +1,159 @@
+// user-015: signed per-user join URLs and the joins they record
+const { describe, test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+const encode = (email) => Buffer.from(email).toString("base64url");
+const claimsOf = (token) =>
+  JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString("utf8"));
+
+describe("join tokens", () => {
+  const { signJoinToken, verifyJoinToken, DEFAULT_JOIN_URL_TTL_SECONDS } = require(
+    "../common/joinTokens"
+  );
+  const client = { clientId: "c1" };
+  const now = Date.parse("2030-01-01T09:00:00Z");
+  const saved = { ...process.env };
+  afterEach(() => {
+    for (const name of ["JOIN_URL_SECRET", "VERCEL", "MONGODB_URI", "STORAGE_BACKEND"]) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  test("carry client, session, email and a per-link jti until they expire", () => {
+    process.env.JOIN_URL_SECRET = "unit-secret";
+    const { token, expiresAt } = signJoinToken(client, "S-1", "a@example.com", now);
+    const { payload } = verifyJoinToken(token, now);
+    assert.equal(payload.cid, "c1");
+    assert.equal(payload.sid, "S-1");
+    assert.equal(payload.email, "a@example.com");
+    assert.equal(Date.parse(expiresAt), now + DEFAULT_JOIN_URL_TTL_SECONDS * 1000);
+    assert.notEqual(signJoinToken(client, "S-1", "a@example.com", now).token, token);
+
+    const ttl = { ...client, joinUrlTtlSeconds: 60 };
+    const short = signJoinToken(ttl, "S-1", "a@example.com", now).token;
+    assert.equal(verifyJoinToken(short, now + 59_000).error, undefined);
+    assert.equal(verifyJoinToken(short, now + 60_000).error, "expired_token");
+  });
+
+  test("a different key, a forged payload or a malformed token is invalid", () => {
+    process.env.JOIN_URL_SECRET = "unit-secret";
+    const { token } = signJoinToken(client, "S-1", "a@example.com", now);
+    const [, signature] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ ...claimsOf(token), email: "eve@example.com" }));
+
+    for (const bad of [`${forged.toString("base64url")}.${signature}`, "x", `${token}.x`]) {
+      assert.equal(verifyJoinToken(bad, now).error, "invalid_token");
+    }
+    process.env.JOIN_URL_SECRET = "rotated-secret";
+    assert.equal(verifyJoinToken(token, now).error, "invalid_token");
+  });
+
+  test("JOIN_URL_SECRET is required with the MongoDB store or on Vercel", () => {
+    delete process.env.JOIN_URL_SECRET;
+    process.env.STORAGE_BACKEND = "";
+    process.env.VERCEL = "1";
+    assert.throws(() => signJoinToken(client, "S-1", "a@example.com"), /JOIN_URL_SECRET/);
+    process.env.VERCEL = "";
+    process.env.MONGODB_URI = "mongodb://db.example.com/vilt";
+    assert.throws(() => signJoinToken(client, "S-1", "a@example.com"), /JOIN_URL_SECRET/);
+  });
+
+  test("a single memory-store process signs with a random key of its own", () => {
+    delete process.env.JOIN_URL_SECRET;
+    process.env.VERCEL = "";
+    process.env.STORAGE_BACKEND = "memory";
+    const { token } = signJoinToken(client, "S-1", "a@example.com", now);
+    assert.equal(verifyJoinToken(token, now).payload.email, "a@example.com");
+  });
+});
+
+describe("launchSession and /join/:token", () => {
+  let app;
+  let headers;
+  before(async () => {
+    app = await startApp({ JOIN_URL_SECRET: "test-join-secret" });
+    headers = { authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}` };
+    await app.call("POST", "/api/session", { headers, json: sessionPayload("join-1") });
+  });
+  after(() => app.close());
+
+  const launch = (email, sessionId = "join-1") =>
+    app.call("GET", `/api/session/${sessionId}/user/${encode(email)}/url`, { headers });
+  const joinsOf = async (email) => {
+    const res = await app.call("GET", "/api/session/join-1/attendees?pageSize=100", { headers });
+    return res.body.data.attendees.find((a) => a.email === email)?.joins ?? [];
+  };
+
+  test("the URL points at this server and opens the meeting page", async () => {
+    const res = await launch("teacher@example.com");
+    assert.equal(res.status, 200);
+    const { joinUrl, expiresAt } = res.body.data;
+    assert.ok(joinUrl.startsWith(`${app.base}/join/`));
+    assert.equal(claimsOf(joinUrl.split("/").pop()).exp * 1000, Date.parse(expiresAt));
+
+    const page = await app.call("GET", new URL(joinUrl).pathname);
+    assert.equal(page.status, 200);
+    assert.match(page.body, /teacher@example\.com/);
+  });
+
+  test("each URL records one join, however often it is opened", async () => {
+    await app.call("POST", "/admin/attendance", {
+      json: {
+        client_id: "c1",
+        client_secret: "s1",
+        sessionId: "join-1",
+        attendees: [{ email: "learner@example.com" }],
+      },
+    });
+    const { joinUrl } = (await launch("learner@example.com")).body.data;
+    const path = new URL(joinUrl).pathname;
+
+    const first = await app.call("GET", path);
+    const again = await app.call("GET", path);
+    assert.equal(again.status, 200);
+    assert.equal(again.body, first.body);
+    const joins = await joinsOf("learner@example.com");
+    assert.equal(joins.length, 1);
+    assert.equal(joins[0].leftAt, null);
+
+    const { joinUrl: second } = (await launch("learner@example.com")).body.data;
+    await app.call("GET", new URL(second).pathname);
+    assert.equal((await joinsOf("learner@example.com")).length, 2);
+  });
+
+  test("tampered and expired URLs are refused with an HTML page", async () => {
+    const { joinUrl } = (await launch("teacher@example.com")).body.data;
+    const tampered = await app.call("GET", `${new URL(joinUrl).pathname}x`);
+    assert.equal(tampered.status, 400);
+    assert.match(tampered.body, /invalid_token/);
+
+    await app.call("POST", "/admin/config", {
+      json: { client_id: "c1", client_secret: "s1", joinUrlTtlSeconds: 1 },
+    });
+    const shortLived = (await launch("teacher@example.com")).body.data.joinUrl;
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    const expired = await app.call("GET", new URL(shortLived).pathname);
+    assert.equal(expired.status, 410);
+    assert.match(expired.body, /expired_token/);
+  });
+
+  test("unknown users, bad encodings and canceled sessions", async () => {
+    const stranger = await launch("stranger@elsewhere.test");
+    assert.equal(stranger.status, 404);
+    assert.equal(stranger.body.error.code, 40461);
+
+    const bad = await app.call("GET", "/api/session/join-1/user/!!!/url", { headers });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error.code, 40060);
+
+    await app.call("POST", "/api/session", { headers, json: sessionPayload("join-2") });
+    const { joinUrl } = (await launch("teacher@example.com", "join-2")).body.data;
+    await app.call("DELETE", "/api/session/join-2", { headers });
+    const canceled = await launch("teacher@example.com", "join-2");
+    assert.equal(canceled.status, 409);
+    assert.equal(canceled.body.error.code, 40903);
+    assert.equal((await app.call("GET", new URL(joinUrl).pathname)).status, 409);
+  });
+});
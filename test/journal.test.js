@@ -0,0 +1,91 @@
+// user-011: per-client request journal at GET /admin/requests
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+const JOURNAL_LIMIT = 6;
+
+let app;
+let headers;
+before(async () => {
+  app = await startApp({ JOURNAL_LIMIT: String(JOURNAL_LIMIT) });
+  const { access_token: token } = await getToken(app.call, "c1", "s1");
+  headers = { authorization: `Bearer ${token}` };
+});
+after(() => app.close());
+
+// Entries are appended once the response has closed
+async function journal(query = "") {
+  await sleep(50);
+  const res = await app.call("GET", `/admin/requests?client_id=c1&client_secret=s1${query}`);
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+test("a protected call is recorded in full, with secrets redacted", async () => {
+  await app.call("POST", "/folder1/folder2/api/session", {
+    headers: { ...headers, correlationid: "journal-1" },
+    json: sessionPayload("J-1", { password: "hunter2" }),
+  });
+
+  const [entry] = (await journal("&correlationId=journal-1")).entries;
+  assert.equal(entry.method, "POST");
+  assert.equal(entry.endpoint, "createSession");
+  assert.equal(entry.route, "/session");
+  assert.equal(entry.prefix, "/folder1/folder2/api");
+  assert.equal(entry.path, "/folder1/folder2/api/session");
+  assert.equal(entry.headers.authorization, "Bearer [redacted]");
+  assert.equal(entry.body.SessionId, "J-1");
+  assert.equal(entry.body.password, "[redacted]");
+  assert.equal(entry.status, 200);
+  assert.equal(entry.responseBody.status, "success");
+  assert.equal(entry.correlationId, "journal-1");
+  assert.equal(typeof entry.latencyMs, "number");
+});
+
+test("token calls are journaled, failed ones included", async () => {
+  await app.call("POST", "/oauth/token", { form: { client_id: "c1", client_secret: "bad" } });
+  const { entries } = await journal("&endpoint=token");
+  assert.ok(entries.some((e) => e.status === 200 && e.body.client_secret === "[redacted]"));
+  assert.ok(entries.some((e) => e.status === 401));
+  const issued = entries.filter((e) => e.status === 200);
+  assert.ok(issued.every((e) => e.responseBody.access_token === "[redacted]"));
+  assert.ok(entries.every((e) => !JSON.stringify(e).includes(headers.authorization.slice(7))));
+});
+
+test("filters by status class and time range; exports NDJSON", async () => {
+  await app.call("GET", "/api/session/missing", { headers });
+  const { entries: notFound } = await journal("&status=4xx");
+  assert.ok(notFound.length >= 1);
+  assert.ok(notFound.every((e) => e.status >= 400 && e.status < 500));
+
+  const future = new Date(Date.now() + 60_000).toISOString();
+  assert.equal((await journal(`&from=${future}`)).count, 0);
+  assert.ok((await journal(`&to=${future}`)).count > 0);
+
+  const ndjson = await app.call(
+    "GET",
+    "/admin/requests?client_id=c1&client_secret=s1&format=ndjson"
+  );
+  assert.match(ndjson.headers.get("content-type"), /application\/x-ndjson/);
+  const lines = String(ndjson.body).trim().split("\n").map((line) => JSON.parse(line));
+  assert.ok(lines.length > 0 && lines.every((e) => e.id && e.at));
+});
+
+test(`the journal keeps each client's last ${JOURNAL_LIMIT} calls`, async () => {
+  for (let i = 0; i < JOURNAL_LIMIT + 2; i++) {
+    await app.call("GET", `/api/session/cap-${i}`, { headers });
+  }
+  const { entries } = await journal();
+  assert.equal(entries.length, JOURNAL_LIMIT);
+  assert.equal(entries.at(-1).path, `/api/session/cap-${JOURNAL_LIMIT + 1}`);
+});
+
+test("bad filters and missing credentials are 400", async () => {
+  assert.equal((await app.call("GET", "/admin/requests")).status, 400);
+  const base = "/admin/requests?client_id=c1&client_secret=s1";
+  for (const query of ["&limit=0", "&from=yesterday", "&format=csv"]) {
+    assert.equal((await app.call("GET", base + query)).status, 400, query);
+  }
+});
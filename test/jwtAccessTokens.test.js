@@ -0,0 +1,119 @@
+// user-003: signed JWT access tokens, JWKS and signing key rotation
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { startApp, getToken } = require("./helpers");
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const configure = (clientId, clientSecret, settings) =>
+  app.call("POST", "/admin/config", {
+    json: { client_id: clientId, client_secret: clientSecret, ...settings },
+  });
+
+// A new token each time: client_credentials would otherwise hand back the live one
+async function freshToken(clientId, clientSecret) {
+  await app.call("POST", "/admin/reset", {
+    json: { client_id: clientId, client_secret: clientSecret },
+  });
+  return (await getToken(app.call, clientId, clientSecret)).access_token;
+}
+
+const callApi = (token) =>
+  app.call("GET", "/api/session", { headers: { authorization: `Bearer ${token}` } });
+
+const parts = (token) => {
+  const [header, payload] = token.split(".").slice(0, 2);
+  const json = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  return { header: json(header), payload: json(payload) };
+};
+
+// Verify the way a connector would: pick the JWKS key by kid, check with node:crypto
+async function verifyWithJwks(token) {
+  const { header } = parts(token);
+  const jwks = await app.call("GET", "/.well-known/jwks.json");
+  const jwk = jwks.body.keys.find((k) => k.kid === header.kid);
+  if (!jwk) return false;
+  const [h, p, sig] = token.split(".");
+  return crypto.verify(
+    "sha256",
+    Buffer.from(`${h}.${p}`),
+    {
+      key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      dsaEncoding: header.alg === "ES256" ? "ieee-p1363" : undefined,
+    },
+    Buffer.from(sig, "base64url")
+  );
+}
+
+test("access tokens stay opaque unless the client asks for JWTs", async () => {
+  const token = await freshToken("c2", "s2");
+  assert.equal(token.split(".").length, 1);
+});
+
+test("RS256 tokens carry the requested claims and verify against the JWKS", async () => {
+  await configure("c1", "s1", { accessTokenFormat: "jwt", jwtAudience: "urn:connector" });
+  const before = Math.floor(Date.now() / 1000);
+  const token = await freshToken("c1", "s1");
+  const { header, payload } = parts(token);
+
+  assert.equal(header.alg, "RS256");
+  assert.ok(header.kid);
+  assert.ok(payload.iss);
+  assert.equal(payload.sub, "c1");
+  assert.equal(payload.aud, "urn:connector");
+  assert.equal(typeof payload.scope, "string");
+  assert.ok(payload.iat >= before);
+  assert.ok(payload.exp > payload.iat);
+  assert.match(payload.jti, /^[0-9a-f-]{36}$/);
+
+  assert.equal(await verifyWithJwks(token), true);
+  assert.equal((await callApi(token)).status, 200);
+});
+
+test("ES256 is available per client", async () => {
+  await configure("c2", "s2", { accessTokenFormat: "jwt", jwtAlg: "ES256" });
+  const token = await freshToken("c2", "s2");
+  assert.equal(parts(token).header.alg, "ES256");
+  assert.equal(await verifyWithJwks(token), true);
+  assert.equal((await callApi(token)).status, 200);
+});
+
+test("a tampered JWT is refused", async () => {
+  await configure("c1", "s1", { accessTokenFormat: "jwt" });
+  const [h, p, sig] = (await freshToken("c1", "s1")).split(".");
+  const claims = JSON.parse(Buffer.from(p, "base64url").toString("utf8"));
+  const forged = Buffer.from(JSON.stringify({ ...claims, sub: "c2" })).toString("base64url");
+
+  const res = await callApi(`${h}.${forged}.${sig}`);
+  assert.equal(res.status, 401);
+});
+
+test("after a rotation the old kid keeps working for the grace period only", async () => {
+  await configure("c1", "s1", { accessTokenFormat: "jwt" });
+  const oldToken = await freshToken("c1", "s1");
+  const oldKid = parts(oldToken).header.kid;
+
+  const rotated = await app.call("POST", "/admin/keys/rotate", {
+    json: { alg: "RS256", graceSeconds: 1 },
+  });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.kid, oldKid);
+  assert.deepEqual(rotated.body.retired.map((r) => r.kid), [oldKid]);
+
+  // Both keys are published; new tokens are signed with the new one
+  const kids = (await app.call("GET", "/.well-known/jwks.json")).body.keys.map((k) => k.kid);
+  assert.ok(kids.includes(oldKid) && kids.includes(rotated.body.kid));
+  await configure("c3", "s3", { accessTokenFormat: "jwt" });
+  assert.equal(parts(await freshToken("c3", "s3")).header.kid, rotated.body.kid);
+  assert.equal((await callApi(oldToken)).status, 200);
+
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  const jwks = await app.call("GET", "/.well-known/jwks.json");
+  assert.ok(!jwks.body.keys.some((k) => k.kid === oldKid));
+  assert.equal((await callApi(oldToken)).status, 401);
+});
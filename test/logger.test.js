@@ -0,0 +1,130 @@
+// user-024: one correlation ID per request and structured, redacted JSON logs
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { startApp, getToken } = require("./helpers");
+const { logger } = require("../common/logger");
+
+// Log lines written by the app, parsed; the access log line follows the response.
+// Anything else (dotenv's banner) is dropped.
+let lines = [];
+const { log, error } = console;
+before(() => {
+  console.log = (text) => String(text).startsWith("{") && lines.push(JSON.parse(text));
+  console.error = console.log;
+});
+after(() => {
+  console.log = log;
+  console.error = error;
+});
+beforeEach(() => {
+  lines = [];
+});
+
+describe("logger", () => {
+  before(() => {
+    process.env.LOG_REDACT_KEYS = "apiKey, pin";
+  });
+  after(() => {
+    delete process.env.LOG_REDACT_KEYS;
+  });
+
+  test("writes one JSON object per line at or above LOG_LEVEL", () => {
+    process.env.LOG_LEVEL = "warn";
+    logger.info("dropped");
+    logger.warn("kept", { n: 1 });
+    process.env.LOG_LEVEL = "silent";
+    logger.error("silenced");
+
+    assert.equal(lines.length, 1);
+    const [line] = lines;
+    assert.deepEqual([line.level, line.msg, line.n], ["warn", "kept", 1]);
+    assert.ok(!Number.isNaN(Date.parse(line.time)));
+    assert.equal(line.correlationId, undefined);
+  });
+
+  test("redacts secret fields at any depth and credentials inside strings", () => {
+    process.env.LOG_LEVEL = "debug";
+    logger.debug("check", {
+      client_secret: "s1",
+      apiKey: "k",
+      pin: "1234",
+      nested: [{ refresh_token: "r", keep: "x" }],
+      note: "sent Bearer abc.def and Basic Yzpz",
+      clientId: "c1",
+    });
+    process.env.LOG_LEVEL = "silent";
+
+    const [line] = lines;
+    assert.equal(line.client_secret, "[redacted]");
+    assert.equal(line.apiKey, "[redacted]");
+    assert.equal(line.pin, "[redacted]");
+    assert.deepEqual(line.nested, [{ refresh_token: "[redacted]", keep: "x" }]);
+    assert.equal(line.note, "sent Bearer [redacted] and Basic [redacted]");
+    assert.equal(line.clientId, "c1");
+  });
+});
+
+describe("requests", () => {
+  let app;
+  let bearer;
+  before(async () => {
+    app = await startApp({ LOG_LEVEL: "info" });
+    bearer = `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}`;
+  });
+  after(() => app.close());
+
+  const accessLines = (id) => lines.filter((l) => l.msg === "request" && l.correlationId === id);
+
+  test("a generated ID is the same in the header, envelope, log and journal", async () => {
+    const res = await app.call("GET", "/api/session/nope", { headers: { authorization: bearer } });
+    const id = res.headers.get("correlationid");
+    assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    assert.equal(res.body.correlationId, id);
+    await sleep(50);
+
+    const [line] = accessLines(id);
+    assert.equal(line.level, "info");
+    assert.equal(line.method, "GET");
+    assert.equal(line.path, "/api/session/nope");
+    assert.equal(line.route, "/session/:SessionId");
+    assert.equal(line.prefix, "/api");
+    assert.equal(line.client, "c1");
+    assert.equal(line.status, 404);
+    assert.equal(line.errorCode, "40440");
+    assert.equal(typeof line.latencyMs, "number");
+    assert.ok(!JSON.stringify(lines).includes(bearer.slice(7)));
+
+    const journal = await app.call(
+      "GET",
+      `/admin/requests?client_id=c1&client_secret=s1&correlationId=${id}`
+    );
+    assert.equal(journal.body.entries.length, 1);
+  });
+
+  test("the caller's correlationid header is kept when usable", async () => {
+    const res = await app.call("GET", "/api/session", {
+      headers: { authorization: bearer, correlationid: "trace-42" },
+    });
+    assert.equal(res.headers.get("correlationid"), "trace-42");
+    assert.equal(res.body.correlationId, "trace-42");
+    await sleep(50);
+    assert.equal(accessLines("trace-42").length, 1);
+
+    const spaced = await app.call("GET", "/api/session", {
+      headers: { authorization: bearer, correlationid: "a b" },
+    });
+    assert.notEqual(spaced.headers.get("correlationid"), "a b");
+    assert.equal(spaced.body.correlationId, spaced.headers.get("correlationid"));
+  });
+
+  test("query strings stay out of the log and health checks log at debug", async () => {
+    await app.call("GET", "/admin/metrics?client_id=c1&client_secret=s1");
+    await app.call("GET", "/health");
+    await sleep(50);
+
+    const logged = lines.filter((l) => l.msg === "request");
+    assert.deepEqual(logged.map((l) => l.path), ["/admin/metrics"]);
+    assert.ok(!JSON.stringify(lines).includes("s1"));
+  });
+});
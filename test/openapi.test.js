@@ -0,0 +1,154 @@
+// user-022: the OpenAPI document at /openapi.json and the response conformance mode
+const { describe, test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+const { responseProblems, responseConformance } = require("../common/openapi");
+
+// The parts of an Express request the conformance check reads
+const fakeRequest = (method, url, prefix = "") => ({
+  method,
+  originalUrl: url,
+  apiPrefix: { path: prefix },
+});
+
+// Warnings go to console.error as JSON lines
+function captureViolations() {
+  const lines = [];
+  const original = console.error;
+  console.error = (line) => lines.push(line);
+  return {
+    violations: () =>
+      lines.map((line) => JSON.parse(line)).filter((l) => l.msg === "OpenAPI violation"),
+    restore: () => (console.error = original),
+  };
+}
+
+describe("responseProblems", () => {
+  test("matches the request to its template and names each bad field", () => {
+    const req = fakeRequest("GET", "/api/session/S1?x=1", "/api");
+    const body = { status: "OK", correlationId: "c", timestamp: 5, data: {} };
+    const result = responseProblems(req, 200, body);
+    assert.equal(result.template, "/session/{SessionId}");
+    assert.deepEqual(
+      result.problems.map((p) => `${p.path} ${p.message}`),
+      ["timestamp must be string", "data.session is required"]
+    );
+  });
+
+  test("errors fall back to the documented error envelope", () => {
+    const { problems } = responseProblems(fakeRequest("DELETE", "/session/S1"), 418, {});
+    assert.ok(problems.some((p) => p.path === "error"));
+  });
+
+  test("bodies on bodiless responses and unknown routes", () => {
+    const revoke = responseProblems(fakeRequest("POST", "/oauth/revoke"), 200, { ok: true });
+    assert.equal(revoke.problems[0].path, "(body)");
+    assert.equal(responseProblems(fakeRequest("GET", "/not/an/operation"), 200, {}), null);
+  });
+});
+
+describe("responseConformance", () => {
+  let capture;
+  beforeEach(() => {
+    process.env.LOG_LEVEL = "warn";
+    capture = captureViolations();
+  });
+  afterEach(() => {
+    capture.restore();
+    process.env.LOG_LEVEL = "silent";
+    delete process.env.OPENAPI_VALIDATE_RESPONSES;
+  });
+
+  // Run the middleware, then send `body` with `status` through the wrapped res.json
+  function respond(status, body) {
+    const sent = [];
+    const res = { statusCode: status, json: (b) => sent.push(b) };
+    responseConformance()(fakeRequest("GET", "/session/S1"), res, () => {});
+    res.json(body);
+    return sent;
+  }
+
+  test("logs violations and still sends the body as is", () => {
+    process.env.OPENAPI_VALIDATE_RESPONSES = "1";
+    assert.deepEqual(respond(200, { status: 1 }), [{ status: 1 }]);
+    const [violation] = capture.violations();
+    assert.equal(violation.path, "/session/{SessionId}");
+    assert.equal(violation.status, 200);
+    assert.ok(violation.problems.length > 0);
+  });
+
+  test("is off unless OPENAPI_VALIDATE_RESPONSES=1", () => {
+    respond(200, { status: 1 });
+    assert.deepEqual(capture.violations(), []);
+  });
+});
+
+describe("/openapi.json", () => {
+  let app;
+  before(async () => {
+    app = await startApp({ OPENAPI_VALIDATE_RESPONSES: "1" });
+  });
+  after(() => app.close());
+
+  test("has one server per prefix and the root-only paths on the origin", async () => {
+    const res = await app.call("GET", "/openapi.json");
+    assert.equal(res.status, 200);
+    assert.match(res.body.openapi, /^3\./);
+    const servers = res.body.servers.map((s) => s.url);
+    assert.ok(servers.includes(app.base));
+    assert.ok(servers.includes(`${app.base}/folder1/folder2/api`));
+    assert.deepEqual(res.body.paths["/admin/clients"].servers, [{ url: app.base }]);
+    assert.equal(res.body.paths["/session"].servers, undefined);
+  });
+
+  test("documents every route index.js registers", async () => {
+    const { paths } = (await app.call("GET", "/openapi.json")).body;
+    const source = fs.readFileSync(path.join(__dirname, "..", "index.js"), "utf8");
+    const routes = [...source.matchAll(/^(?:app|api)\.(get|post|put|delete)\("([^"]+)"/gm)];
+    assert.ok(routes.length > 40);
+    for (const [, method, route] of routes) {
+      const template = route.replace(/:(\w+)/g, "{$1}");
+      assert.ok(paths[template]?.[method], `${method.toUpperCase()} ${template} is not documented`);
+    }
+  });
+
+  test("a connector's calls log no violations", async (t) => {
+    process.env.LOG_LEVEL = "warn";
+    const capture = captureViolations();
+    t.after(() => {
+      capture.restore();
+      process.env.LOG_LEVEL = "silent";
+    });
+
+    const headers = {
+      authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}`,
+    };
+    const person = { FirstName: "Ada", LastName: "Lovelace" };
+    await app.call("POST", "/api/instructor", {
+      headers,
+      json: { Email: "ada@example.com", ...person },
+    });
+    const created = await app.call("POST", "/api/session", {
+      headers,
+      json: sessionPayload("oa-1"),
+    });
+    assert.equal(created.status, 200);
+    await app.call("GET", "/api/session", { headers });
+    await app.call("GET", "/api/session/oa-1", { headers });
+    await app.call("GET", "/api/session/oa-1/attendees", { headers });
+    await app.call("GET", "/api/session/oa-1/extendedoptions", { headers });
+    const email = Buffer.from("teacher@example.com").toString("base64");
+    await app.call("GET", `/api/session/oa-1/user/${email}/url`, { headers });
+    await app.call("DELETE", "/api/session/oa-1", { headers });
+    await app.call("GET", "/api/session/missing", { headers });
+    await app.call("GET", "/api/session", {});
+    await app.call("POST", "/api/oauth/introspect", {
+      form: { token: headers.authorization.slice(7), client_id: "c1", client_secret: "s1" },
+    });
+    await app.call("GET", "/api/.well-known/openid-configuration");
+
+    assert.deepEqual(capture.violations(), []);
+  });
+});
@@ -0,0 +1,149 @@
+// user-023: Prometheus metrics at GET /metrics
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { startApp, getToken } = require("./helpers");
+const { monitorMongo, render } = require("../common/prometheus");
+
+// Value of the series `name` whose labels include `labels`, or undefined
+function sample(text, name, labels = {}) {
+  for (const line of text.split("\n")) {
+    const match = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+    if (!match || match[1] !== name) continue;
+    const found = Object.fromEntries(
+      [...(match[2] ?? "").matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)].map(([, k, v]) => [k, v])
+    );
+    if (Object.entries(labels).every(([k, v]) => found[k] === String(v))) return Number(match[3]);
+  }
+  return undefined;
+}
+
+describe("monitorMongo", () => {
+  test("times commands by collection, operation and outcome", () => {
+    const driver = new EventEmitter();
+    monitorMongo(driver);
+    driver.emit("commandStarted", { requestId: 1, commandName: "find", command: { find: "a" } });
+    driver.emit("commandStarted", { requestId: 2, commandName: "update", command: {} });
+    driver.emit("commandSucceeded", { requestId: 1, commandName: "find", duration: 20 });
+    driver.emit("commandFailed", { requestId: 2, commandName: "update", duration: 3000 });
+
+    const text = render();
+    const name = "mongodb_operation_duration_seconds";
+    const find = { collection: "a", operation: "find", outcome: "ok" };
+    assert.equal(sample(text, `${name}_sum`, find), 0.02);
+    assert.equal(sample(text, `${name}_bucket`, { ...find, le: 0.025 }), 1);
+    assert.equal(sample(text, `${name}_bucket`, { ...find, le: 0.01 }), 0);
+    const failed = { collection: "", operation: "update", outcome: "error" };
+    assert.equal(sample(text, `${name}_count`, failed), 1);
+    assert.equal(sample(text, `${name}_bucket`, { ...failed, le: 2.5 }), 0);
+  });
+});
+
+describe("GET /metrics", () => {
+  let app;
+  before(async () => {
+    app = await startApp({ METRICS_TOKEN: "scrape-me" });
+  });
+  after(() => app.close());
+
+  // Requests are counted once their response has closed
+  async function scrape() {
+    await sleep(50);
+    const res = await app.call("GET", "/metrics", {
+      headers: { authorization: "Bearer scrape-me" },
+    });
+    assert.equal(res.status, 200);
+    return res.body;
+  }
+
+  test("labels requests by route, prefix, client, status and error code", async () => {
+    const headers = {
+      authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}`,
+    };
+    await app.call("GET", "/api/session/nope", { headers });
+    await app.call("GET", "/folder1/folder2/api/session/nope", { headers });
+    await app.call("GET", "/session", {});
+
+    const text = await scrape();
+    const notFound = {
+      method: "GET",
+      route: "/session/:SessionId",
+      prefix: "/api",
+      client: "c1",
+      status: 404,
+      error_code: 40440,
+    };
+    assert.equal(sample(text, "http_requests_total", notFound), 1);
+    assert.equal(
+      sample(text, "http_requests_total", { ...notFound, prefix: "/folder1/folder2/api" }),
+      1
+    );
+    assert.equal(sample(text, "http_request_duration_seconds_count", notFound), 1);
+    assert.equal(
+      sample(text, "http_request_duration_seconds_bucket", { ...notFound, le: "+Inf" }),
+      1
+    );
+    // Unauthenticated calls have no client
+    assert.equal(
+      sample(text, "http_requests_total", { route: "/session", prefix: "/", status: 401 }),
+      1
+    );
+    assert.equal(sample(text, "http_requests_total", { route: "/session", client: "" }), 1);
+  });
+
+  test("counts issued, reused and rotated tokens per client", async () => {
+    const grant = { client: "c2", grant_type: "client_credentials" };
+    await getToken(app.call, "c2", "s2");
+    await getToken(app.call, "c2", "s2");
+    await app.call("POST", "/admin/clock/advance", {
+      json: { client_id: "c2", client_secret: "s2", seconds: 86_400 },
+    });
+    await getToken(app.call, "c2", "s2");
+
+    const text = await scrape();
+    assert.equal(sample(text, "oauth_tokens_issued_total", grant), 1);
+    assert.equal(sample(text, "oauth_tokens_reused_total", grant), 1);
+    assert.equal(sample(text, "oauth_tokens_rotated_total", grant), 1);
+  });
+
+  test("counts refresh token reuse", async () => {
+    await app.call("POST", "/admin/config", {
+      json: { client_id: "c3", client_secret: "s3", issueRefreshWithClientCredentials: true },
+    });
+    const { refresh_token: refreshToken } = await getToken(app.call, "c3", "s3");
+    const refresh = () =>
+      app.call("POST", "/oauth/token", {
+        form: {
+          grant_type: "refresh_token",
+          refresh_token: refreshToken,
+          client_id: "c3",
+          client_secret: "s3",
+        },
+      });
+    assert.equal((await refresh()).status, 200);
+    assert.equal((await refresh()).status, 400);
+
+    const text = await scrape();
+    assert.equal(sample(text, "oauth_refresh_token_reuse_detected_total", { client: "c3" }), 1);
+  });
+
+  test("serves the text format to scrapers holding METRICS_TOKEN only", async () => {
+    const res = await app.call("GET", "/metrics", {
+      headers: { authorization: "Bearer scrape-me" },
+    });
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.body, /^# TYPE http_request_duration_seconds histogram$/m);
+
+    const missing = await app.call("GET", "/metrics");
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get("www-authenticate"), /^Bearer/);
+    const wrong = await app.call("GET", "/metrics", { headers: { authorization: "Bearer no" } });
+    assert.equal(wrong.status, 401);
+
+    // Without METRICS_TOKEN the endpoint is open
+    delete process.env.METRICS_TOKEN;
+    assert.equal((await app.call("GET", "/metrics")).status, 200);
+    process.env.METRICS_TOKEN = "scrape-me";
+  });
+});
@@ -0,0 +1,140 @@
+// user-010: rate limiting with 429 and Retry-After, configured per client
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken } = require("./helpers");
+
+describe("consume", () => {
+  const { consume, parseRateLimits } = require("../common/rateLimit");
+  const { createMemoryStore } = require("../common/store/memoryStore");
+
+  // A fresh store holding one client with the given limit on "token"
+  async function setup(rule) {
+    delete process.env.MOCK_CLIENTS;
+    const store = createMemoryStore();
+    const client = { clientId: "c", clientSecret: "s", rateLimits: { token: rule } };
+    await store.clients.create(client);
+    return { store, client };
+  }
+
+  test("fixed-window: `limit` calls per aligned window", async () => {
+    const rule = { limit: 2, windowSeconds: 10, strategy: "fixed-window" };
+    const { store, client } = await setup(rule);
+    const at = (ms) => consume(store, client, "token", ms);
+
+    assert.equal((await at(1_000)).allowed, true);
+    assert.equal((await at(2_000)).allowed, true);
+    assert.deepEqual(await at(3_000), { allowed: false, retryAfter: 7 });
+    assert.equal((await at(10_000)).allowed, true);
+  });
+
+  test("token-bucket: refills at limit / windowSeconds per second", async () => {
+    const rule = { limit: 2, windowSeconds: 4, strategy: "token-bucket" };
+    const { store, client } = await setup(rule);
+    const at = (ms) => consume(store, client, "token", ms);
+
+    assert.equal((await at(0)).allowed, true);
+    assert.equal((await at(0)).allowed, true);
+    assert.deepEqual(await at(0), { allowed: false, retryAfter: 2 });
+    assert.equal((await at(2_000)).allowed, true);
+    assert.equal((await at(2_000)).allowed, false);
+  });
+
+  test("endpoints without a rule (and no default) are not limited", async () => {
+    const { store, client } = await setup({ limit: 1, windowSeconds: 60 });
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await consume(store, client, "createSession", 0)).allowed, true);
+    }
+  });
+
+  test("parseRateLimits rejects unknown endpoints and bad numbers", () => {
+    assert.ok(parseRateLimits({ nope: { limit: 1, windowSeconds: 1 } }).error);
+    assert.ok(parseRateLimits({ token: { limit: 0, windowSeconds: 1 } }).error);
+    assert.ok(parseRateLimits({ token: { limit: 1, windowSeconds: 0 } }).error);
+    assert.ok(parseRateLimits({ token: { limit: 1, windowSeconds: 1, strategy: "x" } }).error);
+    assert.deepEqual(parseRateLimits("{}"), { limits: {} });
+  });
+});
+
+describe("throttling over HTTP", () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const limit = (clientId, clientSecret, rateLimits) =>
+    app.call("POST", "/admin/config", {
+      json: { client_id: clientId, client_secret: clientSecret, rateLimits },
+    });
+
+  test("the VILT API answers 429 with Retry-After and the err() envelope", async () => {
+    const { access_token: token } = await getToken(app.call, "c1", "s1");
+    const headers = { authorization: `Bearer ${token}` };
+    assert.equal(
+      (await limit("c1", "s1", { listSessions: { limit: 1, windowSeconds: 60 } })).status,
+      200
+    );
+
+    assert.equal((await app.call("GET", "/api/session", { headers })).status, 200);
+    const res = await app.call("GET", "/api/session", { headers });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, 42901);
+    assert.ok(res.body.correlationId);
+    assert.ok(Number(res.headers.get("retry-after")) >= 1);
+
+    // Other endpoints, and other clients, keep their own budget
+    assert.equal((await app.call("GET", "/api/session/none", { headers })).status, 404);
+    const { access_token: other } = await getToken(app.call, "c2", "s2");
+    const otherHeaders = { authorization: `Bearer ${other}` };
+    assert.equal((await app.call("GET", "/api/session", { headers: otherHeaders })).status, 200);
+
+    const metrics = await app.call("GET", "/admin/metrics?client_id=c1&client_secret=s1");
+    assert.equal(metrics.body.throttled.listsessions, 1);
+    assert.equal(metrics.body.perEndpointUsage.listsessions, 1);
+  });
+
+  test("the OAuth endpoints are limited too", async () => {
+    const oneCall = { limit: 1, windowSeconds: 60 };
+    await limit("c3", "s3", { token: oneCall, introspect: oneCall, revoke: oneCall });
+    const form = { client_id: "c3", client_secret: "s3" };
+    const post = (path, fields) => () => app.call("POST", path, { form: { ...form, ...fields } });
+
+    for (const call of [
+      post("/oauth/token", { grant_type: "client_credentials" }),
+      post("/oauth/introspect", { token: "x" }),
+      post("/oauth/revoke", { token: "x" }),
+    ]) {
+      assert.equal((await call()).status, 200);
+      const res = await call();
+      assert.equal(res.status, 429);
+      assert.equal(res.body.error, "rate_limited");
+      assert.ok(res.headers.get("retry-after"));
+    }
+
+    const metrics = await app.call("GET", "/admin/metrics?client_id=c3&client_secret=s3");
+    assert.deepEqual(metrics.body.throttled, { token: 1, introspect: 1, revoke: 1 });
+  });
+
+  test("/oauth/authorize falls under the default limit", async () => {
+    await app.call("POST", "/admin/config", {
+      json: {
+        client_id: "c2",
+        client_secret: "s2",
+        redirectUris: ["https://app.example.com/cb"],
+        rateLimits: { default: { limit: 1, windowSeconds: 60, strategy: "token-bucket" } },
+      },
+    });
+    const page = () => app.call("GET", "/oauth/authorize?response_type=code&client_id=c2");
+    assert.equal((await page()).status, 200);
+    assert.equal((await page()).status, 429);
+  });
+
+  test("an empty rateLimits object turns limiting off", async () => {
+    await limit("c3", "s3", {});
+    const form = { client_id: "c3", client_secret: "s3", token: "x" };
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await app.call("POST", "/oauth/introspect", { form })).status, 200);
+    }
+    assert.equal((await limit("c3", "s3", { nope: {} })).status, 400);
+  });
+});
@@ -0,0 +1,109 @@
+// user-002: refresh token grant with rotation and reuse detection
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken } = require("./helpers");
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const configure = (clientId, clientSecret, settings) =>
+  app.call("POST", "/admin/config", {
+    json: { client_id: clientId, client_secret: clientSecret, ...settings },
+  });
+
+const refresh = (clientId, clientSecret, refreshToken) =>
+  app.call("POST", "/oauth/token", {
+    form: {
+      grant_type: "refresh_token",
+      client_id: clientId,
+      client_secret: clientSecret,
+      refresh_token: refreshToken,
+    },
+  });
+
+// client_credentials hands back the live token while it lasts; reset for a new one
+async function freshToken(clientId, clientSecret) {
+  await app.call("POST", "/admin/reset", {
+    json: { client_id: clientId, client_secret: clientSecret },
+  });
+  return getToken(app.call, clientId, clientSecret);
+}
+
+const adminTokens = async (clientId, clientSecret) =>
+  (await app.call("GET", `/admin/tokens?client_id=${clientId}&client_secret=${clientSecret}`))
+    .body;
+
+test("client_credentials only issues a refresh token when the client opts in", async () => {
+  assert.equal((await freshToken("c1", "s1")).refresh_token, undefined);
+
+  assert.equal(
+    (await configure("c1", "s1", { issueRefreshWithClientCredentials: true })).status,
+    200
+  );
+  assert.ok((await freshToken("c1", "s1")).refresh_token);
+});
+
+test("rotating mode: each use returns a new pair, and reuse revokes the family", async () => {
+  await configure("c1", "s1", { issueRefreshWithClientCredentials: true });
+  const first = await freshToken("c1", "s1");
+
+  const second = await refresh("c1", "s1", first.refresh_token);
+  assert.equal(second.status, 200);
+  assert.notEqual(second.body.access_token, first.access_token);
+  assert.notEqual(second.body.refresh_token, first.refresh_token);
+
+  const replay = await refresh("c1", "s1", first.refresh_token);
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.error, "invalid_grant");
+
+  // The replay took the newest token of the family down with it
+  const child = await refresh("c1", "s1", second.body.refresh_token);
+  assert.equal(child.status, 400);
+  assert.equal(child.body.error, "invalid_grant");
+
+  const { refreshTokenFamilies } = await adminTokens("c1", "s1");
+  const family = refreshTokenFamilies.find((f) => f.chain[0] === first.refresh_token);
+  assert.deepEqual(family.chain, [first.refresh_token, second.body.refresh_token]);
+  assert.equal(family.revoked, true);
+});
+
+test("non-rotating mode keeps the same refresh token across uses", async () => {
+  await configure("c2", "s2", {
+    issueRefreshWithClientCredentials: true,
+    refreshTokenRotation: false,
+  });
+  const { refresh_token: refreshToken } = await freshToken("c2", "s2");
+
+  for (let i = 0; i < 3; i++) {
+    const res = await refresh("c2", "s2", refreshToken);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.refresh_token, refreshToken);
+  }
+  assert.equal((await adminTokens("c2", "s2")).refreshTokenRotation, false);
+});
+
+test("refresh token lifetime is set through /admin/config", async () => {
+  assert.equal((await configure("c3", "s3", { refreshTokenTtlSeconds: 0 })).status, 400);
+  await configure("c3", "s3", {
+    issueRefreshWithClientCredentials: true,
+    refreshTokenTtlSeconds: 90,
+  });
+  const { refresh_token: refreshToken } = await freshToken("c3", "s3");
+
+  const listed = (await adminTokens("c3", "s3")).refreshTokens.find(
+    (t) => t.token === refreshToken
+  );
+  assert.equal(Date.parse(listed.expiresAt) - Date.parse(listed.issuedAt), 90_000);
+  assert.equal(listed.parentToken, null);
+});
+
+test("a refresh token only works for the client it was issued to", async () => {
+  await configure("c1", "s1", { issueRefreshWithClientCredentials: true });
+  const { refresh_token: refreshToken } = await freshToken("c1", "s1");
+  const res = await refresh("c2", "s2", refreshToken);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "invalid_grant");
+});
@@ -0,0 +1,118 @@
+// user-018: the OAuth and VILT API under configured and registered base paths
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+describe("normalizePrefix", () => {
+  const { normalizePrefix } = require("../common/routePrefixes");
+
+  test("strips whitespace and trailing slashes; / is the root", () => {
+    assert.deepEqual(normalizePrefix("/partner/v2/"), { path: "/partner/v2" });
+    assert.deepEqual(normalizePrefix(" /api "), { path: "/api" });
+    assert.deepEqual(normalizePrefix("/"), { path: "" });
+  });
+
+  test("refuses relative, odd and reserved paths", () => {
+    assert.equal(normalizePrefix("api").error, "path must start with /");
+    assert.match(normalizePrefix("/a b").error, /letters, digits/);
+    assert.equal(normalizePrefix("/admin/x").error, "path must not start with /admin");
+    assert.equal(normalizePrefix("/.well-known").error, "path must not start with /.well-known");
+    assert.equal(normalizePrefix(7).error, "path must be a string");
+  });
+});
+
+describe("prefixed routing", () => {
+  // Three of the four default prefixes, plus a tenant prefix for c1
+  const configured = ["", "/api", "/folder1/folder2/api"];
+  let app;
+  let c1;
+  let c2;
+  before(async () => {
+    app = await startApp({
+      API_PREFIXES: JSON.stringify([...configured, { path: "/tenant/c1", clientId: "c1" }]),
+      PREFIX_CACHE_MS: "0",
+    });
+    c1 = { authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}` };
+    c2 = { authorization: `Bearer ${(await getToken(app.call, "c2", "s2")).access_token}` };
+  });
+  after(() => app.close());
+
+  test("every configured prefix serves the token route and the whole API", async () => {
+    for (const prefix of configured) {
+      const token = await app.call("POST", `${prefix}/oauth/token`, {
+        form: { grant_type: "client_credentials", client_id: "c3", client_secret: "s3" },
+      });
+      assert.equal(token.status, 200, prefix);
+
+      const sessionId = `pf${prefix.replaceAll("/", "-")}`;
+      const created = await app.call("POST", `${prefix}/session`, {
+        headers: c1,
+        json: sessionPayload(sessionId),
+      });
+      assert.equal(created.status, 200, prefix);
+      const email = `${sessionId}@example.com`;
+      const person = { FirstName: "In", LastName: "Structor" };
+      const added = await app.call("POST", `${prefix}/instructor`, {
+        headers: c1,
+        json: { Email: email, ...person },
+      });
+      assert.equal(added.status, 200, prefix);
+      const renamed = await app.call("PUT", `${prefix}/instructor`, {
+        headers: c1,
+        json: { OldEmail: email, NewEmail: email, ...person, FirstName: "Renamed" },
+      });
+      assert.equal(renamed.status, 200, prefix);
+    }
+  });
+
+  test("API_PREFIXES replaces the default prefixes", async () => {
+    const res = await app.call("GET", "/folder1/folder2/folder3/api/session", { headers: c1 });
+    assert.equal(res.status, 404);
+  });
+
+  test("a prefix tied to a client refuses the others", async () => {
+    assert.equal((await app.call("GET", "/tenant/c1/session", { headers: c1 })).status, 200);
+    const call = await app.call("GET", "/tenant/c1/session", { headers: c2 });
+    assert.equal(call.status, 401);
+    assert.equal(call.body.error.code, 40107);
+
+    const token = await app.call("POST", "/tenant/c1/oauth/token", {
+      form: { grant_type: "client_credentials", client_id: "c2", client_secret: "s2" },
+    });
+    assert.equal(token.status, 401);
+    assert.equal(token.body.error, "invalid_client");
+  });
+
+  test("prefixes registered at runtime are served at once and can be removed", async () => {
+    const added = await app.call("POST", "/admin/prefixes", {
+      json: { path: "/partner/v2/", client_id: "c2", client_secret: "s2" },
+    });
+    assert.equal(added.status, 201);
+    assert.deepEqual([added.body.prefix.path, added.body.prefix.clientId], ["/partner/v2", "c2"]);
+    assert.equal((await app.call("GET", "/partner/v2/session", { headers: c2 })).status, 200);
+    assert.equal((await app.call("GET", "/partner/v2/session", { headers: c1 })).status, 401);
+
+    const listed = (await app.call("GET", "/admin/prefixes")).body.prefixes;
+    assert.deepEqual(
+      listed.filter((p) => p.path.startsWith("/partner")).map((p) => p.source),
+      ["admin"]
+    );
+
+    const removed = await app.call("DELETE", "/admin/prefixes", { json: { path: "/partner/v2" } });
+    assert.equal(removed.status, 200);
+    assert.equal((await app.call("GET", "/partner/v2/session", { headers: c2 })).status, 404);
+  });
+
+  test("reserved, configured, duplicate and unknown prefixes are refused", async () => {
+    const add = (json) => app.call("POST", "/admin/prefixes", { json });
+    assert.equal((await add({ path: "/admin/x" })).status, 400);
+    assert.equal((await add({ path: "/api" })).status, 409);
+    assert.equal((await add({ path: "/dup" })).status, 201);
+    assert.equal((await add({ path: "/dup" })).status, 409);
+    assert.equal((await add({ path: "/t", client_id: "c1", client_secret: "no" })).status, 404);
+
+    const remove = (path) => app.call("DELETE", "/admin/prefixes", { json: { path } });
+    assert.equal((await remove("/api")).status, 409);
+    assert.equal((await remove("/never")).status, 404);
+  });
+});
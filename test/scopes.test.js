@@ -0,0 +1,77 @@
+// user-007: per-endpoint scope enforcement with insufficient_scope responses
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+const { ENDPOINT_SCOPES, missingScopes, scopeList } = require("../common/scopes");
+
+test("every protected VILT route has required scopes", () => {
+  for (const endpoint of [
+    "createSession",
+    "updateSession",
+    "cancelSession",
+    "addInstructor",
+    "updateInstructor",
+    "getAttendance",
+    "launchSession",
+    "getExtendedOptions",
+  ]) {
+    assert.ok(ENDPOINT_SCOPES[endpoint]?.length > 0, endpoint);
+  }
+  assert.deepEqual(scopeList("  a b  a "), ["a", "b"]);
+  assert.deepEqual(missingScopes("createSession", "session:read"), ["session:create"]);
+  assert.deepEqual(missingScopes("createSession", "session:read session:create"), []);
+});
+
+let app;
+before(async () => {
+  app = await startApp();
+  const res = await app.call("POST", "/admin/config", {
+    json: {
+      client_id: "c1",
+      client_secret: "s1",
+      allowedScopes: ["session:create", "session:read"],
+    },
+  });
+  assert.equal(res.status, 200);
+});
+after(() => app.close());
+
+const requestToken = (scope) =>
+  app.call("POST", "/oauth/token", {
+    form: { grant_type: "client_credentials", client_id: "c1", client_secret: "s1", scope },
+  });
+
+const createSession = (token, sessionId) =>
+  app.call("POST", "/api/session", {
+    headers: { authorization: `Bearer ${token}` },
+    json: sessionPayload(sessionId),
+  });
+
+test("a client may only request the scopes it registered", async () => {
+  const res = await requestToken("session:read session:cancel");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "invalid_scope");
+
+  const narrow = await requestToken("session:read");
+  assert.equal(narrow.status, 200);
+  assert.equal(narrow.body.scope, "session:read");
+});
+
+test("a token without the endpoint's scope gets 403 insufficient_scope", async () => {
+  const { access_token: readOnly } = (await requestToken("session:read")).body;
+  const res = await createSession(readOnly, "SC-1");
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error.code, 40301);
+  assert.equal(
+    res.headers.get("www-authenticate"),
+    'Bearer realm="vilt-mock", error="insufficient_scope", scope="session:create"'
+  );
+
+  const { access_token: writer } = (await requestToken("session:create")).body;
+  assert.equal((await createSession(writer, "SC-2")).status, 200);
+});
+
+test("clients that registered no scopes are not checked", async () => {
+  const { access_token: token } = await getToken(app.call, "c2", "s2", { scope: "anything" });
+  assert.equal((await createSession(token, "SC-3")).status, 200);
+});
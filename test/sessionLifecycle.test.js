@@ -0,0 +1,92 @@
+// user-013: session state machine and the session read/list endpoints
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+let app;
+let headers;
+before(async () => {
+  app = await startApp();
+  headers = { authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}` };
+});
+after(() => app.close());
+
+const create = (id, prefix = "/api") =>
+  app.call("POST", `${prefix}/session`, { headers, json: sessionPayload(id) });
+const update = (id, overrides = {}) =>
+  app.call("PUT", `/api/session/${id}`, { headers, json: sessionPayload(id, overrides) });
+const cancel = (id) => app.call("DELETE", `/api/session/${id}`, { headers });
+const read = async (id) => (await app.call("GET", `/api/session/${id}`, { headers })).body;
+
+test("active → updated → canceled, with every step kept in the history", async () => {
+  assert.equal((await create("L-1")).status, 200);
+  assert.equal((await read("L-1")).data.session.status, "active");
+
+  assert.equal((await update("L-1", { Title: "First rename" })).status, 200);
+  assert.equal((await update("L-1", { Title: "Second rename" })).status, 200);
+  assert.equal((await cancel("L-1")).status, 200);
+
+  const { session } = (await read("L-1")).data;
+  assert.equal(session.status, "canceled");
+  assert.deepEqual(
+    session.history.map((h) => [h.status, h.request?.Title ?? null]),
+    [
+      ["active", "Onboarding"],
+      ["updated", "First rename"],
+      ["updated", "Second rename"],
+      ["canceled", null],
+    ]
+  );
+});
+
+test("illegal transitions and duplicate ids are 409", async () => {
+  await create("L-2");
+  const duplicate = await create("L-2");
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error.code, 40901);
+
+  await cancel("L-2");
+  const afterCancel = await update("L-2");
+  assert.equal(afterCancel.status, 409);
+  assert.deepEqual(afterCancel.body.error.details, { from: "canceled", to: "updated" });
+  assert.equal((await cancel("L-2")).status, 409);
+  assert.equal((await read("L-2")).data.session.history.length, 2);
+});
+
+test("unknown sessions are 404 for read, update and cancel", async () => {
+  for (const res of [
+    await app.call("GET", "/api/session/nope", { headers }),
+    await update("nope"),
+    await cancel("nope"),
+  ]) {
+    assert.equal(res.status, 404);
+  }
+});
+
+test("the listing pages through sessions oldest first and filters by status", async () => {
+  for (const id of ["P-1", "P-2", "P-3"]) await create(id);
+  await cancel("P-2");
+
+  const page = async (query) =>
+    (await app.call("GET", `/api/session?${query}`, { headers })).body.data;
+  const first = await page("pageSize=2");
+  assert.equal(first.sessions.length, 2);
+  assert.equal(first.sessions[0].history, undefined);
+  const last = await page(`pageSize=2&page=${Math.ceil(first.total / 2)}`);
+  assert.equal(last.sessions.at(-1).sessionId, "P-3");
+
+  const canceled = (await page("status=canceled")).sessions.map((s) => s.sessionId);
+  assert.ok(canceled.includes("P-2") && !canceled.includes("P-3"));
+
+  for (const query of ["status=done", "pageSize=500", "page=0"]) {
+    assert.equal((await app.call("GET", `/api/session?${query}`, { headers })).status, 400);
+  }
+});
+
+test("the new routes exist under every prefix", async () => {
+  await create("PF-1", "/folder1/folder2/folder3/api");
+  for (const prefix of ["", "/api", "/folder1/folder2/api"]) {
+    const res = await app.call("GET", `${prefix}/session/PF-1`, { headers });
+    assert.equal(res.status, 200, prefix);
+  }
+});
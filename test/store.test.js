@@ -0,0 +1,229 @@
+// user-008: the storage interface (common/store/index.js), run against each backend
+//
+// The memory backend always runs. The Mongo backend only runs when
+// TEST_MONGODB_URI points at a disposable server, e.g.
+//   docker run --rm -p 27017:27017 mongo:7
+//   TEST_MONGODB_URI=mongodb://127.0.0.1:27017 npm test
+// It is skipped otherwise: CI has no mongod, and mongodb-memory-server would
+// have to download one. Each run uses its own database and drops it at the end.
+const { describe, test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+if (process.env.TEST_MONGODB_URI) {
+  process.env.MONGODB_URI = process.env.TEST_MONGODB_URI;
+  process.env.MONGODB_DB = `vilt_mock_store_test_${process.pid}`;
+}
+delete process.env.MOCK_CLIENTS;
+
+const { getDb } = require("../common/db");
+const { createMemoryStore } = require("../common/store/memoryStore");
+const { createMongoStore } = require("../common/store/mongoStore");
+
+const BACKENDS = [
+  { name: "memory", create: async () => createMemoryStore() },
+  {
+    name: "mongo",
+    skip: !process.env.TEST_MONGODB_URI && "TEST_MONGODB_URI is not set",
+    async create() {
+      await (await getDb()).dropDatabase();
+      return createMongoStore();
+    },
+    async close() {
+      const db = await getDb();
+      await db.dropDatabase();
+      await db.client.close();
+    },
+  },
+];
+
+const client = { clientId: "c1", clientSecret: "s1" };
+const other = { clientId: "c2", clientSecret: "s2" };
+const ghost = { clientId: "ghost", clientSecret: "nope" };
+
+// Mongo hands back its _id; the interface does not promise one
+function withoutId(value) {
+  if (Array.isArray(value)) return value.map(withoutId);
+  if (!value || typeof value !== "object") return value;
+  const { _id, ...rest } = value;
+  return rest;
+}
+
+const accessToken = (token, fields = {}) => ({
+  token,
+  issuedAt: "2030-01-01T00:00:00.000Z",
+  expiresAt: "2030-01-01T01:00:00.000Z",
+  active: true,
+  grantType: "client_credentials",
+  sub: "c1",
+  ...fields,
+});
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} store`, { skip: backend.skip }, () => {
+    let store;
+    beforeEach(async () => {
+      store = await backend.create();
+      await store.clients.create({ ...client });
+      await store.clients.create({ ...other });
+    });
+    if (backend.close) after(backend.close);
+
+    test("clients: unique clientId, lookups need the matching secret", async () => {
+      assert.equal(await store.clients.create({ clientId: "c1", clientSecret: "x" }), false);
+      assert.equal((await store.clients.findByCredentials("c1", "s1")).clientId, "c1");
+      assert.equal(await store.clients.findByCredentials("c1", "s2"), null);
+      assert.deepEqual((await store.clients.list()).map((c) => c.clientId), ["c1", "c2"]);
+    });
+
+    test("per-client writes never create client docs", async () => {
+      await store.tokens.saveAccessToken(ghost, accessToken("t"));
+      await store.usage.increment(ghost, { tokenHits: 1 });
+      await store.instructors.add(ghost, { email: "a@example.com" });
+      await store.webhooks.add(ghost, { id: "w1" });
+      assert.equal(await store.sessions.create(ghost, { sessionId: "S1" }), false);
+      assert.equal(await store.clients.updateSettings(ghost, { x: 1 }), false);
+      assert.equal(await store.clients.findById("ghost"), null);
+      assert.equal((await store.clients.list()).length, 2);
+    });
+
+    test("a new access token supersedes the same grant and subject only", async () => {
+      await store.tokens.saveAccessToken(client, accessToken("a1"));
+      await store.tokens.saveAccessToken(client, accessToken("u1", { grantType: "x", sub: "u" }));
+      await store.tokens.saveAccessToken(client, accessToken("a2"));
+
+      const doc = await store.clients.findByAccessToken("a1");
+      const active = Object.fromEntries(doc.issuedTokens.map((t) => [t.token, t.active]));
+      assert.deepEqual(active, { a1: false, u1: true, a2: true });
+      assert.equal(doc.currentToken, "a2");
+      assert.equal(doc.tokenRotations, 3);
+    });
+
+    test("revokeFamily works on a family with access tokens only", async () => {
+      await store.tokens.saveAccessToken(client, accessToken("a1", { familyId: "f1" }));
+      await store.tokens.revokeFamily(client, "f1", "code_replayed", "2030-01-01T00:30:00Z");
+
+      const doc = await store.clients.findById("c1");
+      assert.equal(doc.issuedTokens[0].active, false);
+      assert.equal(doc.issuedTokens[0].revokedAt, "2030-01-01T00:30:00Z");
+      assert.equal(doc.currentToken, undefined);
+    });
+
+    test("revokeFamily revokes one family's refresh and access tokens", async () => {
+      await store.tokens.saveAccessToken(client, accessToken("a1", { familyId: "f1" }));
+      await store.tokens.saveRefreshToken(client, { token: "r1", familyId: "f1", used: false });
+      await store.tokens.saveAccessToken(client, accessToken("a2", { familyId: "f2", sub: "u" }));
+      await store.tokens.saveRefreshToken(client, { token: "r2", familyId: "f2", used: false });
+      await store.tokens.revokeFamily(client, "f1", "reuse_detected", "2030-01-01T00:30:00Z");
+
+      const doc = await store.clients.findById("c1");
+      assert.deepEqual(
+        doc.refreshTokens.map((t) => [t.token, t.revoked === true, t.revokedReason ?? null]),
+        [
+          ["r1", true, "reuse_detected"],
+          ["r2", false, null],
+        ]
+      );
+      assert.deepEqual(
+        doc.issuedTokens.map((t) => [t.token, t.active]),
+        [
+          ["a1", false],
+          ["a2", true],
+        ]
+      );
+      // The current tokens belong to f2 and stay
+      assert.equal(doc.currentToken, "a2");
+      assert.equal(doc.currentRefreshToken, "r2");
+    });
+
+    test("refresh tokens and authorization codes are used once", async () => {
+      await store.tokens.saveRefreshToken(client, { token: "r1", familyId: "f1", used: false });
+      const at = "2030-01-01T00:01:00Z";
+      assert.equal(await store.tokens.markRefreshTokenUsed(client, "r1", at), true);
+      assert.equal(await store.tokens.markRefreshTokenUsed(client, "r1", at), false);
+
+      const code = { code: "k1", used: false, expiresAt: "2030-01-01T00:10:00Z" };
+      await store.tokens.saveAuthCode(client, code, "2030-01-01T00:00:00Z");
+      assert.equal(await store.tokens.consumeAuthCode(client, "k1", at, "f9"), true);
+      assert.equal(await store.tokens.consumeAuthCode(client, "k1", at, "fX"), false);
+      const [used] = (await store.clients.findById("c1")).authCodes;
+      assert.equal(used.familyId, "f9");
+    });
+
+    test("sessions: no duplicates, status-guarded updates with history", async () => {
+      const s1 = { sessionId: "S1", status: "active" };
+      assert.equal(await store.sessions.create(client, s1), true);
+      assert.equal(await store.sessions.create(client, s1), false);
+      assert.equal(await store.sessions.create(other, s1), true);
+
+      const cancel = () =>
+        store.sessions.update(
+          client,
+          "S1",
+          { status: "canceled" },
+          { expectStatus: "active", history: { status: "canceled" } }
+        );
+      assert.equal(await cancel(), true);
+      assert.equal(await cancel(), false);
+
+      const session = await store.sessions.find(client, "S1");
+      assert.equal(session.status, "canceled");
+      assert.deepEqual(session.history, [{ status: "canceled" }]);
+      assert.equal((await store.sessions.find(other, "S1")).status, "active");
+    });
+
+    test("join events are recorded once per join token", async () => {
+      await store.sessions.create(client, { sessionId: "S1", status: "active" });
+      const join = (jti) => ({ email: "a@example.com", role: "learner", joinedAt: "t", jti });
+      assert.equal(await store.sessions.addJoinEvent(client, "S1", join("j1")), true);
+      assert.equal(await store.sessions.addJoinEvent(client, "S1", join("j1")), false);
+      assert.equal(await store.sessions.addJoinEvent(client, "S1", join("j2")), true);
+      assert.equal(await store.sessions.addJoinEvent(client, "S2", join("j3")), false);
+
+      const session = await store.sessions.find(client, "S1");
+      assert.deepEqual(session.joinEvents.map((e) => e.jti), ["j1", "j2"]);
+    });
+
+    test("rate limit state is compare-and-set", async () => {
+      assert.equal(await store.rateLimits.setState(client, "token", null, { rev: 1 }), true);
+      assert.equal(await store.rateLimits.setState(client, "token", null, { rev: 1 }), false);
+      assert.equal(await store.rateLimits.setState(client, "token", { rev: 1 }, { rev: 2 }), true);
+      assert.equal(await store.rateLimits.setState(client, "token", { rev: 1 }, { rev: 3 }), false);
+      assert.deepEqual(await store.rateLimits.getState(client, "token"), { rev: 2 });
+    });
+
+    test("journal and audit log keep the newest entries, oldest first", async () => {
+      for (let n = 1; n <= 5; n++) {
+        await store.journal.append(client, { n }, 3);
+        await store.auditLog.append({ n }, 2);
+      }
+      await store.journal.append(other, { n: 100 }, 3);
+
+      const kept = [{ n: 3 }, { n: 4 }, { n: 5 }];
+      assert.deepEqual(withoutId(await store.journal.list(client)), kept);
+      assert.deepEqual(withoutId(await store.journal.list(other)), [{ n: 100 }]);
+      assert.deepEqual(withoutId(await store.auditLog.list()), [{ n: 4 }, { n: 5 }]);
+
+      await store.journal.clear(client);
+      assert.deepEqual(await store.journal.list(client), []);
+    });
+
+    test("webhook deliveries are replaced by id in place and capped", async () => {
+      for (const id of ["d1", "d2", "d3"]) {
+        await store.webhookDeliveries.save(client, { id, status: "pending" }, 3);
+      }
+      await store.webhookDeliveries.save(client, { id: "d1", status: "delivered" }, 3);
+      assert.deepEqual(withoutId(await store.webhookDeliveries.list(client)), [
+        { id: "d1", status: "delivered" },
+        { id: "d2", status: "pending" },
+        { id: "d3", status: "pending" },
+      ]);
+
+      // d1 is still the oldest, so it is the one to go
+      await store.webhookDeliveries.save(client, { id: "d4", status: "pending" }, 3);
+      assert.deepEqual(
+        (await store.webhookDeliveries.list(client)).map((d) => d.id),
+        ["d2", "d3", "d4"]
+      );
+    });
+  });
+}
@@ -0,0 +1,120 @@
+// user-012: per-client strict validation of VILT request bodies
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+describe("the declared schemas", () => {
+  const { validate } = require("../common/schemas");
+  const paths = (problems) => problems.map((p) => p.path).sort();
+
+  test("a complete CreateSession body passes", () => {
+    assert.deepEqual(validate("CreateSession", sessionPayload("S-1")), []);
+  });
+
+  test("every failing field is listed with its path", () => {
+    const problems = validate("CreateSession", {
+      LoId: 7,
+      Title: "  ",
+      StartDateTime: "2030-01-01T10:00:00Z",
+      EndDateTime: "2030-01-01T09:00:00Z",
+      Capacity: -1,
+      Instructors: [{ Email: "nope", FirstName: "A" }],
+    });
+    assert.deepEqual(paths(problems), [
+      "Capacity",
+      "EndDateTime",
+      "Instructors[0].Email",
+      "Instructors[0].LastName",
+      "LoId",
+      "Title",
+    ]);
+    const endProblem = problems.find((p) => p.path === "EndDateTime");
+    assert.equal(endProblem.message, "must not be before StartDateTime");
+  });
+
+  test("times must be ISO 8601 date-times", () => {
+    const problems = validate(
+      "UpdateSession",
+      sessionPayload("S-1", { StartDateTime: "01/01/2030 10:00", EndDateTime: "2030-01-01" })
+    );
+    assert.deepEqual(paths(problems), ["EndDateTime", "StartDateTime"]);
+  });
+
+  test("instructor bodies", () => {
+    assert.deepEqual(paths(validate("AddInstructor", { Email: "a@b" })), [
+      "Email",
+      "FirstName",
+      "LastName",
+    ]);
+    assert.deepEqual(
+      paths(
+        validate("UpdateInstructor", {
+          OldEmail: "old@example.com",
+          NewEmail: "new@example.com",
+          FirstName: "N",
+          LastName: "E",
+          IsActive: "yes",
+        })
+      ),
+      ["IsActive"]
+    );
+  });
+});
+
+describe("strict mode over HTTP", () => {
+  let app;
+  let strict;
+  let lenient;
+  before(async () => {
+    app = await startApp();
+    const config = await app.call("POST", "/admin/config", {
+      json: { client_id: "c1", client_secret: "s1", strictValidation: true },
+    });
+    assert.equal(config.status, 200);
+    strict = { authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}` };
+    lenient = { authorization: `Bearer ${(await getToken(app.call, "c2", "s2")).access_token}` };
+  });
+  after(() => app.close());
+
+  test("each endpoint answers 400 with its own err() code and the field paths", async () => {
+    const cases = [
+      ["POST", "/api/session", { SessionId: "X" }, 40001, "Title"],
+      ["POST", "/api/instructor", { Email: "bad" }, 40030, "Email"],
+      ["PUT", "/api/instructor", { OldEmail: "a@example.com" }, 40031, "NewEmail"],
+    ];
+    for (const [method, path, json, code, field] of cases) {
+      const res = await app.call(method, path, { headers: strict, json });
+      assert.equal(res.status, 400, path);
+      assert.equal(res.body.error.code, code);
+      assert.equal(res.body.error.message, "invalid_request_body");
+      assert.ok(res.body.error.details.some((p) => p.path === field), path);
+    }
+
+    const created = await app.call("POST", "/api/session", {
+      headers: strict,
+      json: sessionPayload("OK"),
+    });
+    assert.equal(created.status, 200);
+    const update = await app.call("PUT", "/api/session/OK", {
+      headers: strict,
+      json: { Title: "Renamed" },
+    });
+    assert.equal(update.status, 400);
+    assert.equal(update.body.error.code, 40011);
+  });
+
+  test("lenient mode stays the default", async () => {
+    const res = await app.call("POST", "/api/session", {
+      headers: lenient,
+      json: { SessionId: "loose", Title: "" },
+    });
+    assert.equal(res.status, 200);
+  });
+
+  test("strictValidation must be a boolean", async () => {
+    const res = await app.call("POST", "/admin/config", {
+      json: { client_id: "c1", client_secret: "s1", strictValidation: "maybe" },
+    });
+    assert.equal(res.status, 400);
+  });
+});
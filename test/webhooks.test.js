@@ -0,0 +1,244 @@
+// user-017: signed outbound webhooks, retries and the delivery log
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const http = require("node:http");
+const { startApp, getToken, sessionPayload } = require("./helpers");
+
+// Receiver answering with the queued statuses (200 once they run out); while
+// `hold` is set, answers wait until it is released
+const receiver = { url: null, received: [], statuses: [], hold: null };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", async () => {
+    receiver.received.push({ headers: req.headers, body });
+    await receiver.hold?.promise;
+    res.writeHead(receiver.statuses.shift() ?? 200).end();
+  });
+});
+function holdAnswers() {
+  let release;
+  const promise = new Promise((resolve) => (release = resolve));
+  receiver.hold = { promise };
+  return () => {
+    receiver.hold = null;
+    release();
+  };
+}
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+beforeEach(() => {
+  receiver.received.length = 0;
+  receiver.statuses.length = 0;
+});
+
+describe("emitEvent", () => {
+  const { emitEvent, retryDueDeliveries } = require("../common/webhooks");
+  const { createMemoryStore } = require("../common/store/memoryStore");
+  let store;
+  let client;
+
+  before(() => {
+    process.env.WEBHOOK_RETRY_BASE_MS = "0";
+    process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+  });
+  beforeEach(async () => {
+    delete process.env.MOCK_CLIENTS;
+    store = createMemoryStore();
+    const webhook = { id: "wh_1", url: receiver.url, events: ["session.created"], secret: "k" };
+    client = { clientId: "c", clientSecret: "s", webhooks: [webhook] };
+    await store.clients.create(client);
+  });
+  const log = async () => store.webhookDeliveries.list(client);
+
+  test("returns before the receiver answers", async () => {
+    const release = holdAnswers();
+    const emitted = emitEvent(store, client, "session.created", { sessionId: "S1" });
+    assert.equal(emitted.deliveries, 1);
+    assert.equal(emitted.event.type, "session.created");
+    assert.equal(receiver.received.length, 0);
+
+    release();
+    await emitted.done;
+    assert.equal(receiver.received.length, 1);
+    assert.equal((await log())[0].status, "delivered");
+  });
+
+  test("only subscribed webhooks get the event", () => {
+    const emitted = emitEvent(store, client, "recording.ready", {});
+    assert.deepEqual([emitted.event, emitted.deliveries], [null, 0]);
+  });
+
+  test("attempts are signed over their timestamp and body", async () => {
+    await emitEvent(store, client, "session.created", { sessionId: "S1" }).done;
+    const [{ headers, body }] = receiver.received;
+    assert.equal(headers["x-webhook-event"], "session.created");
+    assert.match(headers["x-webhook-id"], /^dlv_/);
+    const expected = crypto
+      .createHmac("sha256", "k")
+      .update(`${headers["x-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+  });
+
+  test("long-running servers retry in the background until delivered or failed", async () => {
+    process.env.VERCEL = "";
+    receiver.statuses.push(500, 503);
+    await emitEvent(store, client, "session.created", {}).done;
+    receiver.statuses.push(500, 500, 500);
+    await emitEvent(store, client, "session.created", {}).done;
+
+    const [delivered, failed] = await log();
+    assert.equal(delivered.status, "delivered");
+    assert.deepEqual(delivered.attempts.map((a) => a.status), [500, 503, 200]);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.attempts.length, 3);
+    assert.equal(failed.nextAttemptAt, undefined);
+  });
+
+  test("serverless hosts leave due attempts to retryDueDeliveries", async () => {
+    process.env.VERCEL = "1";
+    receiver.statuses.push(500);
+    await emitEvent(store, client, "session.created", {}).done;
+    const [retrying] = await log();
+    assert.equal(retrying.status, "retrying");
+
+    const notYet = Date.parse(retrying.nextAttemptAt) - 1;
+    assert.equal(await retryDueDeliveries(store, client, notYet), 0);
+    assert.equal(await retryDueDeliveries(store, client), 1);
+    const [delivered] = await log();
+    assert.equal(delivered.status, "delivered");
+    assert.equal(delivered.attempts.length, 2);
+  });
+
+  test("a delivery whose first attempt never ran is still due", async () => {
+    const now = new Date().toISOString();
+    const stranded = {
+      id: "dlv_stranded",
+      webhookId: "wh_1",
+      url: receiver.url,
+      event: "session.created",
+      payload: { type: "session.created" },
+      status: "pending",
+      attempts: [],
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+    };
+    await store.webhookDeliveries.save(client, stranded, 10);
+    assert.equal(await retryDueDeliveries(store, client), 1);
+    assert.equal((await log())[0].status, "delivered");
+  });
+});
+
+describe("webhooks over HTTP", () => {
+  const c1 = { client_id: "c1", client_secret: "s1" };
+  const keys = { read: "read-key", write: "write-key" };
+  let app;
+  let headers;
+  before(async () => {
+    // VERCEL=1 (startApp): due attempts wait for POST /admin/webhooks/deliveries/retry
+    app = await startApp({
+      WEBHOOK_RETRY_BASE_MS: "0",
+      WEBHOOK_MAX_ATTEMPTS: "3",
+      VERCEL: "1",
+      ADMIN_AUTH_DISABLED: "",
+      ADMIN_API_KEYS: JSON.stringify([
+        { name: "reader", key: keys.read, role: "read" },
+        { name: "writer", key: keys.write, role: "write" },
+      ]),
+    });
+    headers = { authorization: `Bearer ${(await getToken(app.call, "c1", "s1")).access_token}` };
+  });
+  after(() => app.close());
+
+  const admin = (method, path, json, key = keys.write) =>
+    app.call(method, path, { json, headers: { "x-admin-key": key } });
+  const deliveries = async (query = "") => {
+    const path = `/admin/webhooks/deliveries?client_id=c1&client_secret=s1${query}`;
+    const res = await admin("GET", path);
+    assert.equal(res.status, 200);
+    return res.body.deliveries;
+  };
+  // Delivery attempts finish after the API answered
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+  test("session calls answer without waiting for the receiver", async () => {
+    const added = await admin("POST", "/admin/webhooks", {
+      ...c1,
+      url: receiver.url,
+      events: ["session.created", "session.canceled"],
+    });
+    assert.equal(added.status, 201);
+    assert.match(added.body.webhook.secret, /^whsec_/);
+    assert.match(added.body.delivery, /background/);
+
+    const release = holdAnswers();
+    const created = await app.call("POST", "/api/session", {
+      headers,
+      json: sessionPayload("wh-1"),
+    });
+    assert.equal(created.status, 200);
+    assert.equal((await deliveries())[0].status, "pending");
+    release();
+    await settle();
+
+    const [delivery] = await deliveries("&status=delivered");
+    assert.equal(delivery.payload.data.sessionId, "wh-1");
+    const listed = await admin("GET", "/admin/webhooks?client_id=c1&client_secret=s1");
+    assert.match(listed.body.webhooks[0].secret, /^…/);
+  });
+
+  test("listing never retries; the write-only retry endpoint does", async () => {
+    receiver.statuses.push(500);
+    const simulated = await admin("POST", "/admin/webhooks/simulate", {
+      ...c1,
+      event: "session.canceled",
+      sessionId: "wh-1",
+    });
+    assert.equal(simulated.status, 202);
+    assert.equal(simulated.body.deliveries, 1);
+    await settle();
+
+    await deliveries();
+    const [retrying] = await deliveries("&event=session.canceled");
+    assert.equal(retrying.status, "retrying");
+    assert.equal(retrying.attempts.length, 1);
+
+    const refused = await admin("POST", "/admin/webhooks/deliveries/retry", c1, keys.read);
+    assert.equal(refused.status, 403);
+    const retried = await admin("POST", "/admin/webhooks/deliveries/retry", c1);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.retried, 1);
+
+    const [delivered] = await deliveries("&event=session.canceled");
+    assert.deepEqual(delivered.attempts.map((a) => a.status), [500, 200]);
+  });
+
+  test("bad registrations are 400, unknown clients 404", async () => {
+    const badUrl = await admin("POST", "/admin/webhooks", { ...c1, url: "ftp://example.com/x" });
+    assert.equal(badUrl.status, 400);
+    const badEvent = await admin("POST", "/admin/webhooks", {
+      ...c1,
+      url: receiver.url,
+      events: ["session.exploded"],
+    });
+    assert.equal(badEvent.status, 400);
+    const attendee = await admin("POST", "/admin/webhooks/simulate", {
+      ...c1,
+      event: "attendee.joined",
+      sessionId: "wh-1",
+    });
+    assert.equal(attendee.status, 400);
+
+    const ghost = { client_id: "ghost", client_secret: "made-up" };
+    const unknown = await admin("POST", "/admin/webhooks", { ...ghost, url: receiver.url });
+    assert.equal(unknown.status, 404);
+    assert.equal((await admin("POST", "/admin/webhooks/deliveries/retry", ghost)).status, 404);
+  });
+});